@@ -1,57 +1,72 @@
 // AI Bot - Aggressive AI opponent controller
 
 const AIBot = {
-  teamName: 'Blue',
-  lastDecisionTime: 0,
+  lastDecisionTimes: {}, // team id -> elapsed seconds of its last decision
   decisionIntervalSeconds: 5, // Make decisions every 5 seconds
 
+  // Technologies in the order bots research them: sturdier cities, then design
+  // points for their bombers (each brings a new design) and city recovery in
+  // turn. Their designs come nowhere near the stat caps and take no fighter
+  // roles, so they leave those technologies alone
+  researchOrder: ['civilDefense', 'streamlining', 'repairCrews', 'superchargers', 'jetEngines'],
+
   /**
-   * Initialize the bot
-   * @param {string} teamName - Team name for the bot
+   * Initialize the bots (every team with isBot set)
    */
-  initialize(teamName) {
-    this.teamName = teamName;
-    this.lastDecisionTime = 0;
+  initialize() {
+    this.lastDecisionTimes = {};
   },
 
   /**
-   * Update bot AI (called each tick)
+   * Update all bot teams (called each tick)
    * @param {number} elapsedSeconds - Elapsed game time in seconds
    */
   update(elapsedSeconds) {
-    // Make decisions at intervals
-    if (elapsedSeconds - this.lastDecisionTime >= this.decisionIntervalSeconds) {
-      this.makeDecisions();
-      this.lastDecisionTime = elapsedSeconds;
+    for (const teamName in GameState.teams) {
+      if (!GameState.teams[teamName].isBot) continue;
+
+      // Make decisions at intervals
+      const lastDecisionTime = this.lastDecisionTimes[teamName] || 0;
+      if (elapsedSeconds - lastDecisionTime >= this.decisionIntervalSeconds) {
+        this.makeDecisions(teamName);
+        this.lastDecisionTimes[teamName] = elapsedSeconds;
+      }
     }
   },
 
   /**
    * Make strategic decisions
+   * @param {string} teamName - Bot team
    */
-  makeDecisions() {
-    const team = GameState.teams[this.teamName];
+  makeDecisions(teamName) {
+    const team = GameState.teams[teamName];
     if (!team) return;
 
     // Priority 1: Build airbases at cities without them
-    this.considerAirbaseBuilds();
+    this.considerAirbaseBuilds(teamName);
+
+    // Priority 2: Keep research going
+    this.considerResearch(teamName);
 
-    // Priority 2: Design better aircraft occasionally
-    this.considerDesigns();
+    // Priority 3: Design better aircraft occasionally
+    this.considerDesigns(teamName);
 
-    // Priority 3: Set bomber targets for all airbases
-    this.setBomberTargets();
+    // Priority 4: Set bomber targets for all airbases
+    this.setBomberTargets(teamName);
 
-    // Priority 4: Allocate production to aircraft
-    this.allocateProduction();
+    // Priority 5: Flak for cities under attack (saving up for it if need be)
+    const flakReserveM = this.considerFlak(teamName);
+
+    // Priority 6: Allocate production to aircraft
+    this.allocateProduction(teamName, flakReserveM);
   },
 
   /**
    * Consider building airbases
+   * @param {string} teamName - Bot team
    */
-  considerAirbaseBuilds() {
-    const team = GameState.teams[this.teamName];
-    const cities = GameState.getTeamCities(this.teamName);
+  considerAirbaseBuilds(teamName) {
+    const cities = GameState.getTeamCities(teamName);
 
     for (const city of cities) {
       // Skip if already has airbase or is building one
@@ -61,8 +76,8 @@ const AIBot = {
       if (city.isPlaceholder && city.hp < 0) continue;
 
       // Check if we have enough production buffer
-      if (team.productionAccumulated >= CONSTANTS.AIRBASE_COST_M * CONSTANTS.BOT_AIRBASE_BUILD_THRESHOLD) {
-        ProductionSystem.buildAirbase(city.id, this.teamName);
+      if (ProductionSystem.canAfford(teamName, CONSTANTS.AIRBASE_COST_M * CONSTANTS.BOT_AIRBASE_BUILD_THRESHOLD)) {
+        Commands.issue('buildAirbase', teamName, { cityId: city.id });
 
         if (GameState.debugLogCombat) {
           console.log(`Bot building airbase at ${city.name}`);
@@ -74,33 +89,82 @@ const AIBot = {
     }
   },
 
+  /**
+   * Start the next technology in the research order when nothing is being researched
+   * @param {string} teamName - Bot team
+   */
+  considerResearch(teamName) {
+    const team = GameState.teams[teamName];
+    if (team.research.current) return;
+
+    const techId = this.researchOrder.find(id => ResearchSystem.isAvailable(teamName, id));
+    if (techId) {
+      Commands.issue('startResearch', teamName, { techId: techId });
+    }
+  },
+
+  /**
+   * Whether a bot is due a new bomber design: it designs one for every
+   * technology it has finished that adds design points
+   * @param {string} teamName - Bot team
+   * @returns {boolean} True if a design is due
+   */
+  wantsDesign(teamName) {
+    const team = GameState.teams[teamName];
+    const designTechs = team.research.completed.filter(id => {
+      const tech = ResearchSystem.getTechnology(id);
+      return tech && tech.effects.designPoints;
+    }).length;
+    const designedBombers = team.templates.filter(t =>
+      t.type === 'bomber' && !GameState.defaultTemplates.includes(t)
+    ).length;
+    return designedBombers < designTechs;
+  },
+
   /**
    * Consider designing new aircraft
+   * @param {string} teamName - Bot team
    */
-  considerDesigns() {
-    const team = GameState.teams[this.teamName];
+  considerDesigns(teamName) {
+    const team = GameState.teams[teamName];
 
-    // Only design if we have plenty of production
+    // One design at a time, and only with plenty of production
+    if (team.design) return;
     if (team.productionPerMinute < CONSTANTS.BOT_MIN_PRODUCTION_FOR_DESIGN) return;
 
-    const designCost = ProductionSystem.getDesignCost(this.teamName);
-    if (team.productionAccumulated < designCost * 2) return; // Need 2x design cost buffer
-
-    // Random chance to design
-    if (!GameState.rng.nextBool(CONSTANTS.BOT_DESIGN_CHANCE)) return;
+    // Designs research has made due start at once; others need a treasury of
+    // twice the design cost and a random roll
+    if (!this.wantsDesign(teamName)) {
+      if (!ProductionSystem.canAfford(teamName, ProductionSystem.getDesignCost(teamName) * 2)) return;
+      if (!GameState.rng.nextBool(CONSTANTS.BOT_DESIGN_CHANCE)) return;
+    }
 
     // Design a better bomber with higher cost
     const currentBestBomber = team.templates
       .filter(t => t.type === 'bomber')
       .reduce((best, t) => t.costM > best.costM ? t : best, DEFAULT_TEMPLATES.bomber);
 
-    const newCost = currentBestBomber.costM * 1.5; // 50% more expensive
-    const points = ProductionSystem.calculateDesignPoints(newCost);
+    const caps = ResearchSystem.getStatCaps(teamName);
+
+    // Every stat starts at its minimum, and speed at BOT_DESIGN_MIN_SPEED so the
+    // bomber doesn't hold back the raids it flies in
+    const minSpeed = Math.min(caps.speedMax, Math.max(CONSTANTS.SPEED_MIN, CONSTANTS.BOT_DESIGN_MIN_SPEED));
+    const minPoints = CONSTANTS.RANGE_MIN + CONSTANTS.OFFENSE_MIN + CONSTANTS.DEFENSE_MIN + minSpeed + CONSTANTS.PAYLOAD_MIN;
 
-    // Allocate points: prioritize offense, then range, then defense
-    const offense = Math.min(CONSTANTS.OFFENSE_MAX, Math.floor(points * 0.5));
-    const range = Math.min(CONSTANTS.RANGE_MAX, Math.floor(points * 0.3));
-    const defense = Math.min(CONSTANTS.DEFENSE_MAX, points - offense - range);
+    // Aim for BOT_DESIGN_POINT_STEP more points than the best bomber's cost
+    // buys in a design now (and at least the minimums), and pay what they cost
+    const pointsWanted = Math.max(minPoints,
+      ProductionSystem.calculateDesignPoints(currentBestBomber.costM, teamName) + CONSTANTS.BOT_DESIGN_POINT_STEP);
+    const newCost = Math.max(CONSTANTS.BOMBER_BASE_COST_M, ProductionSystem.getDesignCostForPoints(pointsWanted, teamName));
+    const points = ProductionSystem.calculateDesignPoints(newCost, teamName);
+
+    // Share out the rest: prioritize offense, then range and payload, then speed and defense
+    const spare = points - minPoints;
+    const offense = Math.min(caps.offenseMax, CONSTANTS.OFFENSE_MIN + Math.floor(spare * 0.35));
+    const range = Math.min(caps.rangeMax, CONSTANTS.RANGE_MIN + Math.floor(spare * 0.25));
+    const payload = Math.min(caps.payloadMax, CONSTANTS.PAYLOAD_MIN + Math.floor(spare * 0.2));
+    const speed = Math.min(caps.speedMax, minSpeed + Math.floor(spare * 0.1));
+    const defense = Math.min(caps.defenseMax, points - offense - range - payload - speed);
 
     const specs = {
       type: 'bomber',
@@ -108,21 +172,24 @@ const AIBot = {
       rangePoints: range,
       offense: offense,
       defense: defense,
+      speed: speed,
+      payload: payload,
       name: `Bot Bomber Mk${team.templates.filter(t => t.type === 'bomber').length + 1}`
     };
 
-    ProductionSystem.startDesign(this.teamName, specs);
+    Commands.issue('createDesign', teamName, { specs: specs });
 
     if (GameState.debugLogCombat) {
-      console.log(`Bot designed ${specs.name}: ${newCost}M, ${offense}O/${defense}D/${range}R`);
+      console.log(`Bot started designing ${specs.name}: ${newCost}M, ${offense}O/${defense}D/${range}R/${speed}S/${payload}P`);
     }
   },
 
   /**
    * Set bomber targets for all airbases
+   * @param {string} teamName - Bot team
    */
-  setBomberTargets() {
-    const cities = GameState.getTeamCities(this.teamName);
+  setBomberTargets(teamName) {
+    const cities = GameState.getTeamCities(teamName);
 
     for (const city of cities) {
       if (!city.hasAirbase || !city.airbase || !city.airbase.complete) continue;
@@ -130,10 +197,10 @@ const AIBot = {
       // Find best target
       const target = this.findBestBomberTarget(city);
       if (target) {
-        ProductionSystem.setBomberOrders(city.id, target.id);
+        Commands.issue('setBomberOrders', teamName, { cityId: city.id, targetCityId: target.id });
 
         // Set escort allocation aggressively (70% escort, 30% defend)
-        city.airbase.escortAllocation = 0.7;
+        Commands.issue('setEscortAllocation', teamName, { cityId: city.id, escortAllocation: 0.7 });
       }
     }
   },
@@ -148,33 +215,21 @@ const AIBot = {
     const bombers = GameState.getBombersAtCity(fromCity.id);
     if (bombers.length === 0) return null;
 
-    // Find longest range bomber
-    const maxRange = Math.max(...bombers.map(b => {
+    // Find longest range bomber (reduced rather than spread: a city can hold
+    // more bombers than Math.max takes arguments)
+    const maxRange = bombers.reduce((max, b) => {
       const template = GameState.getTemplate(b.templateId);
-      return template ? template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT : 0;
-    }));
+      return template ? Math.max(max, template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT) : max;
+    }, 0);
 
-    // Get all enemy cities
-    const enemyCities = GameState.cities.filter(c => c.owner !== this.teamName && c.owner !== null);
-
-    // Find targets within range
-    const targetsInRange = enemyCities.filter(target => {
-      const distance = MapUtils.greatCircleDistance(
-        fromCity.lat, fromCity.lon,
-        target.lat, target.lon
-      );
-      return distance <= maxRange;
-    });
+    // Find enemy cities within range
+    const targetsInRange = GameState.cityIndex.withinRadius(fromCity.lat, fromCity.lon, maxRange,
+      c => GameState.areEnemies(fromCity.owner, c.owner));
 
     if (targetsInRange.length === 0) {
       // Try neutral targets (for expansion)
-      const neutralTargets = GameState.cities.filter(c => c.owner === null).filter(target => {
-        const distance = MapUtils.greatCircleDistance(
-          fromCity.lat, fromCity.lon,
-          target.lat, target.lon
-        );
-        return distance <= maxRange;
-      });
+      const neutralTargets = GameState.cityIndex.withinRadius(fromCity.lat, fromCity.lon, maxRange,
+        c => c.owner === null);
 
       if (neutralTargets.length === 0) return null;
 
@@ -222,49 +277,87 @@ const AIBot = {
     return bestTarget;
   },
 
+  /**
+   * Raise the flak at the bot's most valuable city that enemy airbases are
+   * targeting, to one level more than the number of airbases targeting it
+   * @param {string} teamName - Bot team
+   * @returns {number} M to hold back from aircraft to afford the flak later (0 if none)
+   */
+  considerFlak(teamName) {
+    const team = GameState.teams[teamName];
+
+    // Enemy airbases targeting each of the bot's cities
+    const attackers = {};
+    for (const city of GameState.cities) {
+      const orders = city.airbase && city.airbase.complete && city.airbase.orders;
+      if (!orders || !GameState.areEnemies(teamName, city.owner)) continue;
+      attackers[orders.targetCityId] = (attackers[orders.targetCityId] || 0) + 1;
+    }
+
+    const wanted = GameState.getTeamCities(teamName).filter(c =>
+      attackers[c.id] && c.flak.level < Math.min(CONSTANTS.FLAK_MAX_LEVEL, attackers[c.id] + 1)
+    );
+    if (wanted.length === 0) return 0;
+
+    const city = wanted.reduce((best, c) => c.population > best.population ? c : best);
+    const cost = ProductionSystem.getFlakCost(city);
+    if (Commands.issue('buyFlak', teamName, { cityId: city.id })) return 0;
+
+    // Save up for it unless it would take too long
+    return cost <= team.productionPerMinute * CONSTANTS.BOT_FLAK_SAVING_MIN ? cost : 0;
+  },
+
   /**
    * Allocate production to aircraft
+   * @param {string} teamName - Bot team
+   * @param {number} reserveM - M to leave in the treasury (saved for flak)
    */
-  allocateProduction() {
-    const team = GameState.teams[this.teamName];
+  allocateProduction(teamName, reserveM = 0) {
+    const team = GameState.teams[teamName];
+
+    // Bots buy outright from the treasury, so their allocation sliders stay at 0
+    for (const templateId in team.templateProduction) {
+      if (team.templateProduction[templateId].allocation > 0) {
+        Commands.issue('setAllocation', teamName, { templateId: templateId, allocation: 0 });
+      }
+    }
 
     // Check if building airbase
-    const buildingAirbase = GameState.getTeamCities(this.teamName).some(c =>
+    const buildingAirbase = GameState.getTeamCities(teamName).some(c =>
       c.airbase && !c.airbase.complete
     );
 
     if (buildingAirbase) return; // Production is diverted to airbase
 
-    // Try to produce aircraft
-    // Bot strategy: 70% bombers, 30% fighters
-    const bomberChance = 0.7;
+    // Get best templates
+    const bestBomber = team.templates
+      .filter(t => t.type === 'bomber')
+      .reduce((best, t) => !best || t.costM > best.costM ? t : best, null);
 
-    while (team.productionAccumulated > 0) {
-      // Get best templates
-      const bestBomber = team.templates
-        .filter(t => t.type === 'bomber')
-        .reduce((best, t) => t.costM > best.costM ? t : best, null);
+    const bestFighter = team.templates
+      .filter(t => t.type === 'fighter')
+      .reduce((best, t) => !best || t.costM > best.costM ? t : best, null);
 
-      const bestFighter = team.templates
-        .filter(t => t.type === 'fighter')
-        .reduce((best, t) => t.costM > best.costM ? t : best, null);
+    if (!bestBomber && !bestFighter) return;
 
-      if (!bestBomber && !bestFighter) break;
+    // Bot strategy: 70% bombers, 30% fighters, picked one at a time until the
+    // treasury can't cover the next without dipping into the reserve; each
+    // template's share is then bought in one command
+    const bomberChance = 0.7;
+    const counts = new Map();
+    let treasuryM = team.ledger.treasuryM;
 
-      // Decide what to produce
+    while (treasuryM > reserveM) {
       const produceBomber = GameState.rng.nextBool(bomberChance);
+      const template = produceBomber && bestBomber ? bestBomber : bestFighter;
+      if (!template || template.costM <= 0 || treasuryM - template.costM < reserveM) break;
 
-      if (produceBomber && bestBomber) {
-        if (!ProductionSystem.tryProduceAircraft(this.teamName, bestBomber.id)) {
-          break; // Not enough production
-        }
-      } else if (bestFighter) {
-        if (!ProductionSystem.tryProduceAircraft(this.teamName, bestFighter.id)) {
-          break; // Not enough production
-        }
-      } else {
-        break;
-      }
+      treasuryM -= template.costM;
+      counts.set(template.id, (counts.get(template.id) || 0) + 1);
+    }
+
+    for (const [templateId, count] of counts) {
+      Commands.issue('produceAircraft', teamName, { templateId: templateId, count: count });
     }
   }
 };
@@ -1,8 +1,94 @@
 // Combat System - Probabilistic combat resolution for fighters and bombers
 
 const CombatSystem = {
+  // Veterancy ranks by experience (a sortie flown and landed is 1, a kill is
+  // VETERANCY_KILL_EXPERIENCE); bonus is added to offense and defense
+  VETERANCY_RANKS: [
+    { name: 'Rookie', experience: 0, bonus: 0 },
+    { name: 'Regular', experience: 5, bonus: 0.1 },
+    { name: 'Veteran', experience: 20, bonus: 0.2 },
+    { name: 'Elite', experience: 50, bonus: 0.3 }
+  ],
+
+  /**
+   * Resolve an air battle over a raid, round by round. Each round the escorts
+   * and defenders exchange fire, then the defenders still flying fire at the
+   * bombers. Escorts or defenders break off once their losses reach
+   * AIR_BATTLE_BREAK_OFF of the fighters they started with, and the bombers
+   * turn back once theirs reach RAID_ABORT_LOSSES. The battle ends when the
+   * defenders break off or are gone, the bombers are gone or turn back, or
+   * after AIR_BATTLE_MAX_ROUNDS rounds
+   * @param {Array} escorts - Escorting fighters
+   * @param {Array} defenders - Defending fighters
+   * @param {Array} bombers - Raiding bombers
+   * @param {RNG} rng - Random number generator
+   * @returns {object} {rounds, escortLosses, defenderLosses, bomberLosses,
+   *   escortsBrokeOff, defendersBrokeOff, bombersAborted} (the last three are the
+   *   round it happened in, or null; rounds has one entry per round with the
+   *   number of each kind of aircraft that fought and was lost)
+   */
+  resolveAirBattle(escorts, defenders, bombers, rng) {
+    const result = {
+      rounds: [],
+      escortLosses: [],
+      defenderLosses: [],
+      bomberLosses: [],
+      escortsBrokeOff: null,
+      defendersBrokeOff: null,
+      bombersAborted: null
+    };
+    const passed = (losses, total, threshold) => total > 0 && losses.length >= total * threshold;
+
+    for (let round = 1; round <= CONSTANTS.AIR_BATTLE_MAX_ROUNDS; round++) {
+      const activeEscorts = result.escortsBrokeOff ? [] : escorts.filter(e => e.hp > 0);
+      const activeDefenders = defenders.filter(d => d.hp > 0);
+      const activeBombers = bombers.filter(b => b.hp > 0);
+      if (activeDefenders.length === 0 || activeBombers.length === 0) break;
+
+      const fight = this.resolveFighterVsFighter(activeEscorts, activeDefenders, rng);
+      const bomberLosses = this.resolveDefendersVsBombers(activeDefenders.filter(d => d.hp > 0), activeBombers, rng);
+
+      result.rounds.push({
+        round: round,
+        escorts: activeEscorts.length,
+        defenders: activeDefenders.length,
+        bombers: activeBombers.length,
+        escortLosses: fight.attackerLosses.length,
+        defenderLosses: fight.defenderLosses.length,
+        bomberLosses: bomberLosses.length
+      });
+      result.escortLosses.push(...fight.attackerLosses);
+      result.defenderLosses.push(...fight.defenderLosses);
+      result.bomberLosses.push(...bomberLosses);
+
+      if (!result.escortsBrokeOff &&
+          passed(result.escortLosses, escorts.length, CONSTANTS.AIR_BATTLE_BREAK_OFF)) {
+        result.escortsBrokeOff = round;
+      }
+      if (passed(result.defenderLosses, defenders.length, CONSTANTS.AIR_BATTLE_BREAK_OFF)) {
+        result.defendersBrokeOff = round;
+        break;
+      }
+      if (bombers.some(b => b.hp > 0) &&
+          passed(result.bomberLosses, bombers.length, CONSTANTS.RAID_ABORT_LOSSES)) {
+        result.bombersAborted = round;
+        break;
+      }
+    }
+
+    if (GameState.debugLogCombat) {
+      console.log(`Air battle: ${escorts.length} escorts and ${bombers.length} bombers vs ${defenders.length} defenders`);
+      for (const r of result.rounds) {
+        console.log(`  Round ${r.round}: escorts -${r.escortLosses}, defenders -${r.defenderLosses}, bombers -${r.bomberLosses}`);
+      }
+    }
+
+    return result;
+  },
+
   /**
-   * Resolve fighter vs fighter engagement
+   * Resolve one round of fighter vs fighter combat: every fighter fires at a
+   * random opponent, and both sides' losses are taken at the end of the round
    * @param {Array} attackers - Attacking fighter aircraft
    * @param {Array} defenders - Defending fighter aircraft
    * @param {RNG} rng - Random number generator
@@ -13,60 +99,250 @@ const CombatSystem = {
       return { attackerLosses: [], defenderLosses: [] };
     }
 
-    // Calculate total offensive and defensive strengths
-    const A_off = attackers.reduce((sum, a) => {
-      const template = GameState.getTemplate(a.templateId);
-      return sum + (template ? template.offense : 0);
-    }, 0);
+    // The faster side gains the edge
+    const speedFactor = this.getSpeedAdvantage(attackers, defenders);
+    const defendersHit = this.fireAt(attackers, defenders, speedFactor, 1, rng);
+    const attackersHit = this.fireAt(defenders, attackers, 1 / speedFactor, 1, rng);
 
-    const D_def = defenders.reduce((sum, d) => {
-      const template = GameState.getTemplate(d.templateId);
-      return sum + (template ? template.defense : 0);
-    }, 0);
+    const attackerLosses = this.applyHits(attackersHit, rng);
+    const defenderLosses = this.applyHits(defendersHit, rng);
+
+    if (GameState.debugLogCombat) {
+      console.log(`Fighter combat: ${attackers.length} attackers vs ${defenders.length} defenders`);
+      console.log(`  Attacker losses: ${attackerLosses.length}, Defender losses: ${defenderLosses.length}`);
+    }
+
+    return { attackerLosses, defenderLosses };
+  },
 
-    // Calculate probabilities
-    const p_attacker_wins = A_off / (A_off + D_def + CONSTANTS.EPSILON);
-    const p_defender_wins = D_def / (A_off + D_def + CONSTANTS.EPSILON);
+  /**
+   * Resolve one round of defenders firing at bombers (bombers are hard to
+   * bring down: each shot has 30% of the usual chance)
+   * @param {Array} defenders - Defending fighters
+   * @param {Array} bombers - Bombers still flying
+   * @param {RNG} rng - Random number generator
+   * @returns {Array} Bombers shot down
+   */
+  resolveDefendersVsBombers(defenders, bombers, rng) {
+    if (defenders.length === 0 || bombers.length === 0) return [];
 
-    // Resolve casualties
-    const attackerLosses = [];
-    const defenderLosses = [];
+    // Faster fighters catch bombers more easily
+    const speedFactor = this.getSpeedAdvantage(defenders, bombers);
+    const losses = this.applyHits(this.fireAt(defenders, bombers, speedFactor, 0.3, rng), rng);
 
-    // Defenders take losses
-    for (const defender of defenders) {
-      if (rng.nextBool(p_attacker_wins)) {
-        defender.hp = 0;
-        defender.status = 'destroyed';
-        defenderLosses.push(defender);
+    if (GameState.debugLogCombat) {
+      for (const bomber of losses) {
+        console.log(`  Bomber ${bomber.id} shot down by defenders`);
       }
     }
+    return losses;
+  },
+
+  /**
+   * Have each shooter fire once at a random target. At most
+   * AIR_BATTLE_SHOOTERS_PER_TARGET shooters can engage one target, so once every
+   * target is engaged the remaining shooters get no shot this round (a swarm
+   * cannot bring all its numbers to bear on a few opponents at once)
+   * @param {Array} shooters - Aircraft firing
+   * @param {Array} targets - Aircraft fired at (non-empty)
+   * @param {number} speedFactor - Shooters' speed advantage (offense times it, target defense divided by it)
+   * @param {number} scale - Multiplier on each shot's chance to hit
+   * @param {RNG} rng - Random number generator
+   * @returns {Array} Hits, {shooter, target} (a target hit twice appears twice)
+   */
+  fireAt(shooters, targets, speedFactor, scale, rng) {
+    const hits = [];
+    const engaged = new Map(); // Target -> shooters engaging it
+    const open = targets.slice(); // Targets with room for another shooter
+
+    for (const shooter of shooters) {
+      if (open.length === 0) break;
+      const index = rng.nextInt(0, open.length - 1);
+      const target = open[index];
+      engaged.set(target, (engaged.get(target) || 0) + 1);
+      if (engaged.get(target) >= CONSTANTS.AIR_BATTLE_SHOOTERS_PER_TARGET) {
+        open.splice(index, 1);
+      }
+
+      const shooterTemplate = GameState.getTemplate(shooter.templateId);
+      const targetTemplate = GameState.getTemplate(target.templateId);
+      if (!shooterTemplate || !targetTemplate) continue;
 
-    // Attackers take losses
-    for (const attacker of attackers) {
-      if (rng.nextBool(p_defender_wins)) {
-        attacker.hp = 0;
-        attacker.status = 'destroyed';
-        attackerLosses.push(attacker);
+      // Probability of a hit = offense / (offense + defense + 1), both worn
+      // down by damage and raised by experience
+      const offense = shooterTemplate.offense * speedFactor * this.getEffectiveness(shooter);
+      const defense = targetTemplate.defense / speedFactor * this.getEffectiveness(target);
+      if (rng.nextBool(scale * offense / (offense + defense + CONSTANTS.EPSILON))) {
+        hits.push({ shooter: shooter, target: target });
       }
     }
+    return hits;
+  },
+
+  /**
+   * Damage aircraft: each hit takes AIRCRAFT_HIT_DAMAGE_MIN-MAX HP off its
+   * target, and aircraft left with no HP are destroyed (the kill goes to the
+   * shooter, if any)
+   * @param {Array} hits - Hits, {shooter, target} (shooter null for city defenses)
+   * @param {RNG} rng - Random number generator
+   * @returns {Array} The destroyed aircraft
+   */
+  applyHits(hits, rng) {
+    const destroyed = [];
+    for (const { shooter, target } of hits) {
+      if (target.hp <= 0) continue; // Already destroyed by an earlier hit
+      target.hp -= rng.nextInt(CONSTANTS.AIRCRAFT_HIT_DAMAGE_MIN, CONSTANTS.AIRCRAFT_HIT_DAMAGE_MAX);
+      if (target.hp <= 0) {
+        this.destroyAircraft(target);
+        destroyed.push(target);
+        if (shooter) this.creditKill(shooter, rng);
+      }
+    }
+    return destroyed;
+  },
+
+  /**
+   * Destroy an aircraft (counting it against its team, and announcing it if
+   * it was an ace)
+   * @param {object} aircraft - Aircraft
+   */
+  destroyAircraft(aircraft) {
+    aircraft.hp = 0;
+    aircraft.status = 'destroyed';
+    GameState.teams[aircraft.owner].aircraftLost++;
+
+    if (aircraft.callSign) {
+      GameState.emit('aceLost', {
+        team: aircraft.owner,
+        aircraftId: aircraft.id,
+        callSign: aircraft.callSign,
+        kills: aircraft.kills,
+        sorties: aircraft.sorties
+      });
+    }
+  },
+
+  /**
+   * Credit a kill to an aircraft; one still flying with ACE_KILLS kills
+   * becomes an ace and takes a call sign
+   * @param {object} aircraft - Aircraft that made the kill
+   * @param {RNG} rng - Random number generator
+   */
+  creditKill(aircraft, rng) {
+    aircraft.kills++;
+    if (aircraft.callSign || aircraft.hp <= 0 || aircraft.kills < CONSTANTS.ACE_KILLS) return;
+
+    aircraft.callSign = this.generateCallSign(aircraft.owner, rng);
+    GameState.emit('aceCreated', {
+      team: aircraft.owner,
+      aircraftId: aircraft.id,
+      callSign: aircraft.callSign,
+      kills: aircraft.kills
+    });
 
     if (GameState.debugLogCombat) {
-      console.log(`Fighter combat: ${attackers.length} attackers vs ${defenders.length} defenders`);
-      console.log(`  Attacker strength: ${A_off}, Defender strength: ${D_def}`);
-      console.log(`  Attacker losses: ${attackerLosses.length}, Defender losses: ${defenderLosses.length}`);
+      console.log(`${aircraft.owner} ace: ${aircraft.callSign} (${aircraft.kills} kills)`);
     }
+  },
 
-    // Log to combat log
-    if (typeof UIControls !== 'undefined') {
-      if (defenderLosses.length > 0) {
-        UIControls.addCombatLog(`${defenderLosses.length} enemy fighters shot down`, 'kill');
-      }
-      if (attackerLosses.length > 0) {
-        UIControls.addCombatLog(`${attackerLosses.length} friendly fighters lost`, 'kill');
-      }
+  /**
+   * Pick a call sign for a new ace, unique among the team's aircraft
+   * (a numeral is added once an animal name is taken: "Falcon II")
+   * @param {string} teamName - Team name
+   * @param {RNG} rng - Random number generator
+   * @returns {string} Call sign
+   */
+  generateCallSign(teamName, rng) {
+    const name = ProductionSystem.generateAnimalName(rng);
+    const taken = new Set(GameState.teams[teamName].aircraft.map(a => a.callSign).filter(Boolean));
+    const numerals = ['', ' II', ' III', ' IV', ' V', ' VI', ' VII', ' VIII', ' IX', ' X'];
+
+    for (const numeral of numerals) {
+      if (!taken.has(name + numeral)) return name + numeral;
     }
+    let n = numerals.length + 1;
+    while (taken.has(`${name} ${n}`)) n++;
+    return `${name} ${n}`;
+  },
 
-    return { attackerLosses, defenderLosses };
+  /**
+   * Combat effectiveness of an aircraft: its damage (1 at full HP, falling to
+   * DAMAGED_EFFECTIVENESS_MIN on its last HP) times its veterancy
+   * @param {object} aircraft - Aircraft
+   * @returns {number} Multiplier on offense and defense
+   */
+  getEffectiveness(aircraft) {
+    const condition = Math.max(0, Math.min(1, aircraft.hp / CONSTANTS.AIRCRAFT_MAX_HP));
+    const damage = CONSTANTS.DAMAGED_EFFECTIVENESS_MIN + (1 - CONSTANTS.DAMAGED_EFFECTIVENESS_MIN) * condition;
+    return damage * this.getVeterancyMultiplier(aircraft);
+  },
+
+  /**
+   * An aircraft's experience: one per sortie flown and landed, plus
+   * VETERANCY_KILL_EXPERIENCE per kill
+   * @param {object} aircraft - Aircraft
+   * @returns {number} Experience
+   */
+  getExperience(aircraft) {
+    return aircraft.sorties + aircraft.kills * CONSTANTS.VETERANCY_KILL_EXPERIENCE;
+  },
+
+  /**
+   * Get an aircraft's veterancy rank
+   * @param {object} aircraft - Aircraft
+   * @returns {object} Rank from VETERANCY_RANKS
+   */
+  getRank(aircraft) {
+    const experience = this.getExperience(aircraft);
+    let rank = this.VETERANCY_RANKS[0];
+    for (const r of this.VETERANCY_RANKS) {
+      if (experience >= r.experience) rank = r;
+    }
+    return rank;
+  },
+
+  /**
+   * Multiplier on an aircraft's offense and defense from its rank, plus
+   * ACE_BONUS for aces
+   * @param {object} aircraft - Aircraft
+   * @returns {number} Multiplier (1 for a rookie)
+   */
+  getVeterancyMultiplier(aircraft) {
+    return 1 + this.getRank(aircraft).bonus + (aircraft.callSign ? CONSTANTS.ACE_BONUS : 0);
+  },
+
+  /**
+   * Get an aircraft template's cruising speed
+   * @param {object} template - Template
+   * @returns {number} Speed in km per second (RAID_SPEED_KM_PER_SEC at SPEED_REFERENCE points)
+   */
+  getSpeedKmPerSec(template) {
+    return CONSTANTS.RAID_SPEED_KM_PER_SEC * (0.5 + 0.5 * template.speed / CONSTANTS.SPEED_REFERENCE);
+  },
+
+  /**
+   * Average cruising speed of a group of aircraft
+   * @param {Array} aircraft - Aircraft (non-empty)
+   * @returns {number} Speed in km per second
+   */
+  getAverageSpeed(aircraft) {
+    const total = aircraft.reduce((sum, a) => {
+      const template = GameState.getTemplate(a.templateId);
+      return sum + (template ? this.getSpeedKmPerSec(template) : CONSTANTS.RAID_SPEED_KM_PER_SEC);
+    }, 0);
+    return total / aircraft.length;
+  },
+
+  /**
+   * Strength multiplier for one side of an air fight from the two sides' speeds
+   * (1 when equally fast; the other side's strength is divided by it)
+   * @param {Array} side - Aircraft gaining the multiplier
+   * @param {Array} opponents - Aircraft they fight
+   * @returns {number} Multiplier
+   */
+  getSpeedAdvantage(side, opponents) {
+    const ratio = this.getAverageSpeed(side) / this.getAverageSpeed(opponents);
+    return Math.pow(ratio, CONSTANTS.FIGHTER_SPEED_ADVANTAGE);
   },
 
   /**
@@ -101,22 +377,23 @@ const CombatSystem = {
       const template = GameState.getTemplate(bomber.templateId);
       if (!template) continue;
 
-      // Calculate damage probability
-      const p_damage = template.offense / (template.offense + cityDefense + CONSTANTS.CITY_BASE_DEFENSE);
+      // Calculate damage probability (damaged bombers bomb less accurately)
+      const offense = template.offense * this.getEffectiveness(bomber);
+      const p_damage = offense / (offense + cityDefense + CONSTANTS.CITY_BASE_DEFENSE);
 
       // Roll to see if bomber hits
       if (rng.nextBool(p_damage)) {
-        // Calculate damage
-        const damageHP = CONSTANTS.BOMBER_DAMAGE_BASE + Math.floor(template.offense / CONSTANTS.BOMBER_DAMAGE_SCALE);
+        // Calculate damage (scaled by the bomb load)
+        const damageHP = (CONSTANTS.BOMBER_DAMAGE_BASE + Math.floor(template.offense / CONSTANTS.BOMBER_DAMAGE_SCALE)) *
+          template.payload / CONSTANTS.PAYLOAD_REFERENCE;
         totalDamage += damageHP;
       }
 
-      // Bomber can be shot down by city defenses
-      const p_bomber_loss = cityDefense / (template.defense + cityDefense + CONSTANTS.EPSILON);
-      if (rng.nextBool(p_bomber_loss)) {
-        bomber.hp = 0;
-        bomber.status = 'destroyed';
-        bomberLosses.push(bomber);
+      // Bomber can be hit by city defenses
+      const defense = template.defense * this.getEffectiveness(bomber);
+      const p_bomber_hit = cityDefense / (defense + cityDefense + CONSTANTS.EPSILON);
+      if (rng.nextBool(p_bomber_hit)) {
+        bomberLosses.push(...this.applyHits([{ shooter: null, target: bomber }], rng));
       }
     }
 
@@ -126,17 +403,54 @@ const CombatSystem = {
       console.log(`  Bomber losses: ${bomberLosses.length}, Damage: ${totalDamage} HP`);
     }
 
-    // Log to combat log
-    if (typeof UIControls !== 'undefined') {
-      if (totalDamage > 0) {
-        UIControls.addCombatLog(`${targetCity.name} hit for ${totalDamage} damage`, 'damage');
-      }
-      if (bomberLosses.length > 0) {
-        UIControls.addCombatLog(`${bomberLosses.length} bombers shot down over ${targetCity.name}`, 'kill');
+    return { bomberLosses, damageInflicted: totalDamage };
+  },
+
+  /**
+   * Strength of a city's flak (its level, worn down by its condition)
+   * @param {object} city - City
+   * @returns {number} Flak strength (0 without flak)
+   */
+  getFlakStrength(city) {
+    return city.flak.level * CONSTANTS.FLAK_STRENGTH_PER_LEVEL * city.flak.condition;
+  },
+
+  /**
+   * Have a city's flak fire once at each bomber attacking it, independently of
+   * any fighters there. Chance of a hit = flak / (flak + defense + FLAK_RESISTANCE)
+   * @param {Array} bombers - Bombers attacking the city
+   * @param {object} city - Target city
+   * @param {RNG} rng - Random number generator
+   * @returns {Array} Bombers shot down
+   */
+  resolveFlak(bombers, city, rng) {
+    const strength = this.getFlakStrength(city);
+    if (strength <= 0) return [];
+
+    const hits = [];
+    for (const bomber of bombers) {
+      const template = GameState.getTemplate(bomber.templateId);
+      if (!template) continue;
+      const defense = template.defense * this.getEffectiveness(bomber);
+      if (rng.nextBool(strength / (strength + defense + CONSTANTS.FLAK_RESISTANCE))) {
+        hits.push({ shooter: null, target: bomber });
       }
     }
+    const losses = this.applyHits(hits, rng);
 
-    return { bomberLosses, damageInflicted: totalDamage };
+    if (GameState.debugLogCombat) {
+      console.log(`Flak at ${city.name} (strength ${strength.toFixed(0)}): ${hits.length} hits, ${losses.length} bombers shot down`);
+    }
+    return losses;
+  },
+
+  /**
+   * Wear down a city's flak by the bomb damage the city took
+   * @param {object} city - City bombed
+   * @param {number} damage - Damage in HP
+   */
+  degradeFlak(city, damage) {
+    city.flak.condition = Math.max(0, city.flak.condition - damage * CONSTANTS.FLAK_DAMAGE_PER_HP);
   },
 
   /**
@@ -169,28 +483,52 @@ const CombatSystem = {
   },
 
   /**
-   * When a neutral country is bombed, all its cities join the enemy of the attacker
+   * When a neutral country is bombed, all its cities join an enemy of the attacker
    * @param {object} city - Neutral city that was attacked
    * @param {string} attackerTeam - Team that attacked
    */
   neutralCountryJoinsEnemy(city, attackerTeam) {
     const countryName = city.country;
-    const enemyTeam = attackerTeam === 'Red' ? 'Blue' : 'Red';
+    const enemyTeam = this.findNearestEnemyTeam(city, attackerTeam);
+    if (!enemyTeam) return; // Attacker has no enemies left to side with
 
     // Get all cities in this country
     const country = GameState.countries.get(countryName);
     if (!country) return;
 
     // Assign all neutral cities in this country to the enemy team
+    const joinedCityIds = [];
     for (const countryCity of country.cities) {
       if (!countryCity.owner) {
         countryCity.owner = enemyTeam;
         GameState.teams[enemyTeam].cities.push(countryCity);
         countryCity.hp = 100; // Full HP
+        joinedCityIds.push(countryCity.id);
       }
     }
 
     console.log(`${attackerTeam} attacked neutral ${countryName} - country joins ${enemyTeam}!`);
+
+    GameState.emit('neutralJoined', {
+      countryName: countryName,
+      team: enemyTeam,
+      attackerTeam: attackerTeam,
+      cityIds: joinedCityIds
+    });
+  },
+
+  /**
+   * Find the enemy of a team that owns the city closest to a location
+   * (the neighbour a bombed neutral country turns to)
+   * @param {object} city - Reference city
+   * @param {string} teamName - Team whose enemies are considered
+   * @returns {string|null} Enemy team id or null
+   */
+  findNearestEnemyTeam(city, teamName) {
+    const [nearestCity] = GameState.cityIndex.nearest(city.lat, city.lon, 1,
+      c => GameState.areEnemies(teamName, c.owner));
+
+    return nearestCity ? nearestCity.owner : null;
   },
 
   /**
@@ -215,40 +553,55 @@ const CombatSystem = {
     // Reset HP to 0
     city.hp = 0;
 
+    // Flak batteries are lost with the city
+    city.flak = { level: 0, condition: 1 };
+
     // Clear any bomber orders targeting this city (prevent friendly fire)
     this.clearTargetingForCity(city.id);
 
     // Destroy airbase if it exists
+    const airbaseDestroyed = city.hasAirbase;
     if (city.hasAirbase) {
       city.hasAirbase = false;
       city.airbase = null;
+      GameState.airbaseIndex.remove(city);
 
-      // Remove aircraft at this airbase
-      const aircraftHere = GameState.getAircraftAtCity(city.id);
+      // Remove aircraft at this airbase, including those under repair
+      const aircraftHere = [...GameState.getAircraftAtCity(city.id), ...GameState.getAircraftInRepairAt(city.id)];
       for (const aircraft of aircraftHere) {
-        aircraft.hp = 0;
-        aircraft.status = 'destroyed';
+        this.destroyAircraft(aircraft);
       }
+    } else {
+      // An unfinished airbase is lost (the old owner's construction queue drops it)
+      city.airbase = null;
     }
 
+    // The old owner's build queue here is lost with the airbase (no refund)
+    city.queuedProduction = [];
+
     if (GameState.debugLogCombat) {
       console.log(`${newOwner} captured ${city.name} from ${oldOwner || 'neutral'}`);
     }
 
-    // Log to combat log
-    if (typeof UIControls !== 'undefined') {
-      UIControls.addCombatLog(`${newOwner} captured ${city.name}!`, 'capture');
-    }
+    GameState.emit('cityCaptured', {
+      cityId: city.id,
+      newOwner: newOwner,
+      oldOwner: oldOwner,
+      airbaseDestroyed: airbaseDestroyed
+    });
   },
 
   /**
-   * Clear all bomber orders targeting a specific city
+   * Clear bomber orders targeting a city that are no longer aimed at an enemy
    * @param {string} cityId - Target city ID to clear
    */
   clearTargetingForCity(cityId) {
+    const target = GameState.getCity(cityId);
+
     for (const city of GameState.cities) {
       if (city.hasAirbase && city.airbase && city.airbase.orders) {
-        if (city.airbase.orders.targetCityId === cityId) {
+        if (city.airbase.orders.targetCityId === cityId &&
+            !(target && GameState.areEnemies(city.owner, target.owner))) {
           city.airbase.orders = null;
           console.log(`Cleared targeting for ${city.name} - target was captured`);
         }
@@ -257,61 +610,171 @@ const CombatSystem = {
   },
 
   /**
-   * Update HP recovery for all cities (called each tick)
+   * Update HP recovery and flak repairs for all cities (called each tick)
    * @param {number} deltaMs - Time since last update
    */
   updateHPRecovery(deltaMs) {
     const hpRecoveryThisTick = CONSTANTS.HP_RECOVERY_PER_TICK * (deltaMs / CONSTANTS.TICK_MS);
+    const flakRepairThisTick = CONSTANTS.FLAK_REPAIR_PER_MIN * deltaMs / 60000;
+
+    // Research speeds up recovery in a team's cities (neutral cities recover at the base rate)
+    const recoveryByTeam = {};
+    for (const teamName in GameState.teams) {
+      recoveryByTeam[teamName] = hpRecoveryThisTick * (1 + ResearchSystem.getEffects(teamName).hpRecovery / 100);
+    }
 
     for (const city of GameState.cities) {
       if (city.hp < CONSTANTS.HP_MAX) {
-        city.hp += hpRecoveryThisTick;
+        city.hp += city.owner ? recoveryByTeam[city.owner] : hpRecoveryThisTick;
         city.hp = Math.min(CONSTANTS.HP_MAX, city.hp);
       }
+      if (city.flak.condition < 1) {
+        city.flak.condition = Math.min(1, city.flak.condition + flakRepairThisTick);
+      }
     }
   },
 
   /**
-   * Get fighters that can defend against a raid path
-   * @param {object} raidPath - {fromCity, toCity}
-   * @param {string} defenderTeam - Defending team name
-   * @returns {Array} Defending fighters
+   * Repair damaged aircraft at their airbases; an aircraft is back in service
+   * once it is at full HP
+   * @param {number} deltaMs - Time since last update in milliseconds
    */
-  getDefendingFighters(raidPath, defenderTeam) {
-    const defenders = [];
+  repairAircraft(deltaMs) {
+    const repairThisTick = CONSTANTS.AIRCRAFT_REPAIR_PER_MIN * deltaMs / 60000;
+
+    for (const aircraft of GameState.aircraft) {
+      if (aircraft.status !== 'repairing') continue;
+      aircraft.hp = Math.min(CONSTANTS.AIRCRAFT_MAX_HP, aircraft.hp + repairThisTick);
+      if (aircraft.hp >= CONSTANTS.AIRCRAFT_MAX_HP) {
+        aircraft.status = 'idle';
+      }
+    }
+  },
 
-    // Check all defending airbases
-    const defenderCities = GameState.getTeamCities(defenderTeam);
+  /**
+   * Land an aircraft at a city, counting the sortie: damaged aircraft go in
+   * for repair, the rest are ready to fly
+   * @param {object} aircraft - Aircraft
+   * @param {string} cityId - City it lands at
+   */
+  landAircraft(aircraft, cityId) {
+    aircraft.sorties++;
+    aircraft.locationCityId = cityId;
+    aircraft.status = aircraft.hp < CONSTANTS.AIRCRAFT_MAX_HP ? 'repairing' : 'idle';
+  },
 
-    for (const city of defenderCities) {
-      if (!city.hasAirbase || !city.airbase || !city.airbase.complete) continue;
+  /**
+   * Roll whether a damaged aircraft fails to make it home (chance
+   * DAMAGED_CRASH_CHANCE on its last HP, falling to 0 at full HP)
+   * @param {object} aircraft - Aircraft flying home
+   * @param {RNG} rng - Random number generator
+   * @returns {boolean} True if it crashed (it is destroyed)
+   */
+  rollReturnCrash(aircraft, rng) {
+    if (aircraft.hp <= 0 || aircraft.hp >= CONSTANTS.AIRCRAFT_MAX_HP) return false;
 
-      // Get defending fighters (non-escort fighters)
-      const fightersHere = GameState.getFightersAtCity(city.id);
-      const defendAllocation = 1 - city.airbase.escortAllocation;
-      const numDefenders = Math.floor(fightersHere.length * defendAllocation);
-      const defendingFighters = fightersHere.slice(0, numDefenders);
+    const damage = 1 - aircraft.hp / CONSTANTS.AIRCRAFT_MAX_HP;
+    if (!rng.nextBool(CONSTANTS.DAMAGED_CRASH_CHANCE * damage)) return false;
 
-      // Check if any have range to intercept the raid path
-      for (const fighter of defendingFighters) {
-        const template = GameState.getTemplate(fighter.templateId);
-        if (!template) continue;
+    this.destroyAircraft(aircraft);
+    return true;
+  },
 
-        const rangeKm = template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT;
+  /**
+   * Get an aircraft's role (from its template)
+   * @param {object} aircraft - Aircraft
+   * @returns {string|null} Role, or null if it has none
+   */
+  getRole(aircraft) {
+    const template = GameState.getTemplate(aircraft.templateId);
+    return template && template.role ? template.role : null;
+  },
 
-        // Check if fighter range overlaps raid path
-        if (MapUtils.isPathWithinRange(
-          raidPath.fromCity.lat, raidPath.fromCity.lon,
-          raidPath.toCity.lat, raidPath.toCity.lon,
-          city.lat, city.lon,
-          rangeKm
-        )) {
-          defenders.push(fighter);
-        }
+  /**
+   * Longest range among a team's fighter designs
+   * @param {string} teamName - Team name
+   * @returns {number} Range in km (0 if the team has no fighters)
+   */
+  getMaxFighterRangeKm(teamName) {
+    const fighterRanges = GameState.teams[teamName].templates
+      .filter(t => t.type === 'fighter')
+      .map(t => t.rangePoints * CONSTANTS.RANGE_KM_PER_POINT);
+    return fighterRanges.length > 0 ? Math.max(...fighterRanges) : 0;
+  },
+
+  /**
+   * Get the fighters an airbase keeps back for defense: interceptors always
+   * defend, escort-role fighters never, and the rest by the escort allocation
+   * @param {object} city - City with an airbase
+   * @returns {Array} Idle defending fighters (none if the airbase is unfinished)
+   */
+  getBaseDefenders(city) {
+    if (!city.hasAirbase || !city.airbase || !city.airbase.complete) return [];
+
+    const fightersHere = GameState.getFightersAtCity(city.id);
+    const interceptors = fightersHere.filter(f => this.getRole(f) === 'interceptor');
+    const unassigned = fightersHere.filter(f => this.getRole(f) === null);
+    const defendAllocation = 1 - city.airbase.escortAllocation;
+    const numDefenders = Math.floor(unassigned.length * defendAllocation);
+    return [...interceptors, ...unassigned.slice(0, numDefenders)];
+  },
+
+  /**
+   * Find where fighters scrambled now from an airbase catch a raid: the first
+   * point of the raid's path within their range that they can reach no later
+   * than the raid gets there (they fly at the speed of the slowest of them)
+   * @param {object} leg - {from, to, progress, oneWayTimeS}: the raid's current leg,
+   *   how far along it the raid is (0-1) and how long the whole leg takes
+   * @param {object} city - Airbase city the fighters take off from
+   * @param {Array} fighters - Scrambled fighters (non-empty)
+   * @returns {object|null} {progress, lat, lon, entry} (entry: where the rest of the
+   *   leg comes within range), or null if the raid gets away
+   */
+  findInterceptionPoint(leg, city, fighters) {
+    const templates = fighters.map(f => GameState.getTemplate(f.templateId));
+    const speedKmPerSec = Math.min(...templates.map(t => this.getSpeedKmPerSec(t)));
+    const rangeKm = Math.min(...templates.map(t => t.rangePoints * CONSTANTS.RANGE_KM_PER_POINT));
+
+    // The stretch of the rest of the leg within range
+    const window = MapUtils.pathRangeIntersection(
+      leg.from.lat, leg.from.lon, leg.to.lat, leg.to.lon, city.lat, city.lon, rangeKm);
+    if (!window || window.exit < leg.progress) return null;
+    const entry = Math.max(window.entry, leg.progress);
+
+    // How much later than the raid the fighters get to its point at progress p.
+    // Distance to a point moving along a great circle is convex and the raid's
+    // time is linear, so this falls to a single minimum and rises again
+    const pointAt = p => MapUtils.intermediatePoint(leg.from.lat, leg.from.lon, leg.to.lat, leg.to.lon, p);
+    const lateness = p => {
+      const point = pointAt(p);
+      const distanceKm = MapUtils.greatCircleDistance(city.lat, city.lon, point.lat, point.lon);
+      return distanceKm / speedKmPerSec - (p - leg.progress) * leg.oneWayTimeS;
+    };
+
+    let progress = entry;
+    if (lateness(entry) > 0) {
+      // Narrow in on the minimum; the raid gets away if they are late even there
+      let low = entry;
+      let high = window.exit;
+      for (let i = 0; i < 60; i++) {
+        const third = (high - low) / 3;
+        if (lateness(low + third) < lateness(high - third)) high -= third;
+        else low += third;
+      }
+      if (lateness(high) > 0) return null;
+
+      // Then on the first point before it where they are in time
+      low = entry;
+      for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (lateness(mid) > 0) low = mid;
+        else high = mid;
       }
+      progress = high;
     }
 
-    return defenders;
+    const point = pointAt(progress);
+    return { progress: progress, lat: point.lat, lon: point.lon, entry: entry };
   }
 };
 
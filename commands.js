@@ -0,0 +1,320 @@
+// Commands - Every player and bot action that changes the game goes through here
+//
+// A command is a plain object {tick, type, team, ...params} stamped with the
+// number of ticks completed when it was issued. The game's setup (seed, rules,
+// teams, countries or scenario, victory settings) plus its command log is a
+// complete recording: replaying it from the same seed reproduces the match
+// exactly (see replay.js).
+//
+// Bot commands are logged too, but a replay does not re-execute them: the
+// bots are deterministic and issue them again on their own (the replay checks
+// it gets the same ones). Settings left as they were are not logged at all.
+
+const Commands = {
+  RECORDING_VERSION: 19, // Bumped whenever the rules change how a recorded game plays out
+
+  // Command types: required params and the action (returns true if applied).
+  // Settings may also say when a command would leave them as they are; such
+  // commands are applied but not logged (bots repeat theirs every decision)
+  HANDLERS: {
+    setAllocation: {
+      params: ['templateId', 'allocation'],
+      unchanged(command) {
+        const templateProd = GameState.teams[command.team].templateProduction[command.templateId];
+        return !!templateProd && templateProd.allocation === Math.max(0, Math.min(100, command.allocation));
+      },
+      execute(command) {
+        const templateProd = GameState.teams[command.team].templateProduction[command.templateId];
+        if (!templateProd) return false;
+        templateProd.allocation = Math.max(0, Math.min(100, command.allocation));
+        return true;
+      }
+    },
+    createDesign: {
+      params: ['specs'], // Players and bots alike
+      execute(command) {
+        if (GameState.teams[command.team].design) return false;
+        if (ProductionSystem.getDesignProblem(command.team, command.specs)) return false;
+
+        // Name drawn here (not in the UI) so a replay consumes the same random numbers
+        const specs = { ...command.specs };
+        if (!specs.name) {
+          specs.name = ProductionSystem.generateAnimalName(GameState.rng);
+        }
+        return ProductionSystem.startDesign(command.team, specs);
+      }
+    },
+    cancelDesign: {
+      params: [],
+      execute(command) {
+        return ProductionSystem.cancelDesign(command.team);
+      }
+    },
+    produceAircraft: {
+      params: ['templateId'], // Optional count: aircraft to buy at once (default 1)
+      execute(command) {
+        const count = command.count === undefined ? 1 : command.count;
+        if (!Number.isInteger(count) || count < 1) return false;
+
+        // True if any were bought (buying stops when the treasury runs out)
+        let bought = 0;
+        while (bought < count && ProductionSystem.tryProduceAircraft(command.team, command.templateId)) {
+          bought++;
+        }
+        return bought > 0;
+      }
+    },
+    buildAirbase: {
+      params: ['cityId'],
+      execute(command) {
+        return ProductionSystem.buildAirbase(command.cityId, command.team);
+      }
+    },
+    cancelAirbaseBuild: {
+      params: ['cityId'],
+      execute(command) {
+        return ProductionSystem.cancelAirbaseBuild(command.cityId, command.team);
+      }
+    },
+    moveAirbaseBuild: {
+      params: ['cityId', 'index'],
+      execute(command) {
+        return ProductionSystem.moveAirbaseBuild(command.cityId, command.team, command.index);
+      }
+    },
+    setConstructionPlan: {
+      params: ['parallelBuilds', 'share'],
+      execute(command) {
+        return ProductionSystem.setConstructionPlan(command.team, command.parallelBuilds, command.share);
+      }
+    },
+    setTemplateDelivery: {
+      params: ['templateId', 'delivery'],
+      execute(command) {
+        return ProductionSystem.setTemplateDelivery(command.team, command.templateId, command.delivery);
+      }
+    },
+    queueAircraft: {
+      params: ['cityId', 'templateId', 'count'],
+      execute(command) {
+        return ProductionSystem.queueAircraft(command.cityId, command.team, command.templateId, command.count);
+      }
+    },
+    removeQueuedAircraft: {
+      params: ['cityId', 'index'],
+      execute(command) {
+        return ProductionSystem.removeQueuedAircraft(command.cityId, command.team, command.index);
+      }
+    },
+    startResearch: {
+      params: ['techId'],
+      execute(command) {
+        return ResearchSystem.startResearch(command.team, command.techId);
+      }
+    },
+    stopResearch: {
+      params: [],
+      execute(command) {
+        return ResearchSystem.stopResearch(command.team);
+      }
+    },
+    setResearchShare: {
+      params: ['share'],
+      unchanged(command) {
+        return GameState.teams[command.team].research.share === Math.max(0, Math.min(100, Math.round(command.share) || 0));
+      },
+      execute(command) {
+        return ResearchSystem.setResearchShare(command.team, command.share);
+      }
+    },
+    buyFlak: {
+      params: ['cityId'],
+      execute(command) {
+        return ProductionSystem.buyFlak(command.cityId, command.team);
+      }
+    },
+    setDeliveryPoint: {
+      params: ['cityId'],
+      execute(command) {
+        return ProductionSystem.setDeliveryPoint(command.cityId, command.team);
+      }
+    },
+    setBomberOrders: {
+      params: ['cityId', 'targetCityId'],
+      unchanged(command) {
+        if (!Commands.ownsAirbase(command.team, command.cityId)) return false;
+        const orders = GameState.getCity(command.cityId).airbase.orders;
+        return !!orders && orders.targetCityId === command.targetCityId;
+      },
+      execute(command) {
+        if (!Commands.ownsAirbase(command.team, command.cityId)) return false;
+        return ProductionSystem.setBomberOrders(command.cityId, command.targetCityId);
+      }
+    },
+    setEscortAllocation: {
+      params: ['cityId', 'escortAllocation'],
+      unchanged(command) {
+        return Commands.ownsAirbase(command.team, command.cityId) &&
+          GameState.getCity(command.cityId).airbase.escortAllocation === Math.max(0, Math.min(1, command.escortAllocation));
+      },
+      execute(command) {
+        if (!Commands.ownsAirbase(command.team, command.cityId)) return false;
+        GameState.getCity(command.cityId).airbase.escortAllocation =
+          Math.max(0, Math.min(1, command.escortAllocation));
+        return true;
+      }
+    },
+    rebaseAircraft: {
+      params: ['fromCityId', 'toCityId'],
+      execute(command) {
+        if (!Commands.ownsAirbase(command.team, command.fromCityId) ||
+            !Commands.ownsAirbase(command.team, command.toCityId)) return false;
+        GameState.rebaseAllAircraft(command.fromCityId, command.toCityId);
+        return true;
+      }
+    }
+  },
+
+  // Setting commands: a new value replaces one issued earlier in the same tick
+  // (for the same key param; null if the team has only one such setting)
+  COALESCE_KEYS: {
+    setAllocation: 'templateId',
+    setEscortAllocation: 'cityId',
+    setBomberOrders: 'cityId',
+    setConstructionPlan: null,
+    setResearchShare: null
+  },
+
+  setup: null,     // How the current game was started (null if unknown, e.g. an upgraded save)
+  log: [],         // Commands issued so far, in order
+  replaying: false, // True while Replay drives the game (player commands come from the recording)
+
+  /**
+   * Build a new game from a setup and start a fresh command log
+   * (GameState must already be initialized with the setup's seed and map data)
+   * @param {object} setup - {seed, ruleset, teams, allocation, scenario, bots, victory}
+   */
+  applySetup(setup) {
+    // Rules first: a scenario may bring its own ruleset, which wins
+    Rulesets.apply(setup.ruleset || Rulesets.DEFAULT_NAME);
+
+    let victory = setup.victory;
+    if (setup.scenario) {
+      // Explicit victory settings override the scenario's
+      victory = { ...ScenarioLoader.apply(setup.scenario), ...setup.victory };
+    } else {
+      GameState.setupTeams(setup.teams);
+      GameState.assignCountries(setup.allocation);
+    }
+
+    if (setup.bots) {
+      for (const teamName in GameState.teams) {
+        GameState.teams[teamName].isBot = setup.bots.includes(teamName);
+      }
+    }
+
+    AIBot.initialize();
+    MainLoop.reset();
+    VictorySystem.initialize(victory);
+
+    this.setup = JSON.parse(JSON.stringify({ ...setup, seed: GameState.seed }));
+    this.log = [];
+  },
+
+  /**
+   * Issue a command: stamp it with the current tick, log it and apply it
+   * @param {string} type - Command type (a HANDLERS key)
+   * @param {string} team - Team issuing the command
+   * @param {object} params - Command parameters
+   * @returns {boolean} True if the command was applied
+   */
+  issue(type, team, params = {}) {
+    const handler = this.HANDLERS[type];
+    if (!handler) {
+      throw new Error(`Unknown command: ${type}`);
+    }
+    for (const param of handler.params) {
+      if (params[param] === undefined) {
+        throw new Error(`Command ${type} is missing ${param}`);
+      }
+    }
+    if (!GameState.teams[team]) return false;
+
+    // While replaying, only the bots give orders
+    if (this.replaying && !GameState.teams[team].isBot) {
+      console.log('Commands are disabled during a replay');
+      return false;
+    }
+
+    return this.record({ tick: GameState.tickCount, type: type, team: team, ...params });
+  },
+
+  /**
+   * Log and apply a stamped command (a setting it would leave unchanged is
+   * neither logged nor applied)
+   * @param {object} command - {tick, type, team, ...params}
+   * @returns {boolean} True if the command was applied (or had nothing to change)
+   */
+  record(command) {
+    const handler = this.HANDLERS[command.type];
+    if (handler.unchanged && handler.unchanged(command)) return true;
+
+    const key = this.COALESCE_KEYS[command.type];
+    const last = this.log[this.log.length - 1];
+    if (key !== undefined && last && last.tick === command.tick && last.type === command.type &&
+        last.team === command.team && (key === null || last[key] === command[key])) {
+      this.log.pop();
+    }
+
+    this.log.push(command);
+    return handler.execute(command);
+  },
+
+  /**
+   * Check that a team owns a complete airbase at a city
+   * @param {string} team - Team id
+   * @param {string} cityId - City ID
+   * @returns {boolean} True if it does
+   */
+  ownsAirbase(team, cityId) {
+    const city = GameState.getCity(cityId);
+    return !!(city && city.owner === team && city.hasAirbase && city.airbase && city.airbase.complete);
+  },
+
+  /**
+   * Get the recording of the game so far (setup, command log and end tick)
+   * @returns {object|null} Recording, or null if the setup is unknown
+   */
+  getRecording() {
+    if (!this.setup) return null;
+    return {
+      version: this.RECORDING_VERSION,
+      setup: this.setup,
+      endTick: GameState.tickCount,
+      commands: this.log.slice()
+    };
+  },
+
+  /**
+   * Get the setup and log for a save
+   * @returns {object} {setup, log}
+   */
+  getSaveData() {
+    return { setup: this.setup, log: this.log.slice() };
+  },
+
+  /**
+   * Restore the setup and log from a save
+   * @param {object|null} data - {setup, log} (null for saves made before commands were logged)
+   */
+  restore(data) {
+    this.setup = data ? data.setup : null;
+    this.log = data ? data.log.slice() : [];
+    this.replaying = false;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Commands;
+}
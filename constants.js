@@ -1,26 +1,43 @@
 // Air War Game - Constants and Tunables
 // All tunable game parameters in one place for easy balancing
+// (rulesets.js can override many of them per game)
 
 const CONSTANTS = {
   // Timing
   TICK_MS: 100,                          // Game tick interval (100ms = 10 ticks/sec)
   RAID_DISPATCH_INTERVAL_S: 20,          // Raids dispatch every 20 seconds
+  SPEED_MULTIPLIERS: [1, 2, 4, 16, 64],  // Game speeds offered in the UI
+  FRAME_BUDGET_MS: 12,                   // Real ms per frame spent simulating before the loop falls behind
+  MAX_FRAME_MS: 250,                     // Longest real frame gap counted (no burst after a hidden tab)
+  FAST_FORWARD_EVENTS: ['interception', 'cityDamaged', 'cityCaptured',
+    'airbaseCompleted', 'researchCompleted', 'designCompleted', 'neutralJoined', 'gameOver'], // Events that end "next event" fast-forward
 
   // HP and Recovery
   HP_MIN: -100,
   HP_MAX: 100,
   HP_RECOVERY_PER_MIN: 60,               // +60 HP per minute toward +100
-  HP_RECOVERY_PER_TICK: 60 / 600,        // 0.1 HP per 100ms tick
+  HP_RECOVERY_PER_TICK: 60 / 600,        // Derived from HP_RECOVERY_PER_MIN and TICK_MS (see Rulesets.DERIVED)
 
   // Production
   POP_SCALE: 10000,                       // Divide population by this for production
   AIRBASE_COST_M: 50,                    // Cost to build an airbase (in Millions)
+  AIRBASE_PARALLEL_BUILDS: 1,            // Airbases a team builds at once (default; teams may change it)
+  AIRBASE_MAX_PARALLEL_BUILDS: 4,        // Most airbases a team may build at once
+  CONSTRUCTION_SHARE: 100,               // Percent of income going to construction while anything is being built
+  AIRBASE_CANCEL_REFUND: 0.5,            // Share of the money spent that a cancelled build returns
+  BASE_QUEUE_MAX_COUNT: 100,             // Most aircraft one airbase build queue entry may order
+
+  // Research (see research.js)
+  RESEARCH_SHARE: 20,                    // Percent of income going to research while researching (default)
+  RESEARCH_COST_MULTIPLIER: 1,           // Scales every technology's cost
   BOMBER_BASE_COST_M: 3,                 // Default bomber cost
   FIGHTER_BASE_COST_M: 1,                // Default fighter cost
 
   // Aircraft Design System
   DESIGN_BASE_POINTS: 18,                // Base multiplier for log10(cost) formula
   DESIGN_COST_MULTIPLIER: 1,             // Design costs 1 minute of current production
+  DESIGN_MIN_COST_M: 10,                 // Design cost floor (for teams with little or no income)
+  DESIGN_SHARE: 25,                      // Percent of income going to design work while designing
 
   // Aircraft Stats Bounds
   RANGE_MIN: 10,                         // Minimum range points
@@ -29,6 +46,12 @@ const CONSTANTS = {
   OFFENSE_MAX: 100,                      // Maximum offense points
   DEFENSE_MIN: 1,                        // Minimum defense points
   DEFENSE_MAX: 100,                      // Maximum defense points
+  SPEED_MIN: 1,                          // Minimum speed points
+  SPEED_MAX: 100,                        // Maximum speed points
+  PAYLOAD_MIN: 1,                        // Minimum payload points
+  PAYLOAD_MAX: 100,                      // Maximum payload points
+  SPEED_REFERENCE: 20,                   // Speed points that fly at RAID_SPEED_KM_PER_SEC
+  PAYLOAD_REFERENCE: 20,                 // Payload points that drop the base bomb damage
   RANGE_KM_PER_POINT: 10,                // 1 range point = 10 km
 
   // Combat
@@ -36,12 +59,59 @@ const CONSTANTS = {
   CITY_BASE_DEFENSE: 50,                 // Base defense value for cities
   BOMBER_DAMAGE_BASE: 1,                 // Base damage per bomber hit
   BOMBER_DAMAGE_SCALE: 10,               // floor(offense / 10) bonus damage
+  FIGHTER_SPEED_ADVANTAGE: 0.5,          // Fighter strength scales by (own speed / opponent speed) ^ this
+  AIR_BATTLE_MAX_ROUNDS: 5,              // Most rounds an air battle lasts
+  AIR_BATTLE_SHOOTERS_PER_TARGET: 2,     // Most fighters that can engage one aircraft in a round
+  AIR_BATTLE_BREAK_OFF: 0.5,             // Share of its fighters a side loses before breaking off
+  RAID_ABORT_LOSSES: 0.5,                // Share of its bombers a raid loses before turning back (1 = never)
+  ENGAGEMENT_MARKER_TTL_S: 30,           // Seconds of game time the map marks where an interception happened
+
+  // Aircraft damage and repair
+  AIRCRAFT_MAX_HP: 100,                  // Hit points of an undamaged aircraft
+  AIRCRAFT_HIT_DAMAGE_MIN: 40,           // Least HP one hit takes off an aircraft
+  AIRCRAFT_HIT_DAMAGE_MAX: 140,          // Most HP one hit takes off an aircraft (above AIRCRAFT_MAX_HP: some hits destroy outright)
+  DAMAGED_EFFECTIVENESS_MIN: 0.5,        // Offense and defense multiplier of an aircraft on its last HP (1 at full HP)
+  DAMAGED_CRASH_CHANCE: 0.3,             // Chance an aircraft on its last HP fails to make it home (0 at full HP)
+  AIRCRAFT_REPAIR_PER_MIN: 25,           // HP per minute repaired at the aircraft's airbase
+
+  // Veterancy (ranks in CombatSystem.VETERANCY_RANKS)
+  VETERANCY_KILL_EXPERIENCE: 5,          // Experience per kill (each sortie flown and landed is 1)
+  ACE_KILLS: 5,                          // Kills that make an aircraft an ace with a call sign
+  ACE_BONUS: 0.1,                        // Extra offense and defense for aces, on top of their rank
+
+  // Flak batteries (bought per city, see ProductionSystem.buyFlak)
+  FLAK_LEVEL_COST_M: 40,                 // Cost of a flak level (level n costs n times this)
+  FLAK_MAX_LEVEL: 5,                     // Most flak levels a city can have
+  FLAK_STRENGTH_PER_LEVEL: 20,           // Flak strength per level in full working order
+  FLAK_RESISTANCE: 100,                  // Added to a bomber's defense against flak (higher = flak hits less)
+  FLAK_DAMAGE_PER_HP: 0.01,              // Condition flak loses per HP of bomb damage to its city
+  FLAK_REPAIR_PER_MIN: 0.2,              // Condition flak regains per minute (1 = full working order)
 
   // AI Bot Behavior
   BOT_ATTACK_BIAS: 1.3,                  // Multiplier for target priority (higher = more aggressive)
   BOT_AIRBASE_BUILD_THRESHOLD: 0.8,      // Fraction of production reserved for airbase builds
   BOT_MIN_PRODUCTION_FOR_DESIGN: 100,    // Minimum M production before bot designs new aircraft
   BOT_DESIGN_CHANCE: 0.1,                // 10% chance per eligible tick to design
+  BOT_DESIGN_MIN_SPEED: 10,              // Fewest speed points a bot gives its bomber designs
+  BOT_DESIGN_POINT_STEP: 5,              // Points a bot's new bomber design has over what its best bomber's cost buys
+  BOT_FLAK_SAVING_MIN: 2,                // Most minutes of income a bot saves up to buy flak
+
+  // Victory Conditions
+  VICTORY_DEFAULT_MODES: ['conquest'],   // Any of 'conquest', 'production', 'capital', 'score'
+  VICTORY_PRODUCTION_SHARE: 0.5,         // Share of world production capacity needed to win
+  VICTORY_PRODUCTION_HOLD_S: 60,         // Seconds the production share must be held
+  VICTORY_TIME_LIMIT_MIN: 30,            // Time limit for 'score' mode (game minutes)
+
+  // Saves
+  AUTOSAVE_INTERVAL_MIN: 5,              // Game minutes between autosaves (0 = off)
+  AUTOSAVE_SLOTS: 3,                     // Autosave slots, overwritten oldest first
+  SNAPSHOT_INTERVAL_S: 30,               // Game seconds between rewind checkpoints
+  SNAPSHOT_BUFFER_SIZE: 10,              // Checkpoints kept (oldest dropped first)
+  SNAPSHOT_BUFFER_MAX_CHARS: 50000000,   // Most JSON characters all kept checkpoints may take (the newest is always kept)
+
+  // Teams
+  MIN_TEAMS: 2,                          // Fewest teams in a game
+  MAX_TEAMS: 8,                          // Most teams in a game
 
   // UI / Colors
   MIN_COLOR_LUMINANCE: 0.08,             // Minimum luminance for team colors (prevent too dark)
@@ -86,6 +156,18 @@ const ANIMAL_NAMES = [
   'Badger', 'Wolverine', 'Weasel', 'Mongoose', 'Marten'
 ];
 
+// Team slots - id is the internal key stored in city.owner; name and color can be changed at setup
+const TEAM_SLOTS = [
+  { id: 'Red', color: '#cc0000' },
+  { id: 'Blue', color: '#0066cc' },
+  { id: 'Green', color: '#2e8b57' },
+  { id: 'Gold', color: '#d4a017' },
+  { id: 'Purple', color: '#8e44ad' },
+  { id: 'Orange', color: '#e67e22' },
+  { id: 'Teal', color: '#008080' },
+  { id: 'Brown', color: '#8b4513' }
+];
+
 // Default Aircraft Templates
 const DEFAULT_TEMPLATES = {
   fighter: {
@@ -95,7 +177,10 @@ const DEFAULT_TEMPLATES = {
     rangePoints: 50,
     offense: 30,
     defense: 30,
-    name: 'Falcon'
+    speed: 20,
+    payload: 20,
+    name: 'Falcon',
+    role: null
   },
   bomber: {
     id: 'tmpl-bomber-default',
@@ -104,11 +189,35 @@ const DEFAULT_TEMPLATES = {
     rangePoints: 50,
     offense: 30,
     defense: 20,
-    name: 'Condor'
+    speed: 20,
+    payload: 20,
+    name: 'Condor',
+    role: null
   }
 };
 
+// Game events published by GameState.emit()
+// Key: event type, Value: required payload fields (every event also gets {type, tick, time})
+const GAME_EVENTS = {
+  aircraftBuilt: ['team', 'aircraftId', 'templateId', 'cityId'],
+  raidDispatched: ['raidId', 'team', 'fromCityId', 'toCityId', 'bomberIds', 'escortIds', 'distance'],
+  interception: ['raidId', 'attackerTeam', 'defenderTeam', 'escortIds', 'defenderIds', 'escortLosses', 'defenderLosses', 'bomberLosses', 'entry',
+    'rounds', 'escortsBrokeOff', 'defendersBrokeOff', 'bombersAborted', 'airbaseCityId', 'leg', 'progress', 'lat', 'lon'],
+  cityDamaged: ['raidId', 'cityId', 'attackerTeam', 'defenderTeam', 'bomberIds', 'flakLosses', 'bomberLosses', 'damage'],
+  cityCaptured: ['cityId', 'newOwner', 'oldOwner', 'airbaseDestroyed'],
+  airbaseCompleted: ['team', 'cityId'],
+  researchCompleted: ['team', 'techId'],
+  flakBuilt: ['team', 'cityId', 'level'],
+  designCompleted: ['team', 'templateId'],
+  neutralJoined: ['countryName', 'team', 'attackerTeam', 'cityIds'],
+  raidReturned: ['raidId', 'team', 'fromCityId', 'survivorIds', 'crashedIds'],
+  aceCreated: ['team', 'aircraftId', 'callSign', 'kills'],
+  aceLost: ['team', 'aircraftId', 'callSign', 'kills', 'sorties'],
+  gameOver: ['winner', 'winners', 'mode', 'reason', 'scores'],
+  autosaveFailed: ['message']
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CONSTANTS, DEFAULT_TEMPLATES };
+  module.exports = { CONSTANTS, DEFAULT_TEMPLATES, ANIMAL_NAMES, GAME_EVENTS, TEAM_SLOTS };
 }
@@ -1,17 +1,34 @@
 // Data Loader - Load GeoJSON and CSV files, create cities and placeholders
 
 const DataLoader = {
+  rawData: null, // Downloaded {geoData, citiesData}, kept so games can be rebuilt (replays)
+
   /**
    * Load all game data: GeoJSON map and cities from CSV
    * @param {RNG} rng - Random number generator for placeholder creation
    * @returns {Promise<object>} {countries, cities}
    */
   async loadGameData(rng) {
-    const [geoData, citiesData] = await Promise.all([
-      this.loadGeoJSON('custom.geo.json'),
-      this.loadCitiesCSV('all-cities-with-population.csv')
-    ]);
+    if (!this.rawData) {
+      const [geoData, citiesData] = await Promise.all([
+        this.loadGeoJSON('custom.geo.json'),
+        this.loadCitiesCSV('all-cities-with-population.csv')
+      ]);
+      this.rawData = { geoData, citiesData };
+    }
+
+    return this.buildGameData(this.rawData.geoData, this.rawData.citiesData, rng);
+  },
 
+  /**
+   * Build game data from already-loaded GeoJSON and city records
+   * (shared by the browser loader and the headless runner)
+   * @param {object} geoData - GeoJSON FeatureCollection
+   * @param {Array} citiesData - Array of city records
+   * @param {RNG} rng - Random number generator for placeholder creation
+   * @returns {object} {countries, cities, geoData}
+   */
+  buildGameData(geoData, citiesData, rng) {
     // Create country map from GeoJSON
     const countries = this.processGeoJSON(geoData);
 
@@ -57,6 +74,66 @@ const DataLoader = {
     });
   },
 
+  /**
+   * Parse CSV text into an array of records keyed by header name
+   * Handles quoted fields (e.g. "Korea, Republic of") and doubled quotes.
+   * @param {string} text - Raw CSV text
+   * @returns {Array} Array of city records
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+
+    // Flush last line if the file has no trailing newline
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    if (rows.length === 0) return [];
+
+    const header = rows[0];
+    return rows.slice(1)
+      .filter(values => values.length > 1 || values[0] !== '')
+      .map(values => {
+        const record = {};
+        header.forEach((key, index) => {
+          record[key] = values[index];
+        });
+        return record;
+      });
+  },
+
   /**
    * Process GeoJSON into country objects
    * @param {object} geoData - GeoJSON FeatureCollection
@@ -93,6 +170,7 @@ const DataLoader = {
     });
 
     const cities = [];
+    const placed = new SpatialIndex();
     let idCounter = 0;
 
     sortedData.forEach(row => {
@@ -101,12 +179,7 @@ const DataLoader = {
       const population = parseInt(row.population) || 0;
 
       // Skip if too close to an already-placed (larger) city
-      const tooClose = cities.some(existing => {
-        return MapUtils.greatCircleDistance(
-          lat, lon,
-          existing.lat, existing.lon
-        ) < CONSTANTS.MIN_CITY_SPACING_KM;
-      });
+      const tooClose = placed.withinRadius(lat, lon, CONSTANTS.MIN_CITY_SPACING_KM).length > 0;
 
       if (tooClose) return; // Skip this city
 
@@ -121,11 +194,8 @@ const DataLoader = {
         hp: 100,
         hasAirbase: false,
         airbase: null,
-        queuedProduction: {
-          fighter: 0,
-          bomber: 0,
-          designingAirbase: false
-        },
+        queuedProduction: [], // Airbase build queue: [{templateId, count, progressM}]
+        flak: { level: 0, condition: 1 }, // Flak batteries (condition 0-1, worn down by bombing)
         isPlaceholder: false,
         // Runtime properties (set by renderer)
         screenXY: null,
@@ -133,6 +203,7 @@ const DataLoader = {
       };
 
       cities.push(city);
+      placed.insert(city);
 
       // Add city to its country
       const country = countries.get(city.country);
@@ -153,6 +224,7 @@ const DataLoader = {
    */
   generatePlaceholders(countries, existingCities, rng) {
     const placeholders = [];
+    const placed = SpatialIndex.fromItems(existingCities);
     let idCounter = existingCities.length;
 
     countries.forEach((country, countryName) => {
@@ -163,12 +235,7 @@ const DataLoader = {
         const position = MapUtils.getRandomPolygonVertex(country.geometry.coordinates, rng);
 
         // Check minimum spacing from existing cities and placeholders
-        const tooClose = [...existingCities, ...placeholders].some(existing => {
-          return MapUtils.greatCircleDistance(
-            position.lat, position.lon,
-            existing.lat, existing.lon
-          ) < CONSTANTS.PLACEHOLDER_MIN_SPACING_KM;
-        });
+        const tooClose = placed.withinRadius(position.lat, position.lon, CONSTANTS.PLACEHOLDER_MIN_SPACING_KM).length > 0;
 
         if (tooClose) continue; // Skip this placeholder
 
@@ -183,17 +250,15 @@ const DataLoader = {
           hp: 100,
           hasAirbase: false,
           airbase: null,
-          queuedProduction: {
-            fighter: 0,
-            bomber: 0,
-            designingAirbase: false
-          },
+          queuedProduction: [],
+          flak: { level: 0, condition: 1 },
           isPlaceholder: true,
           screenXY: null,
           visibleRing: false
         };
 
         placeholders.push(placeholder);
+        placed.insert(placeholder);
         country.cities.push(placeholder);
       }
     });
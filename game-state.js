@@ -8,50 +8,12 @@ const GameState = {
   cities: [],
   geoData: null,  // Raw GeoJSON for country rendering
 
-  // Teams
-  teams: {
-    Red: {
-      name: 'Red',
-      color: '#cc0000',
-      cities: [],
-      aircraft: [],
-      templates: [],
-      productionAccumulated: 0,
-      productionPerMinute: 0,
-      deliveryPointCity: null,
-      isBot: false,
-      // Per-template production allocation and progress
-      // Key: templateId, Value: {allocation: 0-100, progress: 0-100}
-      templateProduction: {},
-      // Legacy fields for compatibility
-      fighterAllocation: 50,
-      bomberAllocation: 50,
-      fighterProgress: 0,
-      bomberProgress: 0,
-      selectedFighterTemplate: null,
-      selectedBomberTemplate: null
-    },
-    Blue: {
-      name: 'Blue',
-      color: '#0066cc',
-      cities: [],
-      aircraft: [],
-      templates: [],
-      productionAccumulated: 0,
-      productionPerMinute: 0,
-      deliveryPointCity: null,
-      isBot: true,
-      // Per-template production allocation and progress
-      templateProduction: {},
-      // Legacy fields for compatibility
-      fighterAllocation: 50,
-      bomberAllocation: 50,
-      fighterProgress: 0,
-      bomberProgress: 0,
-      selectedFighterTemplate: null,
-      selectedBomberTemplate: null
-    }
-  },
+  // Spatial indexes for distance queries (SpatialIndex)
+  cityIndex: null,     // Every city
+  airbaseIndex: null,  // Cities with a completed airbase
+
+  // Teams (team id -> team object), built by setupTeams()
+  teams: {},
 
   // Aircraft instances
   aircraft: [],
@@ -60,10 +22,12 @@ const GameState = {
   // Aircraft templates
   templates: [],
   templateIdCounter: 0,
+  defaultTemplates: [], // Shared default fighter and bomber given to every team
 
   // Active raids
   activeRaids: [],
   raidIdCounter: 0,
+  engagements: [], // Recent interceptions, for the map: {raidId, leg, progress, lat, lon, team, cityId, time}
 
   // Game timing
   tickCount: 0,
@@ -71,9 +35,16 @@ const GameState = {
   isPaused: false,
   speedMultiplier: 1,
 
+  // Victory conditions (set by VictorySystem.initialize) and final result
+  victory: null,
+  gameOver: null, // {winner, mode, reason, scores, tick, time} once the game has ended
+
   // Debug
   debugLogCombat: false,
 
+  // Event subscribers (event type -> array of handlers), kept across games
+  eventListeners: {},
+
   /**
    * Initialize game state with seed and data
    * @param {number} seed - Random seed
@@ -93,13 +64,207 @@ const GameState = {
     this.templateIdCounter = 0;
     this.activeRaids = [];
     this.raidIdCounter = 0;
+    this.engagements = [];
     this.tickCount = 0;
     this.elapsedSeconds = 0;
     this.isPaused = false;
     this.speedMultiplier = 1;
+    this.victory = null;
+    this.gameOver = null;
+
+    this.rebuildSpatialIndexes();
 
     // Create default templates
     this.createDefaultTemplates();
+
+    // Classic two-team setup until the launch screen or a runner replaces it
+    this.setupTeams([
+      { id: 'Red', isBot: false },
+      { id: 'Blue', isBot: true }
+    ]);
+  },
+
+  /**
+   * Rebuild the city and airbase indexes from the city list
+   * (call after bulk changes such as loading a save)
+   */
+  rebuildSpatialIndexes() {
+    this.cityIndex = SpatialIndex.fromItems(this.cities);
+    this.airbaseIndex = SpatialIndex.fromItems(
+      this.cities.filter(c => c.hasAirbase && c.airbase && c.airbase.complete)
+    );
+  },
+
+  /**
+   * Replace all teams with a new set
+   * @param {Array} configs - [{id, name, color, isBot, alliance}], ids from TEAM_SLOTS
+   */
+  setupTeams(configs) {
+    if (configs.length < CONSTANTS.MIN_TEAMS || configs.length > CONSTANTS.MAX_TEAMS) {
+      throw new Error(`A game needs ${CONSTANTS.MIN_TEAMS}-${CONSTANTS.MAX_TEAMS} teams, got ${configs.length}`);
+    }
+
+    this.teams = {};
+    for (const config of configs) {
+      if (this.teams[config.id]) {
+        throw new Error(`Duplicate team id: ${config.id}`);
+      }
+      this.teams[config.id] = this.createTeam(config);
+    }
+  },
+
+  /**
+   * Create a team object with the default templates
+   * @param {object} config - {id, name, color, isBot, alliance}
+   * @returns {object} New team
+   */
+  createTeam(config) {
+    const slot = TEAM_SLOTS.find(s => s.id === config.id);
+
+    const team = {
+      name: config.name || config.id,
+      color: config.color || (slot ? slot.color : '#999999'),
+      alliance: config.alliance || config.id, // Teams sharing an alliance never fight each other
+      cities: [],
+      aircraft: [],
+      aircraftLost: 0, // Aircraft destroyed so far (destroyed aircraft are then forgotten)
+      templates: this.defaultTemplates.slice(),
+      productionPerMinute: 0,
+      // Economy (see ProductionSystem): treasury, income and spending by category
+      ledger: {
+        treasuryM: 0,      // Unspent production
+        incomeByCity: {},  // City ID -> current income (M per minute)
+        earnedM: 0,        // Total income so far
+        spentM: { airbases: 0, designs: 0, research: 0, flak: 0, templates: {} } // templates: template ID -> M (airbases net of refunds)
+      },
+      // Airbase construction (see ProductionSystem.processAirbaseBuilds)
+      construction: {
+        queue: [],         // City IDs in build order; the first parallelBuilds are in progress
+        parallelBuilds: CONSTANTS.AIRBASE_PARALLEL_BUILDS,
+        share: CONSTANTS.CONSTRUCTION_SHARE // Percent of income for construction while building
+      },
+      // Technologies (see ResearchSystem)
+      research: ResearchSystem.createState(),
+      // Aircraft design under way (see ProductionSystem.processDesign): null or {specs, costM, progressM}
+      design: null,
+      deliveryPointCity: null,
+      isBot: !!config.isBot,
+      // Per-template production allocation (percent of income) and progress
+      // Key: templateId, Value: {allocation: 0-100, progress: 0-100,
+      //   delivery: null (delivery point) | airbase cityId | 'spread', spreadIndex}
+      templateProduction: {},
+      // Legacy fields for compatibility
+      fighterAllocation: 50,
+      bomberAllocation: 50,
+      fighterProgress: 0,
+      bomberProgress: 0,
+      selectedFighterTemplate: null,
+      selectedBomberTemplate: null
+    };
+
+    for (const template of this.defaultTemplates) {
+      team.templateProduction[template.id] = { allocation: 50, progress: 0, delivery: null, spreadIndex: 0 };
+    }
+
+    return team;
+  },
+
+  /**
+   * Check whether two teams are enemies (different alliances)
+   * @param {string|null} teamA - Team id (null for neutral)
+   * @param {string|null} teamB - Team id (null for neutral)
+   * @returns {boolean} True if both are teams in different alliances
+   */
+  areEnemies(teamA, teamB) {
+    if (!teamA || !teamB || teamA === teamB) return false;
+    const a = this.teams[teamA];
+    const b = this.teams[teamB];
+    if (!a || !b) return false;
+    return a.alliance !== b.alliance;
+  },
+
+  /**
+   * Get all teams that are enemies of a team
+   * @param {string} teamName - Team id
+   * @returns {Array} Enemy team ids
+   */
+  getEnemyTeams(teamName) {
+    return Object.keys(this.teams).filter(other => this.areEnemies(teamName, other));
+  },
+
+  /**
+   * Get a team and all its allies
+   * @param {string} teamName - Team id
+   * @returns {Array} Team ids in the same alliance (including teamName)
+   */
+  getAlliedTeams(teamName) {
+    const team = this.teams[teamName];
+    if (!team) return [];
+    return Object.keys(this.teams).filter(other => this.teams[other].alliance === team.alliance);
+  },
+
+  /**
+   * Subscribe to a game event
+   * @param {string} type - Event type (key of GAME_EVENTS) or '*' for all events
+   * @param {function} handler - Called with the event object
+   * @returns {function} Unsubscribe function
+   */
+  on(type, handler) {
+    if (type !== '*' && !GAME_EVENTS[type]) {
+      throw new Error(`Unknown game event type: ${type}`);
+    }
+    if (!this.eventListeners[type]) {
+      this.eventListeners[type] = [];
+    }
+    this.eventListeners[type].push(handler);
+    return () => this.off(type, handler);
+  },
+
+  /**
+   * Unsubscribe from a game event
+   * @param {string} type - Event type
+   * @param {function} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    const listeners = this.eventListeners[type];
+    if (!listeners) return;
+    this.eventListeners[type] = listeners.filter(h => h !== handler);
+  },
+
+  /**
+   * Publish a game event to all subscribers
+   * @param {string} type - Event type (key of GAME_EVENTS)
+   * @param {object} payload - Event data; must contain the fields listed in GAME_EVENTS
+   * @returns {object} The published event
+   */
+  emit(type, payload) {
+    const fields = GAME_EVENTS[type];
+    if (!fields) {
+      throw new Error(`Unknown game event type: ${type}`);
+    }
+    for (const field of fields) {
+      if (!(field in payload)) {
+        throw new Error(`Game event ${type} is missing field: ${field}`);
+      }
+    }
+
+    const event = {
+      type: type,
+      tick: this.tickCount,
+      time: this.elapsedSeconds,
+      ...payload
+    };
+
+    const handlers = [...(this.eventListeners[type] || []), ...(this.eventListeners['*'] || [])];
+    for (const handler of handlers) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Error in ${type} event handler:`, error);
+      }
+    }
+
+    return event;
   },
 
   /**
@@ -112,8 +277,6 @@ const GameState = {
       id: `tmpl-${this.templateIdCounter++}`
     };
     this.templates.push(defaultFighter);
-    this.teams.Red.templates.push(defaultFighter);
-    this.teams.Blue.templates.push(defaultFighter);
 
     // Default bomber
     const defaultBomber = {
@@ -121,30 +284,24 @@ const GameState = {
       id: `tmpl-${this.templateIdCounter++}`
     };
     this.templates.push(defaultBomber);
-    this.teams.Red.templates.push(defaultBomber);
-    this.teams.Blue.templates.push(defaultBomber);
 
-    // Initialize templateProduction for both teams
-    for (const teamName in this.teams) {
-      const team = this.teams[teamName];
-      team.templateProduction[defaultFighter.id] = { allocation: 50, progress: 0 };
-      team.templateProduction[defaultBomber.id] = { allocation: 50, progress: 0 };
-    }
+    this.defaultTemplates = [defaultFighter, defaultBomber];
   },
 
   /**
    * Assign countries to teams during game setup
-   * @param {object} allocation - {countryName: "Red"|"Blue"|null}
+   * @param {object} allocation - {countryName: teamId|null}
    */
   assignCountries(allocation) {
     // Reset team cities
-    this.teams.Red.cities = [];
-    this.teams.Blue.cities = [];
+    for (const teamName in this.teams) {
+      this.teams[teamName].cities = [];
+    }
 
     // Assign cities based on country allocation
     this.cities.forEach(city => {
       const teamName = allocation[city.country];
-      if (teamName) {
+      if (teamName && this.teams[teamName]) {
         city.owner = teamName;
         this.teams[teamName].cities.push(city);
       } else {
@@ -181,6 +338,7 @@ const GameState = {
       };
 
       team.deliveryPointCity = largestCity;
+      this.airbaseIndex.insert(largestCity);
     }
   },
 
@@ -201,8 +359,11 @@ const GameState = {
       templateId: templateId,
       locationCityId: cityId,
       homeCityId: cityId, // Assigned base - stays even when in flight
-      status: 'idle',
-      hp: 1,
+      status: 'idle', // 'idle', 'onRaid', 'scrambled', 'repairing' or 'destroyed'
+      hp: CONSTANTS.AIRCRAFT_MAX_HP,
+      sorties: 0,     // Sorties flown and landed
+      kills: 0,       // Aircraft shot down
+      callSign: null, // Set when the aircraft becomes an ace
       owner: teamName
     };
 
@@ -215,18 +376,23 @@ const GameState = {
   /**
    * Create a custom aircraft template
    * @param {string} teamName - Team creating the template
-   * @param {object} specs - {type, costM, rangePoints, offense, defense, name}
+   * @param {object} specs - {type, costM, rangePoints, offense, defense, speed, payload, name, role}
    * @returns {object} New template
    */
   createTemplate(teamName, specs) {
+    // Stats are capped by the rules plus the team's research
+    const caps = ResearchSystem.getStatCaps(teamName);
     const template = {
       id: `tmpl-${this.templateIdCounter++}`,
       type: specs.type,
       costM: specs.costM,
-      rangePoints: Math.max(CONSTANTS.RANGE_MIN, Math.min(CONSTANTS.RANGE_MAX, specs.rangePoints)),
-      offense: Math.max(CONSTANTS.OFFENSE_MIN, Math.min(CONSTANTS.OFFENSE_MAX, specs.offense)),
-      defense: Math.max(CONSTANTS.DEFENSE_MIN, Math.min(CONSTANTS.DEFENSE_MAX, specs.defense)),
-      name: specs.name || `Custom ${specs.type}`
+      rangePoints: Math.max(CONSTANTS.RANGE_MIN, Math.min(caps.rangeMax, specs.rangePoints)),
+      offense: Math.max(CONSTANTS.OFFENSE_MIN, Math.min(caps.offenseMax, specs.offense)),
+      defense: Math.max(CONSTANTS.DEFENSE_MIN, Math.min(caps.defenseMax, specs.defense)),
+      speed: Math.max(CONSTANTS.SPEED_MIN, Math.min(caps.speedMax, specs.speed || 0)),
+      payload: Math.max(CONSTANTS.PAYLOAD_MIN, Math.min(caps.payloadMax, specs.payload || 0)),
+      name: specs.name || `Custom ${specs.type}`,
+      role: specs.role || null // Fighter role unlocked by research (see ResearchSystem.ROLES)
     };
 
     this.templates.push(template);
@@ -234,7 +400,7 @@ const GameState = {
 
     // Initialize production allocation for new template
     const team = this.teams[teamName];
-    team.templateProduction[template.id] = { allocation: 0, progress: 0 };
+    team.templateProduction[template.id] = { allocation: 0, progress: 0, delivery: null, spreadIndex: 0 };
 
     return template;
   },
@@ -248,6 +414,15 @@ const GameState = {
     return this.aircraft.filter(a => a.locationCityId === cityId && a.status === 'idle' && a.hp > 0);
   },
 
+  /**
+   * Get aircraft being repaired at a city
+   * @param {string} cityId - City ID
+   * @returns {Array} Aircraft in repair at this city
+   */
+  getAircraftInRepairAt(cityId) {
+    return this.aircraft.filter(a => a.locationCityId === cityId && a.status === 'repairing');
+  },
+
   /**
    * Get all aircraft assigned to a city (including those in flight)
    * @param {string} cityId - City ID
@@ -284,6 +459,28 @@ const GameState = {
     return this.getAircraftAssignedToCity(cityId).filter(a => a.type === 'bomber');
   },
 
+  /**
+   * Forget destroyed aircraft once no raid refers to them any more (teams
+   * keep count of them in aircraftLost), so the aircraft list and saves only
+   * grow with the fleets in play
+   */
+  pruneDestroyedAircraft() {
+    if (!this.aircraft.some(a => a.hp <= 0)) return;
+
+    const inRaids = new Set();
+    for (const raid of this.activeRaids) {
+      for (const aircraft of [...raid.bombers, ...raid.escorts, ...raid.waves.flatMap(w => w.fighters)]) {
+        inRaids.add(aircraft.id);
+      }
+    }
+
+    const keep = a => a.hp > 0 || inRaids.has(a.id);
+    this.aircraft = this.aircraft.filter(keep);
+    for (const teamName in this.teams) {
+      this.teams[teamName].aircraft = this.teams[teamName].aircraft.filter(keep);
+    }
+  },
+
   /**
    * Re-base aircraft to a new city
    * @param {string} aircraftId - Aircraft ID
@@ -366,7 +563,7 @@ const GameState = {
   },
 
   /**
-   * Check if a country is contested (both teams have cities)
+   * Check if a country is contested (more than one team has cities)
    * @param {string} countryName - Country name
    * @returns {boolean} True if contested
    */
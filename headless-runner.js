@@ -0,0 +1,324 @@
+// Headless Runner - Run full games under Node.js without Renderer or UIControls
+//
+// Usage:
+//   node headless-runner.js --seed 42 --red "China,India" --blue "United States" --minutes 30
+//   node headless-runner.js --seed 42 --allocation allocation.json --ticks 20000
+//   node headless-runner.js --seed 42 --red France --blue Germany --victory conquest,score --score-minutes 20
+//   node headless-runner.js --seed 42 --red France --blue Germany --green Spain --alliances "Red,Green;Blue"
+//   node headless-runner.js --scenario scenarios/battle-of-britain.json --minutes 20
+//   node headless-runner.js --seed 42 --red France --blue Germany --ruleset Fast
+//   node headless-runner.js --seed 42 --red France --blue Germany --record game.replay.json
+//   node headless-runner.js --replay game.replay.json
+//
+// Country names match the `country` column of the cities CSV. Each team slot
+// (--red, --blue, --green, --gold, --purple, --orange, --teal, --brown) takes a
+// country list. An allocation file is a JSON object of {countryName: teamId}.
+// All teams are bots unless --bots names a subset. --record writes the game's
+// recording (setup and command log); --replay plays one back to its last tick
+// and reports whether it still matches.
+
+const fs = require('fs');
+const path = require('path');
+
+const HeadlessRunner = {
+  DEFAULT_TIME_LIMIT_S: 600,  // 10 minutes of game time if no limit given
+  eventCounts: {},
+  eventCounter: null,
+
+  /**
+   * Expose the game modules as globals, mirroring the browser's script tags
+   */
+  loadModules() {
+    const { CONSTANTS, DEFAULT_TEMPLATES, ANIMAL_NAMES, GAME_EVENTS, TEAM_SLOTS } = require('./constants.js');
+    Object.assign(global, {
+      CONSTANTS,
+      DEFAULT_TEMPLATES,
+      ANIMAL_NAMES,
+      GAME_EVENTS,
+      TEAM_SLOTS,
+      Rulesets: require('./rulesets.js'),
+      RNG: require('./rng.js'),
+      MapUtils: require('./map-utils.js'),
+      SpatialIndex: require('./spatial-index.js'),
+      DataLoader: require('./data-loader.js'),
+      GameState: require('./game-state.js'),
+      ProductionSystem: require('./production.js'),
+      ResearchSystem: require('./research.js'),
+      CombatSystem: require('./combat.js'),
+      AIBot: require('./ai-bot.js'),
+      VictorySystem: require('./victory.js'),
+      ScenarioLoader: require('./scenario.js'),
+      Commands: require('./commands.js'),
+      MainLoop: require('./main-loop.js'),
+      Replay: require('./replay.js')
+    });
+
+    // Replays rebuild the map from disk instead of fetching it
+    Replay.loadGameData = async (seed) => this.loadGameDataFromDisk(new RNG(seed));
+  },
+
+  /**
+   * Load map and city data straight from disk
+   * @param {RNG} rng - Random number generator for placeholder creation
+   * @param {string} baseDir - Directory containing the data files
+   * @returns {object} {countries, cities, geoData}
+   */
+  loadGameDataFromDisk(rng, baseDir = __dirname) {
+    const geoData = JSON.parse(fs.readFileSync(path.join(baseDir, 'custom.geo.json'), 'utf8'));
+    const csvText = fs.readFileSync(path.join(baseDir, 'all-cities-with-population.csv'), 'utf8');
+    const citiesData = DataLoader.parseCSV(csvText);
+    return DataLoader.buildGameData(geoData, citiesData, rng);
+  },
+
+  /**
+   * Run a complete game as fast as possible
+   * @param {object} options - {seed, allocation, teams, scenario, bots, ruleset, victory, maxTicks, maxSeconds}
+   * @returns {object} Final summary
+   */
+  run(options) {
+    const seed = options.seed >>> 0;
+    const gameData = this.loadGameDataFromDisk(new RNG(seed));
+    this.countEvents();
+
+    GameState.initialize(seed, gameData);
+
+    const setup = { ruleset: options.ruleset || Rulesets.DEFAULT_NAME, victory: options.victory };
+    if (options.scenario) {
+      // Command line victory settings override the scenario's; all teams are bots by default
+      setup.scenario = options.scenario;
+      setup.bots = options.bots || options.scenario.teams.map(t => t.id);
+    } else {
+      setup.teams = options.teams;
+      setup.allocation = options.allocation;
+    }
+    Commands.applySetup(setup);
+
+    const maxTicks = options.maxTicks ||
+      Math.ceil(((options.maxSeconds || this.DEFAULT_TIME_LIMIT_S) * 1000) / CONSTANTS.TICK_MS);
+
+    const startedAt = Date.now();
+    while (GameState.tickCount < maxTicks && !GameState.gameOver) {
+      MainLoop.tick();
+    }
+
+    return this.buildSummary(Date.now() - startedAt);
+  },
+
+  /**
+   * Play a recording back to its last tick
+   * @param {object} recording - Parsed recording (see Replay.parse)
+   * @returns {Promise<object>} Final summary, with whether the replay matched
+   */
+  async replay(recording) {
+    this.countEvents();
+    await Replay.start(recording);
+
+    const startedAt = Date.now();
+    Replay.runToEnd();
+
+    const summary = this.buildSummary(Date.now() - startedAt);
+    summary.replay = {
+      endTick: recording.endTick,
+      matched: Replay.divergedAtTick === null && Commands.log.length === recording.commands.length,
+      divergedAtTick: Replay.divergedAtTick
+    };
+    return summary;
+  },
+
+  /**
+   * Count every published event for the summary
+   */
+  countEvents() {
+    this.eventCounts = {};
+    GameState.off('*', this.eventCounter);
+    this.eventCounter = (event) => {
+      this.eventCounts[event.type] = (this.eventCounts[event.type] || 0) + 1;
+    };
+    GameState.on('*', this.eventCounter);
+  },
+
+  /**
+   * Build a JSON-friendly summary of the current game state
+   * @param {number} wallClockMs - Real time spent simulating
+   * @returns {object} Summary
+   */
+  buildSummary(wallClockMs) {
+    const summary = {
+      seed: GameState.seed,
+      ticks: GameState.tickCount,
+      elapsedSeconds: GameState.elapsedSeconds,
+      wallClockMs: wallClockMs,
+      activeRaids: GameState.activeRaids.length,
+      result: GameState.gameOver,
+      events: this.eventCounts,
+      teams: {}
+    };
+
+    for (const teamName in GameState.teams) {
+      const team = GameState.teams[teamName];
+      const cities = GameState.getTeamCities(teamName);
+      const alive = team.aircraft.filter(a => a.hp > 0);
+
+      summary.teams[teamName] = {
+        isBot: team.isBot,
+        alliance: team.alliance,
+        cities: cities.length,
+        airbases: cities.filter(c => c.hasAirbase && c.airbase && c.airbase.complete).length,
+        productionPerMinute: Number(team.productionPerMinute.toFixed(3)),
+        treasuryM: Number(team.ledger.treasuryM.toFixed(3)),
+        spentM: {
+          airbases: Number(team.ledger.spentM.airbases.toFixed(3)),
+          research: Number(team.ledger.spentM.research.toFixed(3)),
+          designs: Number(team.ledger.spentM.designs.toFixed(3)),
+          flak: Number(team.ledger.spentM.flak.toFixed(3)),
+          aircraft: Number(Object.values(team.ledger.spentM.templates).reduce((sum, m) => sum + m, 0).toFixed(3))
+        },
+        fighters: alive.filter(a => a.type === 'fighter').length,
+        bombers: alive.filter(a => a.type === 'bomber').length,
+        aircraftLost: team.aircraftLost,
+        aces: alive.filter(a => a.callSign).map(a => `${a.callSign} (${a.kills})`),
+        templates: team.templates.length,
+        research: team.research.completed.slice()
+      };
+    }
+
+    return summary;
+  },
+
+  /**
+   * Parse command line arguments
+   * @param {Array} argv - Arguments after the script name
+   * @returns {object} Run options
+   */
+  parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (!arg.startsWith('--')) {
+        throw new Error(`Unexpected argument: ${arg}`);
+      }
+      const key = arg.slice(2);
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for --${key}`);
+      }
+      args[key] = value;
+      i++;
+    }
+
+    const victory = {};
+    if (args.victory) victory.modes = args.victory.split(',').map(m => m.trim());
+    if (args.share) victory.productionShare = parseFloat(args.share);
+    if (args['score-minutes']) victory.timeLimitS = parseFloat(args['score-minutes']) * 60;
+
+    // --ruleset takes a preset name or a ruleset JSON file
+    let ruleset = args.ruleset || null;
+    if (ruleset && !Rulesets.PRESETS[ruleset]) {
+      ruleset = JSON.parse(fs.readFileSync(ruleset, 'utf8'));
+    }
+
+    // A recording brings its own setup
+    if (args.replay) {
+      return { replay: Replay.parse(fs.readFileSync(args.replay, 'utf8')) };
+    }
+
+    const options = {
+      record: args.record || null,
+      seed: args.seed !== undefined ? parseInt(args.seed) : Math.floor(Math.random() * 1000000),
+      ruleset: ruleset,
+      victory: victory,
+      maxTicks: args.ticks ? parseInt(args.ticks) : null,
+      maxSeconds: args.minutes ? parseFloat(args.minutes) * 60 : (args.seconds ? parseFloat(args.seconds) : null)
+    };
+
+    // A scenario declares its own teams and countries
+    if (args.scenario) {
+      options.scenario = ScenarioLoader.parse(fs.readFileSync(args.scenario, 'utf8'));
+      options.bots = args.bots ? args.bots.split(',').map(t => t.trim()) : null;
+      if (args.seed === undefined && options.scenario.seed !== undefined) {
+        options.seed = options.scenario.seed;
+      }
+      return options;
+    }
+
+    const allocation = {};
+    if (args.allocation) {
+      Object.assign(allocation, JSON.parse(fs.readFileSync(args.allocation, 'utf8')));
+    }
+    for (const slot of TEAM_SLOTS) {
+      const list = args[slot.id.toLowerCase()];
+      if (!list) continue;
+      for (const country of list.split(',')) {
+        if (country.trim()) allocation[country.trim()] = slot.id;
+      }
+    }
+
+    if (Object.keys(allocation).length === 0) {
+      throw new Error('No countries allocated (use --red/--blue/..., --allocation or --scenario)');
+    }
+
+    // Teams are the slots that received countries, in slot order (at least MIN_TEAMS)
+    const usedTeams = new Set(Object.values(allocation));
+    let teamIds = TEAM_SLOTS.map(s => s.id).filter(id => usedTeams.has(id));
+    const unknown = [...usedTeams].filter(id => !TEAM_SLOTS.some(s => s.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown team in allocation: ${unknown.join(', ')}`);
+    }
+    for (const slot of TEAM_SLOTS) {
+      if (teamIds.length >= CONSTANTS.MIN_TEAMS) break;
+      if (!teamIds.includes(slot.id)) teamIds.push(slot.id);
+    }
+    teamIds = TEAM_SLOTS.map(s => s.id).filter(id => teamIds.includes(id));
+
+    // Alliances: "Red,Green;Blue" (unlisted teams stand alone)
+    const alliances = {};
+    if (args.alliances) {
+      args.alliances.split(';').forEach((group, index) => {
+        for (const id of group.split(',').map(t => t.trim()).filter(Boolean)) {
+          if (!teamIds.includes(id)) throw new Error(`Unknown team in --alliances: ${id}`);
+          alliances[id] = `alliance-${index + 1}`;
+        }
+      });
+    }
+
+    const bots = args.bots ? args.bots.split(',').map(t => t.trim()) : teamIds;
+    const teams = teamIds.map(id => ({
+      id: id,
+      isBot: bots.includes(id),
+      alliance: alliances[id] || id
+    }));
+
+    options.allocation = allocation;
+    options.teams = teams;
+    return options;
+  }
+};
+
+if (require.main === module) {
+  // Keep stdout clean for the JSON summary; simulation logging goes to stderr
+  console.log = console.error;
+
+  const main = async () => {
+    HeadlessRunner.loadModules();
+    const options = HeadlessRunner.parseArgs(process.argv.slice(2));
+
+    if (options.replay) {
+      return HeadlessRunner.replay(options.replay);
+    }
+
+    const summary = HeadlessRunner.run(options);
+    if (options.record) {
+      fs.writeFileSync(options.record, JSON.stringify(Commands.getRecording()));
+    }
+    return summary;
+  };
+
+  main().then((summary) => {
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+  }).catch((error) => {
+    console.error(`headless-runner: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = HeadlessRunner;
@@ -1,23 +1,42 @@
 // Main Game Loop - Tick loop, raid dispatching, and game progression
 
 const MainLoop = {
-  intervalHandle: null,
+  frameHandle: null,   // requestAnimationFrame handle while the loop runs
+  step: null,          // Advances the game one tick; returns false to stop the loop
+  lastFrameTime: 0,    // Timestamp of the previous frame (ms)
+  accumulatorMs: 0,    // Game time owed to the simulation, run off in whole ticks
+  effectiveSpeed: 0,   // Measured game speed (below the multiplier if the loop can't keep up)
+  speedSample: { ticks: 0, ms: 0 },
+  fastForward: null,   // {filter, hit, unsubscribe} while running to the next event
   lastDispatchTimes: new Map(), // airbase city ID -> last dispatch time
+  snapshots: [],       // Rewind checkpoints, oldest first: {tick, elapsedSeconds, data (save JSON)}
+  lastSnapshotS: 0,    // Game time of the last checkpoint
 
   /**
-   * Start the game loop
+   * Forget dispatch timing and checkpoints from a previous game
    */
-  start() {
-    if (this.intervalHandle) {
+  reset() {
+    this.lastDispatchTimes = new Map();
+    this.clearSnapshots();
+  },
+
+  /**
+   * Start the game loop: simulation ticks at a fixed timestep, drawing once per frame
+   * @param {function} step - Optional tick function returning false to stop (replay playback)
+   */
+  start(step = null) {
+    if (this.frameHandle) {
       this.stop();
     }
 
-    // Calculate effective tick interval based on speed
-    const effectiveTickMs = CONSTANTS.TICK_MS / GameState.speedMultiplier;
-
-    this.intervalHandle = setInterval(() => {
+    this.step = step || (() => {
       this.tick();
-    }, effectiveTickMs);
+      return true;
+    });
+    this.lastFrameTime = performance.now();
+    this.accumulatorMs = 0;
+    this.speedSample = { ticks: 0, ms: 0 };
+    this.frameHandle = requestAnimationFrame(time => this.frame(time));
 
     console.log('Game loop started');
   },
@@ -26,30 +45,143 @@ const MainLoop = {
    * Stop the game loop
    */
   stop() {
-    if (this.intervalHandle) {
-      clearInterval(this.intervalHandle);
-      this.intervalHandle = null;
+    if (this.frameHandle) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+      this.effectiveSpeed = 0;
+      this.endFastForward();
       console.log('Game loop stopped');
     }
   },
 
+  /**
+   * Whether the loop is running
+   * @returns {boolean} True while running
+   */
+  isRunning() {
+    return this.frameHandle !== null;
+  },
+
+  /**
+   * One animation frame: run the ticks owed for the real time that passed, then draw
+   * @param {number} time - Frame timestamp (ms)
+   */
+  frame(time) {
+    this.frameHandle = requestAnimationFrame(next => this.frame(next));
+
+    const frameMs = Math.max(0, Math.min(time - this.lastFrameTime, CONSTANTS.MAX_FRAME_MS));
+    this.lastFrameTime = time;
+
+    if (GameState.isPaused) {
+      this.accumulatorMs = 0;
+    } else {
+      this.accumulatorMs += frameMs * GameState.speedMultiplier;
+    }
+
+    // Every tick advances exactly TICK_MS of game time, however fast the game runs
+    const deadline = performance.now() + CONSTANTS.FRAME_BUDGET_MS;
+    let ticks = 0;
+    while (this.frameHandle && !GameState.isPaused &&
+           (this.fastForward || this.accumulatorMs >= CONSTANTS.TICK_MS)) {
+      if (!this.step()) {
+        this.stop();
+        break;
+      }
+      ticks++;
+      this.accumulatorMs = Math.max(0, this.accumulatorMs - CONSTANTS.TICK_MS);
+
+      if (this.fastForward && this.fastForward.hit) {
+        this.endFastForward();
+        break;
+      }
+      if (performance.now() >= deadline) {
+        // Too slow for the multiplier: drop the backlog instead of falling further behind
+        this.accumulatorMs %= CONSTANTS.TICK_MS;
+        break;
+      }
+    }
+
+    this.measureSpeed(ticks, frameMs);
+
+    if (typeof Renderer !== 'undefined') {
+      Renderer.render();
+    }
+  },
+
+  /**
+   * Update the measured game speed (averaged over about a second of real time)
+   * @param {number} ticks - Ticks run this frame
+   * @param {number} frameMs - Real time since the previous frame
+   */
+  measureSpeed(ticks, frameMs) {
+    this.speedSample.ticks += ticks;
+    this.speedSample.ms += frameMs;
+    if (this.speedSample.ms >= 1000) {
+      this.effectiveSpeed = this.speedSample.ticks * CONSTANTS.TICK_MS / this.speedSample.ms;
+      this.speedSample = { ticks: 0, ms: 0 };
+    }
+  },
+
+  /**
+   * Run the game as fast as possible until a notable event (see FAST_FORWARD_EVENTS)
+   * @param {function} filter - Optional predicate on events; only matching events stop it
+   */
+  startFastForward(filter = null) {
+    this.endFastForward();
+
+    const fastForward = { filter: filter, hit: false, unsubscribe: [] };
+    for (const type of CONSTANTS.FAST_FORWARD_EVENTS) {
+      fastForward.unsubscribe.push(GameState.on(type, (event) => {
+        if (!fastForward.filter || fastForward.filter(event)) {
+          fastForward.hit = true;
+        }
+      }));
+    }
+    this.fastForward = fastForward;
+    console.log('Fast-forwarding to the next event');
+  },
+
+  /**
+   * Leave fast-forward and continue at the normal speed
+   */
+  endFastForward() {
+    if (!this.fastForward) return;
+
+    for (const unsubscribe of this.fastForward.unsubscribe) {
+      unsubscribe();
+    }
+    this.fastForward = null;
+    this.accumulatorMs = 0;
+  },
+
+  /**
+   * Whether the loop is fast-forwarding to the next event
+   * @returns {boolean} True while fast-forwarding
+   */
+  isFastForwarding() {
+    return !!this.fastForward;
+  },
+
   /**
    * Main game tick
    */
   tick() {
-    if (GameState.isPaused) return;
+    if (GameState.isPaused || GameState.gameOver) return;
 
     // Update time
     GameState.updateTime();
 
-    // Update production
-    ProductionSystem.updateProduction(CONSTANTS.TICK_MS);
-
-    // Process airbase builds
+    // Credit income, then pay for airbase builds, research, designs and airbase build queues before allocations
+    ProductionSystem.updateIncome(CONSTANTS.TICK_MS);
     ProductionSystem.processAirbaseBuilds(CONSTANTS.TICK_MS);
+    ResearchSystem.processResearch(CONSTANTS.TICK_MS);
+    ProductionSystem.processDesign(CONSTANTS.TICK_MS);
+    ProductionSystem.processBaseQueues();
+    ProductionSystem.updateProduction(CONSTANTS.TICK_MS);
 
-    // Update HP recovery
+    // Update HP recovery and aircraft repairs
     CombatSystem.updateHPRecovery(CONSTANTS.TICK_MS);
+    CombatSystem.repairAircraft(CONSTANTS.TICK_MS);
 
     // Process raid dispatches
     this.processDispatchSchedules();
@@ -58,17 +190,22 @@ const MainLoop = {
     this.moveAircraft(CONSTANTS.TICK_MS);
     this.resolveInAirEncounters();
     this.resolveArrivals();
+    GameState.pruneDestroyedAircraft();
+    this.expireEngagements();
 
-    // Update AI bot
-    for (const teamName in GameState.teams) {
-      if (GameState.teams[teamName].isBot) {
-        AIBot.update(GameState.elapsedSeconds);
-      }
+    // Update AI bots
+    AIBot.update(GameState.elapsedSeconds);
+
+    // Check victory conditions
+    const result = VictorySystem.checkVictory();
+    if (result) {
+      this.endGame(result);
     }
 
-    // Render update (if renderer is available)
-    if (typeof Renderer !== 'undefined') {
-      Renderer.render();
+    // Checkpoints and autosave (if saving is available; replays are not saved)
+    if (typeof SaveLoad !== 'undefined' && !Commands.replaying) {
+      this.checkSnapshot();
+      SaveLoad.checkAutosave();
     }
   },
 
@@ -82,9 +219,9 @@ const MainLoop = {
 
       const cityId = city.id;
 
-      // Check if target is still valid (not friendly)
+      // Check if target is still valid (neutral or an enemy)
       const targetCity = GameState.getCity(city.airbase.orders.targetCityId);
-      if (!targetCity || targetCity.owner === city.owner) {
+      if (!targetCity || (targetCity.owner && !GameState.areEnemies(city.owner, targetCity.owner))) {
         // Clear invalid target
         city.airbase.orders = null;
         console.log(`Cleared targeting for ${city.name} - target is now friendly or invalid`);
@@ -99,9 +236,10 @@ const MainLoop = {
       const assignedBombers = GameState.getBombersAssignedToCity(cityId);
       if (assignedBombers.length === 0) continue;
 
-      // Check if ALL assigned bombers are idle (synchronized takeoff)
-      const allIdle = assignedBombers.every(b => b.status === 'idle');
-      if (!allIdle) continue;
+      // Check if ALL assigned bombers are back (synchronized takeoff; bombers
+      // still under repair stay behind)
+      const allBack = assignedBombers.every(b => b.status === 'idle' || b.status === 'repairing');
+      if (!allBack) continue;
 
       // Dispatch raid with all bombers
       this.dispatchRaid(city);
@@ -123,8 +261,11 @@ const MainLoop = {
     const bombers = GameState.getBombersAtCity(airbaseCity.id).filter(b => b.status === 'idle');
     if (bombers.length === 0) return;
 
-    // Get escort fighters based on allocation
-    const fighters = GameState.getFightersAtCity(airbaseCity.id).filter(f => f.status === 'idle');
+    // Get escort fighters: escort-role fighters always go, interceptors never,
+    // and the rest by the airbase's escort allocation
+    const idleFighters = GameState.getFightersAtCity(airbaseCity.id).filter(f => f.status === 'idle');
+    const escortRole = idleFighters.filter(f => CombatSystem.getRole(f) === 'escort');
+    const fighters = idleFighters.filter(f => CombatSystem.getRole(f) === null);
     const numEscorts = Math.floor(fighters.length * airbaseCity.airbase.escortAllocation);
 
     // Sort fighters by range (prefer longer range for escort)
@@ -136,7 +277,7 @@ const MainLoop = {
       return rangeB - rangeA;
     });
 
-    const escorts = sortedFighters.slice(0, numEscorts);
+    const escorts = [...escortRole, ...sortedFighters.slice(0, numEscorts)];
 
     // Calculate raid distance
     const distance = MapUtils.greatCircleDistance(
@@ -144,8 +285,10 @@ const MainLoop = {
       targetCity.lat, targetCity.lon
     );
 
-    // Calculate timing based on 10km/sec speed
-    const oneWayTimeS = distance / CONSTANTS.RAID_SPEED_KM_PER_SEC;
+    // The raid flies at the speed of its slowest aircraft
+    const speedKmPerSec = [...bombers, ...escorts].reduce((min, a) =>
+      Math.min(min, CombatSystem.getSpeedKmPerSec(GameState.getTemplate(a.templateId))), Infinity);
+    const oneWayTimeS = distance / speedKmPerSec;
     const roundTripTimeS = oneWayTimeS * 2;
 
     // Create raid
@@ -163,7 +306,9 @@ const MainLoop = {
       startTime: GameState.elapsedSeconds,
       status: 'enroute', // 'enroute', 'engaging', 'attacking', 'returning', 'completed'
       returning: false,
-      hasEngagedDefenders: false,
+      engagedBaseIds: [], // Airbases that have scrambled against this leg of the raid
+      missedBaseIds: [],  // Airbases whose defenders can't catch this leg of the raid
+      waves: [],          // Scrambled fighters on their way: {cityId, team, fighters, entry, progress, lat, lon}
       restingUntil: 0 // Time when rest period ends
     };
 
@@ -177,6 +322,16 @@ const MainLoop = {
 
     GameState.activeRaids.push(raid);
 
+    GameState.emit('raidDispatched', {
+      raidId: raid.id,
+      team: raid.team,
+      fromCityId: raid.fromCityId,
+      toCityId: raid.toCityId,
+      bomberIds: bombers.map(b => b.id),
+      escortIds: escorts.map(e => e.id),
+      distance: distance
+    });
+
     if (GameState.debugLogCombat) {
       console.log(`${airbaseCity.owner} dispatched raid from ${airbaseCity.name} to ${targetCity.name}`);
       console.log(`  ${bombers.length} bombers, ${escorts.length} escorts, ${distance.toFixed(0)} km`);
@@ -193,93 +348,247 @@ const MainLoop = {
     for (const raid of GameState.activeRaids) {
       if (raid.status === 'completed') continue;
 
-      // Update progress based on 10km/sec speed
-      if (raid.status === 'enroute' || raid.status === 'engaging') {
-        raid.progress += deltaS / raid.oneWayTimeS;
-        raid.progress = Math.min(1, raid.progress);
-      } else if (raid.status === 'returning') {
-        raid.progress += deltaS / raid.oneWayTimeS;
-        raid.progress = Math.min(1, raid.progress);
+      // Update progress (timing set at dispatch from the slowest aircraft)
+      // (each leg counts its progress from 0 to 1)
+      if (raid.status === 'enroute' || raid.status === 'engaging' || raid.status === 'returning') {
+        raid.progress = Math.min(1, raid.progress + deltaS / raid.oneWayTimeS);
       }
     }
   },
 
   /**
-   * Resolve in-air encounters with defenders
+   * Resolve in-air encounters with defenders: airbases scramble fighters as a
+   * raid comes within their range, and each wave fights the raid where it
+   * catches it, on the way out or on the way home
    */
   resolveInAirEncounters() {
     for (const raid of GameState.activeRaids) {
-      if (raid.status !== 'enroute') continue;
-      if (raid.hasEngagedDefenders) continue;
+      if (raid.status !== 'enroute' && raid.status !== 'returning') continue;
+
+      this.scrambleInterceptors(raid);
 
-      // Check if raid is at 50% progress (midpoint engagement)
-      if (raid.progress >= 0.5) {
-        this.resolveDefenderEngagement(raid);
-        raid.hasEngagedDefenders = true;
+      // Waves that have caught up with the raid fight it, nearest first
+      const due = raid.waves.filter(w => w.progress <= raid.progress).sort((a, b) => a.progress - b.progress);
+      for (const wave of due) {
+        raid.waves.splice(raid.waves.indexOf(wave), 1);
+        this.resolveWave(raid, wave);
+        if (raid.aborted && !raid.returning) break;
+      }
+
+      // Bombers that turned back fly home from where they are
+      if (raid.aborted && !raid.returning) {
+        this.startReturnLeg(raid, 1 - raid.progress);
       }
     }
   },
 
   /**
-   * Resolve defender engagement for a raid
+   * Forget interceptions older than ENGAGEMENT_MARKER_TTL_S
+   */
+  expireEngagements() {
+    const cutoff = GameState.elapsedSeconds - CONSTANTS.ENGAGEMENT_MARKER_TTL_S;
+    GameState.engagements = GameState.engagements.filter(e => e.time > cutoff);
+  },
+
+  /**
+   * Get the leg a raid is flying: outbound from its airbase to the target, or
+   * home again (progress runs 0-1 along either)
    * @param {object} raid - Raid object
+   * @returns {object|null} {from, to, progress, oneWayTimeS}, or null if a city is missing
    */
-  resolveDefenderEngagement(raid) {
+  getRaidLeg(raid) {
     const fromCity = GameState.getCity(raid.fromCityId);
     const toCity = GameState.getCity(raid.toCityId);
+    if (!fromCity || !toCity) return null;
 
-    // Get defending team
-    const defenderTeam = toCity.owner;
-    if (!defenderTeam) return; // No defenders for neutral cities
+    return {
+      from: raid.returning ? toCity : fromCity,
+      to: raid.returning ? fromCity : toCity,
+      progress: raid.progress,
+      oneWayTimeS: raid.oneWayTimeS
+    };
+  },
 
-    // Get defending fighters
-    const defenders = CombatSystem.getDefendingFighters(
-      { fromCity, toCity },
-      defenderTeam
-    );
+  /**
+   * Scramble fighters from enemy airbases whose range the rest of the raid's
+   * leg passes through: each airbase sends the defenders that can reach it once
+   * per leg, as soon as they can catch the raid before it gets away, and they
+   * meet it where they catch up
+   * @param {object} raid - Raid object
+   */
+  scrambleInterceptors(raid) {
+    if (!raid.bombers.some(b => b.hp > 0)) return;
+    const leg = this.getRaidLeg(raid);
+    if (!leg) return;
+
+    // Every point of the rest of the leg lies within half its length of its midpoint
+    const restKm = MapUtils.greatCircleDistance(leg.from.lat, leg.from.lon, leg.to.lat, leg.to.lon) * (1 - leg.progress);
+    const mid = MapUtils.intermediatePoint(leg.from.lat, leg.from.lon, leg.to.lat, leg.to.lon, (1 + leg.progress) / 2);
+
+    for (const defenderTeam of this.getInterceptingTeams(raid)) {
+      const maxRangeKm = CombatSystem.getMaxFighterRangeKm(defenderTeam);
+      if (maxRangeKm === 0) continue;
+
+      const bases = GameState.airbaseIndex.withinRadius(mid.lat, mid.lon, maxRangeKm + restKm / 2,
+        c => c.owner === defenderTeam && !raid.engagedBaseIds.includes(c.id) && !raid.missedBaseIds.includes(c.id));
+
+      for (const city of bases) {
+        // Defenders with the range to reach the rest of the leg from here (one test per range)
+        const reaches = new Map(); // range km -> boolean
+        const fighters = CombatSystem.getBaseDefenders(city).filter(f => {
+          const template = GameState.getTemplate(f.templateId);
+          if (!template) return false;
+          const rangeKm = template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT;
+          if (!reaches.has(rangeKm)) {
+            const window = MapUtils.pathRangeIntersection(
+              leg.from.lat, leg.from.lon, leg.to.lat, leg.to.lon, city.lat, city.lon, rangeKm);
+            reaches.set(rangeKm, window !== null && window.exit >= leg.progress);
+          }
+          return reaches.get(rangeKm);
+        });
+        if (fighters.length === 0) continue;
+
+        // The raid only gets further ahead as it flies on, so defenders that
+        // can't catch it now won't later in this leg: stop searching for them
+        const meeting = CombatSystem.findInterceptionPoint(leg, city, fighters);
+        if (!meeting) {
+          raid.missedBaseIds.push(city.id);
+          continue;
+        }
+
+        raid.engagedBaseIds.push(city.id);
+        for (const fighter of fighters) {
+          fighter.status = 'scrambled';
+        }
+        raid.waves.push({
+          cityId: city.id,
+          team: defenderTeam,
+          fighters: fighters,
+          entry: meeting.entry, // Where the raid comes within range
+          progress: meeting.progress,
+          lat: meeting.lat,
+          lon: meeting.lon
+        });
+
+        if (GameState.debugLogCombat) {
+          console.log(`${defenderTeam} scrambled ${fighters.length} fighters from ${city.name} against raid ${raid.id}`);
+        }
+      }
+    }
+  },
+
+  /**
+   * Get the teams that may intercept a raid: every enemy of the raiding team,
+   * with the target's owner first
+   * @param {object} raid - Raid object
+   * @returns {Array} Team ids
+   */
+  getInterceptingTeams(raid) {
+    const toCity = GameState.getCity(raid.toCityId);
+    const enemies = GameState.getEnemyTeams(raid.team);
 
-    if (defenders.length === 0) return;
+    if (toCity && enemies.includes(toCity.owner)) {
+      return [toCity.owner, ...enemies.filter(t => t !== toCity.owner)];
+    }
+    return enemies;
+  },
 
-    // Resolve escort vs defenders
+  /**
+   * Resolve one wave of defenders catching a raid, then send them home
+   * @param {object} raid - Raid object
+   * @param {object} wave - {cityId, team, fighters, entry, progress, lat, lon}
+   */
+  resolveWave(raid, wave) {
+    const defenders = wave.fighters.filter(f => f.hp > 0);
+    this.releaseWave(wave);
+
+    const bombers = raid.bombers.filter(b => b.hp > 0);
+    if (defenders.length === 0 || bombers.length === 0) return;
+
+    // Fight it out in rounds until a side breaks off or the bombers turn back
     const escorts = raid.escorts.filter(e => e.hp > 0);
+    const result = CombatSystem.resolveAirBattle(escorts, defenders, bombers, GameState.rng);
+    if (result.bombersAborted) {
+      raid.aborted = true;
+    }
 
-    if (escorts.length > 0) {
-      const result = CombatSystem.resolveFighterVsFighter(escorts, defenders, GameState.rng);
+    const leg = raid.returning ? 'return' : 'outbound';
+    GameState.engagements.push({
+      raidId: raid.id,
+      leg: leg,
+      progress: wave.progress,
+      lat: wave.lat,
+      lon: wave.lon,
+      team: wave.team,
+      cityId: wave.cityId,
+      time: GameState.elapsedSeconds
+    });
 
-      if (GameState.debugLogCombat) {
-        console.log(`Raid ${raid.id}: ${escorts.length} escorts vs ${defenders.length} defenders`);
-        console.log(`  Escort losses: ${result.attackerLosses.length}, Defender losses: ${result.defenderLosses.length}`);
-      }
+    if (GameState.debugLogCombat) {
+      console.log(`Raid ${raid.id}: ${escorts.length} escorts vs ${defenders.length} defenders over ${result.rounds.length} rounds`);
+      console.log(`  Escort losses: ${result.escortLosses.length}, Defender losses: ${result.defenderLosses.length}, ` +
+        `Bomber losses: ${result.bomberLosses.length}${result.bombersAborted ? ' (bombers turned back)' : ''}`);
     }
 
-    // Surviving defenders attack bombers
-    const survivingDefenders = defenders.filter(d => d.hp > 0);
-    if (survivingDefenders.length > 0) {
-      // Calculate total defender offense
-      const defenderOffense = survivingDefenders.reduce((sum, d) => {
-        const template = GameState.getTemplate(d.templateId);
-        return sum + (template ? template.offense : 0);
-      }, 0);
-
-      // Bombers can be shot down
-      const bombers = raid.bombers.filter(b => b.hp > 0);
-      for (const bomber of bombers) {
-        const template = GameState.getTemplate(bomber.templateId);
-        if (!template) continue;
-
-        const p_bomber_loss = defenderOffense / (template.defense + defenderOffense + CONSTANTS.EPSILON);
-        if (GameState.rng.nextBool(p_bomber_loss * 0.3)) { // 30% of calculated probability
-          bomber.hp = 0;
-          bomber.status = 'destroyed';
-
-          if (GameState.debugLogCombat) {
-            console.log(`  Bomber ${bomber.id} shot down by defenders`);
-          }
-        }
+    GameState.emit('interception', {
+      raidId: raid.id,
+      attackerTeam: raid.team,
+      defenderTeam: wave.team,
+      escortIds: escorts.map(e => e.id),
+      defenderIds: defenders.map(d => d.id),
+      escortLosses: result.escortLosses.map(a => a.id),
+      defenderLosses: result.defenderLosses.map(a => a.id),
+      bomberLosses: result.bomberLosses.map(a => a.id),
+      entry: wave.entry, // Where the raid came within the defenders' range
+      rounds: result.rounds,
+      escortsBrokeOff: result.escortsBrokeOff,
+      defendersBrokeOff: result.defendersBrokeOff,
+      bombersAborted: result.bombersAborted,
+      airbaseCityId: wave.cityId,
+      leg: leg,
+      progress: wave.progress,
+      lat: wave.lat,
+      lon: wave.lon
+    });
+  },
+
+  /**
+   * Send a wave's fighters home, damaged ones for repair (fighters whose
+   * airbase has been lost meanwhile have nowhere to land and are lost)
+   * @param {object} wave - Wave of scrambled fighters
+   */
+  releaseWave(wave) {
+    const city = GameState.getCity(wave.cityId);
+    const baseHeld = !!(city && city.owner === wave.team && city.hasAirbase);
+
+    for (const fighter of wave.fighters) {
+      if (fighter.status !== 'scrambled') continue;
+      if (baseHeld) {
+        CombatSystem.landAircraft(fighter, wave.cityId);
+      } else {
+        CombatSystem.destroyAircraft(fighter);
       }
     }
   },
 
+  /**
+   * Turn a raid for home: airbases may scramble against the return leg afresh,
+   * and waves still chasing the outbound leg go home
+   * @param {object} raid - Raid object
+   * @param {number} progress - Where along the return leg the raid starts (0-1)
+   */
+  startReturnLeg(raid, progress) {
+    for (const wave of raid.waves) {
+      this.releaseWave(wave);
+    }
+    raid.waves = [];
+    raid.engagedBaseIds = [];
+    raid.missedBaseIds = [];
+    raid.status = 'returning';
+    raid.returning = true;
+    raid.progress = progress;
+  },
+
   /**
    * Resolve raid arrivals at targets
    */
@@ -294,9 +603,7 @@ const MainLoop = {
         raid.status = 'attacking';
         this.resolveRaidAttack(raid);
         // Start return journey
-        raid.status = 'returning';
-        raid.returning = true;
-        raid.progress = 0;
+        this.startReturnLeg(raid, 0);
       }
 
       // Check if raid has returned to base
@@ -308,26 +615,36 @@ const MainLoop = {
     // Complete raids and return aircraft with rest period
     for (const raid of completedRaids) {
       raid.status = 'completed';
+      for (const wave of raid.waves) {
+        this.releaseWave(wave);
+      }
 
-      // Return surviving aircraft to base
+      // Badly damaged aircraft may not make it home
+      const crashed = [...raid.bombers, ...raid.escorts].filter(a => CombatSystem.rollReturnCrash(a, GameState.rng));
+      if (crashed.length > 0 && GameState.debugLogCombat) {
+        console.log(`Raid ${raid.id}: ${crashed.length} damaged aircraft failed to make it home`);
+      }
+
+      // Return surviving aircraft to base (damaged ones go in for repair)
       const fromCity = GameState.getCity(raid.fromCityId);
       if (fromCity) {
-        for (const bomber of raid.bombers) {
-          if (bomber.hp > 0) {
-            bomber.status = 'idle';
-            bomber.locationCityId = fromCity.id;
-          }
-        }
-        for (const escort of raid.escorts) {
-          if (escort.hp > 0) {
-            escort.status = 'idle';
-            escort.locationCityId = fromCity.id;
+        for (const aircraft of [...raid.bombers, ...raid.escorts]) {
+          if (aircraft.hp > 0) {
+            CombatSystem.landAircraft(aircraft, fromCity.id);
           }
         }
 
         // Set rest period - aircraft can't dispatch again for 5 seconds
         this.lastDispatchTimes.set(fromCity.id, GameState.elapsedSeconds + CONSTANTS.RAID_REST_TIME_S);
       }
+
+      GameState.emit('raidReturned', {
+        raidId: raid.id,
+        team: raid.team,
+        fromCityId: raid.fromCityId,
+        survivorIds: [...raid.bombers, ...raid.escorts].filter(a => a.hp > 0).map(a => a.id),
+        crashedIds: crashed.map(a => a.id)
+      });
     }
 
     // Clean up completed raids
@@ -351,6 +668,10 @@ const MainLoop = {
       return;
     }
 
+    // The city's flak fires as the bombers come in (those shot down drop no bombs)
+    const flakLosses = CombatSystem.resolveFlak(survivingBombers, targetCity, GameState.rng);
+    const bombingBombers = survivingBombers.filter(b => b.hp > 0);
+
     // Calculate city defense (defending fighters at the city)
     const defendingFighters = GameState.getFightersAtCity(targetCity.id);
     const cityDefense = defendingFighters.reduce((sum, f) => {
@@ -360,21 +681,120 @@ const MainLoop = {
 
     // Resolve bomber attack
     const result = CombatSystem.resolveBomberAttack(
-      survivingBombers,
+      bombingBombers,
       targetCity,
       cityDefense,
       GameState.rng
     );
 
-    // Apply damage
+    GameState.emit('cityDamaged', {
+      raidId: raid.id,
+      cityId: targetCity.id,
+      attackerTeam: raid.team,
+      defenderTeam: targetCity.owner,
+      bomberIds: bombingBombers.map(b => b.id),
+      flakLosses: flakLosses.map(b => b.id),
+      bomberLosses: result.bomberLosses.map(b => b.id),
+      damage: result.damageInflicted
+    });
+
+    // Apply damage (bombing also wears down the city's flak)
     if (result.damageInflicted > 0) {
+      CombatSystem.degradeFlak(targetCity, result.damageInflicted);
       CombatSystem.applyCityDamage(targetCity, result.damageInflicted, raid.team);
     }
 
     if (GameState.debugLogCombat) {
       console.log(`Raid ${raid.id} attacked ${targetCity.name}`);
-      console.log(`  ${survivingBombers.length} bombers, ${result.damageInflicted} damage, ${result.bomberLosses.length} bomber losses`);
+      console.log(`  ${bombingBombers.length} of ${survivingBombers.length} bombers got through flak, ${result.damageInflicted} damage, ${flakLosses.length + result.bomberLosses.length} bomber losses`);
+    }
+  },
+
+  /**
+   * End the game: record the result, stop the loop and announce the winner
+   * @param {object} result - {winner, mode, reason} from VictorySystem; allies of the winner share the win
+   */
+  endGame(result) {
+    const scores = VictorySystem.getScores();
+    const winners = result.winner ? GameState.getAlliedTeams(result.winner) : [];
+
+    GameState.gameOver = {
+      winner: result.winner,
+      winners: winners,
+      mode: result.mode,
+      reason: result.reason,
+      scores: scores,
+      tick: GameState.tickCount,
+      time: GameState.elapsedSeconds
+    };
+
+    this.stop();
+
+    console.log(`Game over: ${result.reason}`);
+
+    GameState.emit('gameOver', {
+      winner: result.winner,
+      winners: winners,
+      mode: result.mode,
+      reason: result.reason,
+      scores: scores
+    });
+  },
+
+  /**
+   * Take a rewind checkpoint when the interval has passed
+   */
+  checkSnapshot() {
+    if (GameState.gameOver) return;
+    if (GameState.elapsedSeconds - this.lastSnapshotS < CONSTANTS.SNAPSHOT_INTERVAL_S) return;
+
+    this.takeSnapshot();
+  },
+
+  /**
+   * Capture the full game state (RNG, raids and all) into the rolling buffer,
+   * dropping the oldest checkpoints beyond SNAPSHOT_BUFFER_SIZE or
+   * SNAPSHOT_BUFFER_MAX_CHARS
+   */
+  takeSnapshot() {
+    // Stored as JSON so later ticks can't mutate it
+    this.snapshots.push({
+      tick: GameState.tickCount,
+      elapsedSeconds: GameState.elapsedSeconds,
+      data: JSON.stringify(SaveLoad.buildSaveData())
+    });
+
+    let totalChars = this.snapshots.reduce((sum, s) => sum + s.data.length, 0);
+    while (this.snapshots.length > 1 && (this.snapshots.length > CONSTANTS.SNAPSHOT_BUFFER_SIZE ||
+        totalChars > CONSTANTS.SNAPSHOT_BUFFER_MAX_CHARS)) {
+      totalChars -= this.snapshots.shift().data.length;
     }
+    this.lastSnapshotS = GameState.elapsedSeconds;
+  },
+
+  /**
+   * Restore a checkpoint and continue from it (later checkpoints are dropped)
+   * @param {number} index - Index into snapshots
+   * @returns {boolean} True if restored
+   */
+  rewind(index) {
+    const snapshot = this.snapshots[index];
+    if (!snapshot) return false;
+
+    SaveLoad.applySaveData(JSON.parse(snapshot.data));
+
+    this.snapshots = this.snapshots.slice(0, index + 1);
+    this.lastSnapshotS = snapshot.elapsedSeconds;
+    console.log(`Rewound to tick ${snapshot.tick}`);
+    return true;
+  },
+
+  /**
+   * Drop all checkpoints (new game or loaded save)
+   */
+  clearSnapshots() {
+    this.snapshots = [];
+    this.lastSnapshotS = GameState.elapsedSeconds;
   },
 
   /**
@@ -386,17 +806,12 @@ const MainLoop = {
   },
 
   /**
-   * Set game speed
-   * @param {number} multiplier - Speed multiplier (1, 2, 4)
+   * Set game speed (takes effect on the next frame; the tick length never changes)
+   * @param {number} multiplier - Speed multiplier (see CONSTANTS.SPEED_MULTIPLIERS)
    */
   setSpeed(multiplier) {
     GameState.speedMultiplier = multiplier;
-
-    // Restart loop with new speed
-    if (this.intervalHandle) {
-      this.stop();
-      this.start();
-    }
+    this.endFastForward();
 
     console.log(`Game speed set to ${multiplier}x`);
   }
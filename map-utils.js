@@ -89,14 +89,92 @@ const MapUtils = {
    * @returns {boolean} True if any part of path is within range
    */
   isPathWithinRange(pathLat1, pathLon1, pathLat2, pathLon2, pointLat, pointLon, rangeKm) {
-    // Sample the path and check if any point is within range
-    const samples = this.sampleGreatCirclePath(pathLat1, pathLon1, pathLat2, pathLon2, 20);
-    for (const sample of samples) {
-      if (this.greatCircleDistance(sample.lat, sample.lon, pointLat, pointLon) <= rangeKm) {
-        return true;
+    return this.pathRangeIntersection(pathLat1, pathLon1, pathLat2, pathLon2, pointLat, pointLon, rangeKm) !== null;
+  },
+
+  /**
+   * Convert lat/lon to a unit vector
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {Array} [x, y, z]
+   */
+  toVector(lat, lon) {
+    const toRad = Math.PI / 180;
+    const φ = lat * toRad;
+    const λ = lon * toRad;
+    return [Math.cos(φ) * Math.cos(λ), Math.cos(φ) * Math.sin(λ), Math.sin(φ)];
+  },
+
+  /**
+   * Find where a great-circle path enters and leaves the range of a point
+   * (exact cross-track / along-track geometry, no sampling)
+   * @param {number} pathLat1 - Path start latitude
+   * @param {number} pathLon1 - Path start longitude
+   * @param {number} pathLat2 - Path end latitude
+   * @param {number} pathLon2 - Path end longitude
+   * @param {number} pointLat - Reference point latitude
+   * @param {number} pointLon - Reference point longitude
+   * @param {number} rangeKm - Range in kilometers
+   * @returns {object|null} {entry, exit} as fractions [0, 1] along the path, or null if never in range
+   */
+  pathRangeIntersection(pathLat1, pathLon1, pathLat2, pathLon2, pointLat, pointLon, rangeKm) {
+    const δ = rangeKm / this.EARTH_RADIUS_KM;
+    const d = this.greatCircleDistance(pathLat1, pathLon1, pathLat2, pathLon2) / this.EARTH_RADIUS_KM;
+
+    // Degenerate path: a single point
+    if (d < 1e-9) {
+      return this.greatCircleDistance(pathLat1, pathLon1, pointLat, pointLon) <= rangeKm ?
+        { entry: 0, exit: 1 } : null;
+    }
+
+    const a = this.toVector(pathLat1, pathLon1);
+    const b = this.toVector(pathLat2, pathLon2);
+    const p = this.toVector(pointLat, pointLon);
+
+    // Normal of the path's great circle and the direction of travel at the start
+    const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    const n = cross(a, b);
+    const nLength = Math.sqrt(dot(n, n));
+
+    // Antipodal (or all but identical) endpoints fix no great circle, so only
+    // the ends are known: whichever way the path goes, it stays in range for
+    // as far from an end as that end lies inside the range
+    if (nLength < 1e-9) {
+      const startSlack = δ - this.greatCircleDistance(pathLat1, pathLon1, pointLat, pointLon) / this.EARTH_RADIUS_KM;
+      const endSlack = δ - this.greatCircleDistance(pathLat2, pathLon2, pointLat, pointLon) / this.EARTH_RADIUS_KM;
+      if (startSlack < 0 && endSlack < 0) return null;
+      return {
+        entry: startSlack >= 0 ? 0 : Math.max(0, 1 - endSlack / d),
+        exit: endSlack >= 0 ? 1 : Math.min(1, startSlack / d)
+      };
+    }
+    n[0] /= nLength; n[1] /= nLength; n[2] /= nLength;
+    const t = cross(n, a);
+
+    // Cross-track angle: the circle never comes within range
+    const crossTrack = Math.asin(Math.max(-1, Math.min(1, dot(p, n))));
+    if (Math.abs(crossTrack) > δ) return null;
+
+    // Along-track angle of the closest point, and half the in-range arc around it
+    const alongTrack = Math.atan2(dot(p, t), dot(p, a));
+    const ratio = Math.cos(δ) / Math.cos(crossTrack);
+    const halfArc = Math.acos(Math.max(-1, Math.min(1, ratio)));
+
+    // The in-range arc may straddle the start angle, so also try it one turn either way
+    let entry = Infinity;
+    let exit = -Infinity;
+    for (const shift of [-2 * Math.PI, 0, 2 * Math.PI]) {
+      const start = Math.max(0, alongTrack - halfArc + shift);
+      const end = Math.min(d, alongTrack + halfArc + shift);
+      if (start <= end) {
+        entry = Math.min(entry, start);
+        exit = Math.max(exit, end);
       }
     }
-    return false;
+
+    if (entry > exit) return null;
+    return { entry: entry / d, exit: exit / d };
   },
 
   /**
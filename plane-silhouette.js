@@ -8,17 +8,20 @@ const PlaneSilhouette = {
 
   // Generate a fighter silhouette (Spitfire-inspired)
   generateFighter(template, color = '#5af') {
-    const { rangePoints = 50, offense = 30, defense = 30 } = template;
+    const { rangePoints = 50, offense = 30, defense = 30, speed = 20 } = template;
 
-    // Normalize stats to 0-1 range (stats are 1-100)
-    const rangeNorm = (rangePoints - 10) / 90;  // 10-100 range
-    const offenseNorm = (offense - 1) / 99;
-    const defenseNorm = (defense - 1) / 99;
+    // Normalize stats to 0-1 range (stats are 1-100; research can raise the
+    // caps, but the shape stops growing at 100)
+    const rangeNorm = Math.min(1, (rangePoints - 10) / 90);  // 10-100 range
+    const offenseNorm = Math.min(1, (offense - 1) / 99);
+    const defenseNorm = Math.min(1, (defense - 1) / 99);
+    const speedNorm = Math.min(1, (speed - 1) / 99);
 
     // Calculate modifications
     const wingScale = 0.8 + rangeNorm * 0.4;      // Range affects wing size (0.8-1.2)
     const gunSize = 0.5 + offenseNorm * 1.0;      // Offense affects gun size (0.5-1.5)
     const armorWidth = 0.8 + defenseNorm * 0.4;   // Defense affects fuselage thickness (0.8-1.2)
+    const sweep = speedNorm * 3;                  // Speed sweeps the wing tips back (0-3)
 
     // Base Spitfire silhouette (side view, simplified)
     // Center at 16, 8 (middle of 32x16)
@@ -38,18 +41,18 @@ const PlaneSilhouette = {
       Z
     `;
 
-    // Wings (elliptical, scaled by range)
+    // Wings (elliptical, scaled by range, swept by speed)
     const wingSpan = 6 * wingScale;
     const wingChord = 4;
     const wingX = 14;
     const wings = `
       M ${wingX} ${fuselageY - fuselageHeight * 0.5}
-      Q ${wingX - 1} ${fuselageY - wingSpan} ${wingX + wingChord * 0.3} ${fuselageY - wingSpan}
-      Q ${wingX + wingChord} ${fuselageY - wingSpan * 0.8} ${wingX + wingChord} ${fuselageY - fuselageHeight * 0.5}
+      Q ${wingX - 1 - sweep} ${fuselageY - wingSpan} ${wingX + wingChord * 0.3 - sweep} ${fuselageY - wingSpan}
+      Q ${wingX + wingChord - sweep} ${fuselageY - wingSpan * 0.8} ${wingX + wingChord} ${fuselageY - fuselageHeight * 0.5}
       Z
       M ${wingX} ${fuselageY + fuselageHeight * 0.5}
-      Q ${wingX - 1} ${fuselageY + wingSpan} ${wingX + wingChord * 0.3} ${fuselageY + wingSpan}
-      Q ${wingX + wingChord} ${fuselageY + wingSpan * 0.8} ${wingX + wingChord} ${fuselageY + fuselageHeight * 0.5}
+      Q ${wingX - 1 - sweep} ${fuselageY + wingSpan} ${wingX + wingChord * 0.3 - sweep} ${fuselageY + wingSpan}
+      Q ${wingX + wingChord - sweep} ${fuselageY + wingSpan * 0.8} ${wingX + wingChord} ${fuselageY + fuselageHeight * 0.5}
       Z
     `;
 
@@ -107,17 +110,21 @@ const PlaneSilhouette = {
 
   // Generate a bomber silhouette (B-17-inspired)
   generateBomber(template, color = '#fa5') {
-    const { rangePoints = 50, offense = 30, defense = 20 } = template;
+    const { rangePoints = 50, offense = 30, defense = 20, speed = 20, payload = 20 } = template;
 
     // Normalize stats to 0-1 range
-    const rangeNorm = (rangePoints - 10) / 90;
-    const offenseNorm = (offense - 1) / 99;
-    const defenseNorm = (defense - 1) / 99;
+    const rangeNorm = Math.min(1, (rangePoints - 10) / 90);
+    const offenseNorm = Math.min(1, (offense - 1) / 99);
+    const defenseNorm = Math.min(1, (defense - 1) / 99);
+    const speedNorm = Math.min(1, (speed - 1) / 99);
+    const payloadNorm = Math.min(1, (payload - 1) / 99);
 
     // Calculate modifications
     const wingScale = 0.8 + rangeNorm * 0.4;        // Range affects wing size
-    const fuselageScale = 0.8 + offenseNorm * 0.4;  // Offense affects fuselage (bomb load)
+    const fuselageScale = 0.8 + payloadNorm * 0.4;  // Payload affects fuselage (bomb load)
+    const noseLength = offenseNorm * 2;             // Offense lengthens the bomb-aimer's nose (0-2)
     const turretSize = 0.5 + defenseNorm * 1.0;     // Defense affects turret size
+    const sweep = speedNorm * 3;                    // Speed sweeps the wing tips back (0-3)
 
     const fuselageY = 8;
     const fuselageHeight = 3 * fuselageScale;
@@ -127,26 +134,26 @@ const PlaneSilhouette = {
       M 4 ${fuselageY}
       Q 2 ${fuselageY - fuselageHeight} 6 ${fuselageY - fuselageHeight}
       L 24 ${fuselageY - fuselageHeight * 0.7}
-      Q 28 ${fuselageY - fuselageHeight * 0.2} 28 ${fuselageY}
-      Q 28 ${fuselageY + fuselageHeight * 0.2} 24 ${fuselageY + fuselageHeight * 0.7}
+      Q ${28 + noseLength} ${fuselageY - fuselageHeight * 0.2} ${28 + noseLength} ${fuselageY}
+      Q ${28 + noseLength} ${fuselageY + fuselageHeight * 0.2} 24 ${fuselageY + fuselageHeight * 0.7}
       L 6 ${fuselageY + fuselageHeight}
       Q 2 ${fuselageY + fuselageHeight} 4 ${fuselageY}
       Z
     `;
 
-    // Wings (larger, scaled by range) - B-17 had very long wings
+    // Wings (larger, scaled by range, swept by speed) - B-17 had very long wings
     const wingSpan = 7 * wingScale;
     const wingChord = 5;
     const wingX = 12;
     const wings = `
       M ${wingX} ${fuselageY - fuselageHeight * 0.4}
-      L ${wingX - 2} ${fuselageY - wingSpan}
-      Q ${wingX + 1} ${fuselageY - wingSpan - 0.5} ${wingX + wingChord} ${fuselageY - wingSpan * 0.7}
+      L ${wingX - 2 - sweep} ${fuselageY - wingSpan}
+      Q ${wingX + 1 - sweep} ${fuselageY - wingSpan - 0.5} ${wingX + wingChord - sweep * 0.7} ${fuselageY - wingSpan * 0.7}
       L ${wingX + wingChord} ${fuselageY - fuselageHeight * 0.4}
       Z
       M ${wingX} ${fuselageY + fuselageHeight * 0.4}
-      L ${wingX - 2} ${fuselageY + wingSpan}
-      Q ${wingX + 1} ${fuselageY + wingSpan + 0.5} ${wingX + wingChord} ${fuselageY + wingSpan * 0.7}
+      L ${wingX - 2 - sweep} ${fuselageY + wingSpan}
+      Q ${wingX + 1 - sweep} ${fuselageY + wingSpan + 0.5} ${wingX + wingChord - sweep * 0.7} ${fuselageY + wingSpan * 0.7}
       L ${wingX + wingChord} ${fuselageY + fuselageHeight * 0.4}
       Z
     `;
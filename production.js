@@ -1,4 +1,9 @@
-// Production System - Handle production accumulation and unit creation
+// Production System - Team economy and unit creation
+//
+// Each team keeps a ledger: city income is credited to its treasury every
+// tick, and everything it buys (airbases, research, designs, aircraft by
+// allocation, from an airbase's build queue or outright) is paid from the
+// treasury and booked by category. Nothing can be bought on credit.
 
 const ProductionSystem = {
   /**
@@ -38,30 +43,90 @@ const ProductionSystem = {
   },
 
   /**
-   * Update production for all teams (called each tick)
+   * Credit each team's income to its treasury (called each tick, before any spending)
    * @param {number} deltaMs - Time since last update in milliseconds
    */
-  updateProduction(deltaMs) {
+  updateIncome(deltaMs) {
     const deltaMinutes = deltaMs / 60000;
 
     for (const teamName in GameState.teams) {
       const team = GameState.teams[teamName];
+      const incomeByCity = {};
+      let total = 0;
+
+      for (const city of team.cities) {
+        const income = this.getCityProduction(city, teamName);
+        incomeByCity[city.id] = income;
+        total += income;
+      }
+
+      team.productionPerMinute = total;
+      team.ledger.incomeByCity = incomeByCity;
+      team.ledger.treasuryM += total * deltaMinutes;
+      team.ledger.earnedM += total * deltaMinutes;
+    }
+  },
+
+  /**
+   * Check whether a team's treasury covers a cost
+   * @param {string} teamName - Team name
+   * @param {number} amountM - Cost in M
+   * @returns {boolean} True if affordable
+   */
+  canAfford(teamName, amountM) {
+    return GameState.teams[teamName].ledger.treasuryM >= amountM;
+  },
+
+  /**
+   * Pay from a team's treasury and book it under a spending category
+   * @param {string} teamName - Team name
+   * @param {number} amountM - Amount in M
+   * @param {string} category - 'airbases', 'research', 'designs', 'flak' or 'templates'
+   * @param {string} templateId - Template paid for (templates only)
+   * @returns {boolean} True if paid (false if the treasury is short)
+   */
+  spend(teamName, amountM, category, templateId = null) {
+    const ledger = GameState.teams[teamName].ledger;
+    if (amountM > ledger.treasuryM) return false;
+
+    ledger.treasuryM -= amountM;
+    if (category === 'templates') {
+      ledger.spentM.templates[templateId] = (ledger.spentM.templates[templateId] || 0) + amountM;
+    } else {
+      ledger.spentM[category] += amountM;
+    }
+    return true;
+  },
+
+  /**
+   * Spend on aircraft production by allocation for all teams (called each tick,
+   * after airbase construction and research have been paid)
+   * @param {number} deltaMs - Time since last update in milliseconds
+   */
+  updateProduction(deltaMs) {
+    const deltaMinutes = deltaMs / 60000;
 
-      // Calculate current production rate
-      team.productionPerMinute = this.getTeamProduction(teamName);
+    for (const teamName in GameState.teams) {
+      const team = GameState.teams[teamName];
 
-      // Accumulate production
-      const productionThisTick = team.productionPerMinute * deltaMinutes;
+      // Allocations share out this tick's income, less the construction share while
+      // building, the research share while researching and the design share while designing
+      const constructionShare = team.construction.queue.length > 0 ? team.construction.share / 100 : 0;
+      const researchShare = ResearchSystem.getIncomeShare(team);
+      const designShare = this.getDesignIncomeShare(team);
+      const productionThisTick = team.productionPerMinute * deltaMinutes *
+        Math.max(0, 1 - constructionShare - researchShare - designShare);
 
-      // Distribute production based on allocation
       this.processAllocationProduction(teamName, productionThisTick);
     }
   },
 
   /**
    * Process production based on allocation sliders
+   * (each slider is a percentage of income; whatever is left unallocated
+   * stays in the treasury, and allocations over 100% are scaled down)
    * @param {string} teamName - Team name
-   * @param {number} productionThisTick - Production this tick
+   * @param {number} productionThisTick - Income this tick
    */
   processAllocationProduction(teamName, productionThisTick) {
     const team = GameState.teams[teamName];
@@ -73,6 +138,7 @@ const ProductionSystem = {
     }
 
     if (totalAlloc === 0) return;
+    const scale = Math.max(100, totalAlloc);
 
     // Process each template
     for (const templateId in team.templateProduction) {
@@ -81,9 +147,10 @@ const ProductionSystem = {
 
       if (!template || templateProd.allocation === 0 || template.costM <= 0) continue;
 
-      // Calculate this template's share of production
-      const pct = templateProd.allocation / totalAlloc;
-      const production = productionThisTick * pct;
+      // This template's share of income, as far as the treasury covers it
+      const production = Math.min(productionThisTick * templateProd.allocation / scale, team.ledger.treasuryM);
+      if (production <= 0) continue;
+      this.spend(teamName, production, 'templates', templateId);
 
       // Update progress
       templateProd.progress += (production / template.costM) * 100;
@@ -91,9 +158,9 @@ const ProductionSystem = {
       // Build units when progress reaches 100%
       while (templateProd.progress >= 100) {
         templateProd.progress -= 100;
-        if (team.deliveryPointCity) {
-          GameState.createAircraft(templateId, team.deliveryPointCity.id, teamName);
-          console.log(`${teamName} built ${template.name}`);
+        const deliveryCity = this.getDeliveryCity(teamName, templateId);
+        if (deliveryCity) {
+          this.deliverAircraft(teamName, templateId, deliveryCity);
         }
       }
     }
@@ -121,7 +188,9 @@ const ProductionSystem = {
   },
 
   /**
-   * Process airbase builds (called each tick)
+   * Pay for airbase construction (called each tick, before aircraft production):
+   * the construction share of income is split between the first parallelBuilds
+   * cities in each team's queue
    * @param {number} deltaMs - Time since last update
    */
   processAirbaseBuilds(deltaMs) {
@@ -129,114 +198,494 @@ const ProductionSystem = {
 
     for (const teamName in GameState.teams) {
       const team = GameState.teams[teamName];
+      const construction = team.construction;
 
-      // Find cities with incomplete airbases
-      const cities = GameState.getTeamCities(teamName);
-      for (const city of cities) {
-        if (city.airbase && !city.airbase.complete) {
-          // Allocate production to airbase build
-          const productionNeeded = CONSTANTS.AIRBASE_COST_M - city.airbase.buildProgressM;
-          const productionAvailable = team.productionPerMinute * deltaMinutes;
+      // Drop builds lost since the last tick (city captured)
+      construction.queue = construction.queue.filter(cityId => this.isQueuedBuild(cityId, teamName));
 
-          const productionUsed = Math.min(productionAvailable, productionNeeded);
-          city.airbase.buildProgressM += productionUsed;
+      const building = construction.queue.slice(0, construction.parallelBuilds);
+      if (building.length === 0) continue;
 
-          // Deduct from team production
-          team.productionAccumulated -= productionUsed;
+      const budget = Math.min(team.productionPerMinute * deltaMinutes * construction.share / 100,
+        team.ledger.treasuryM);
 
-          // Check if complete
-          if (city.airbase.buildProgressM >= CONSTANTS.AIRBASE_COST_M) {
-            city.airbase.complete = true;
-            city.hasAirbase = true;
+      for (const cityId of building) {
+        const city = GameState.getCity(cityId);
+        const productionNeeded = CONSTANTS.AIRBASE_COST_M - city.airbase.buildProgressM;
+        const productionUsed = Math.max(0, Math.min(budget / building.length, productionNeeded));
 
-            if (GameState.debugLogCombat) {
-              console.log(`${teamName} completed airbase at ${city.name}`);
-            }
-          }
+        if (!this.spend(teamName, productionUsed, 'airbases')) continue;
+        city.airbase.buildProgressM += productionUsed;
 
-          // Only one airbase build at a time
-          break;
+        // Check if complete
+        if (city.airbase.buildProgressM >= CONSTANTS.AIRBASE_COST_M) {
+          city.airbase.complete = true;
+          city.hasAirbase = true;
+          GameState.airbaseIndex.insert(city);
+
+          GameState.emit('airbaseCompleted', { team: teamName, cityId: city.id });
+
+          if (GameState.debugLogCombat) {
+            console.log(`${teamName} completed airbase at ${city.name}`);
+          }
         }
       }
+
+      construction.queue = construction.queue.filter(cityId => this.isQueuedBuild(cityId, teamName));
+    }
+  },
+
+  /**
+   * Check whether a city holds one of a team's unfinished airbases
+   * @param {string} cityId - City ID
+   * @param {string} teamName - Team name
+   * @returns {boolean} True if the build is still on
+   */
+  isQueuedBuild(cityId, teamName) {
+    const city = GameState.getCity(cityId);
+    return !!(city && city.owner === teamName && city.airbase && !city.airbase.complete);
+  },
+
+  /**
+   * Cancel an airbase build, refunding part of what was spent on it
+   * @param {string} cityId - City ID
+   * @param {string} teamName - Team name
+   * @returns {boolean} True if cancelled
+   */
+  cancelAirbaseBuild(cityId, teamName) {
+    const team = GameState.teams[teamName];
+    if (!team.construction.queue.includes(cityId) || !this.isQueuedBuild(cityId, teamName)) return false;
+
+    const city = GameState.getCity(cityId);
+    const refund = city.airbase.buildProgressM * CONSTANTS.AIRBASE_CANCEL_REFUND;
+    team.ledger.treasuryM += refund;
+    team.ledger.spentM.airbases -= refund;
+
+    city.airbase = null;
+    team.construction.queue = team.construction.queue.filter(id => id !== cityId);
+
+    if (GameState.debugLogCombat) {
+      console.log(`${teamName} cancelled airbase at ${city.name}, refunded ${refund.toFixed(1)}M`);
     }
+
+    return true;
+  },
+
+  /**
+   * Move an airbase build to another place in the queue
+   * @param {string} cityId - City ID
+   * @param {string} teamName - Team name
+   * @param {number} index - New position (0 = first)
+   * @returns {boolean} True if moved
+   */
+  moveAirbaseBuild(cityId, teamName, index) {
+    const queue = GameState.teams[teamName].construction.queue;
+    const from = queue.indexOf(cityId);
+    if (from === -1 || !Number.isInteger(index)) return false;
+
+    queue.splice(from, 1);
+    queue.splice(Math.max(0, Math.min(queue.length, index)), 0, cityId);
+    return true;
+  },
+
+  /**
+   * Set how many airbases a team builds at once and the share of income they get
+   * @param {string} teamName - Team name
+   * @param {number} parallelBuilds - Builds in progress at once (1 to AIRBASE_MAX_PARALLEL_BUILDS)
+   * @param {number} share - Percent of income for construction (0-100)
+   * @returns {boolean} True if set
+   */
+  setConstructionPlan(teamName, parallelBuilds, share) {
+    const construction = GameState.teams[teamName].construction;
+    construction.parallelBuilds = Math.max(1, Math.min(CONSTANTS.AIRBASE_MAX_PARALLEL_BUILDS,
+      Math.round(parallelBuilds) || 1));
+    construction.share = Math.max(0, Math.min(100, share));
+    return true;
   },
 
   /**
-   * Try to produce aircraft from accumulated production
+   * Try to buy an aircraft outright from the treasury
    * @param {string} teamName - Team name
    * @param {string} templateId - Template to produce
    * @returns {boolean} True if aircraft was produced
    */
   tryProduceAircraft(teamName, templateId) {
-    const team = GameState.teams[teamName];
     const template = GameState.getTemplate(templateId);
 
-    if (!template) return false;
-    if (team.productionAccumulated < template.costM) return false;
+    if (!template || template.costM <= 0) return false;
+    if (!this.canAfford(teamName, template.costM)) return false;
 
-    // Check if we have a delivery point
-    if (!team.deliveryPointCity) return false;
+    // Check if there is somewhere to deliver it
+    const deliveryCity = this.getDeliveryCity(teamName, templateId);
+    if (!deliveryCity) return false;
 
-    // Deduct cost and create aircraft
-    team.productionAccumulated -= template.costM;
-    const aircraft = GameState.createAircraft(templateId, team.deliveryPointCity.id, teamName);
+    // Pay and create aircraft
+    this.spend(teamName, template.costM, 'templates', templateId);
+    this.deliverAircraft(teamName, templateId, deliveryCity);
 
     if (GameState.debugLogCombat) {
-      console.log(`${teamName} produced ${template.type} at ${team.deliveryPointCity.name}`);
+      console.log(`${teamName} produced ${template.type} at ${deliveryCity.name}`);
     }
 
     return true;
   },
 
+  /**
+   * Cost of a city's next flak level
+   * @param {object} city - City
+   * @returns {number} Cost in M (level n costs n times FLAK_LEVEL_COST_M)
+   */
+  getFlakCost(city) {
+    return (city.flak.level + 1) * CONSTANTS.FLAK_LEVEL_COST_M;
+  },
+
+  /**
+   * Buy a city's first flak battery, or its next level, outright from the treasury
+   * @param {string} cityId - City ID
+   * @param {string} teamName - Team buying (must own the city)
+   * @returns {boolean} True if bought
+   */
+  buyFlak(cityId, teamName) {
+    const city = GameState.getCity(cityId);
+    if (!city || city.owner !== teamName) return false;
+    if (city.flak.level >= CONSTANTS.FLAK_MAX_LEVEL) return false;
+
+    const cost = this.getFlakCost(city);
+    if (!this.spend(teamName, cost, 'flak')) return false;
+
+    city.flak.level++;
+    GameState.emit('flakBuilt', { team: teamName, cityId: cityId, level: city.flak.level });
+
+    if (GameState.debugLogCombat) {
+      console.log(`${teamName} raised flak at ${city.name} to level ${city.flak.level}`);
+    }
+    return true;
+  },
+
+  /**
+   * Create a finished aircraft at an airbase
+   * @param {string} teamName - Team name
+   * @param {string} templateId - Template built
+   * @param {object} city - Airbase city it is delivered to (becomes its home base)
+   * @returns {object} New aircraft
+   */
+  deliverAircraft(teamName, templateId, city) {
+    const aircraft = GameState.createAircraft(templateId, city.id, teamName);
+    GameState.emit('aircraftBuilt', {
+      team: teamName,
+      aircraftId: aircraft.id,
+      templateId: templateId,
+      cityId: city.id
+    });
+    return aircraft;
+  },
+
+  /**
+   * Check that a city is one of a team's completed airbases
+   * @param {object} city - City (may be null)
+   * @param {string} teamName - Team name
+   * @returns {boolean} True if it is
+   */
+  isTeamAirbase(city, teamName) {
+    return !!(city && city.owner === teamName && city.hasAirbase && city.airbase && city.airbase.complete);
+  },
+
+  /**
+   * Pick the airbase where a template's next aircraft is delivered, following its
+   * delivery rule: null for the team's delivery point, an airbase city ID, or
+   * 'spread' to take turns among all the team's airbases. A lost airbase falls
+   * back to the delivery point
+   * @param {string} teamName - Team name
+   * @param {string} templateId - Template being built
+   * @returns {object|null} Airbase city, or null if the team has nowhere to deliver
+   */
+  getDeliveryCity(teamName, templateId) {
+    const team = GameState.teams[teamName];
+    const templateProd = team.templateProduction[templateId];
+    const delivery = templateProd ? templateProd.delivery : null;
+
+    if (delivery === 'spread') {
+      const bases = team.cities.filter(c => this.isTeamAirbase(c, teamName));
+      if (bases.length > 0) {
+        const city = bases[templateProd.spreadIndex % bases.length];
+        templateProd.spreadIndex = (templateProd.spreadIndex + 1) % bases.length;
+        return city;
+      }
+    } else if (delivery) {
+      const city = GameState.getCity(delivery);
+      if (this.isTeamAirbase(city, teamName)) return city;
+    }
+
+    return team.deliveryPointCity;
+  },
+
+  /**
+   * Choose where a template's output is delivered
+   * @param {string} teamName - Team name
+   * @param {string} templateId - Template
+   * @param {string|null} delivery - null (delivery point), an airbase city ID or 'spread'
+   * @returns {boolean} True if set
+   */
+  setTemplateDelivery(teamName, templateId, delivery) {
+    const templateProd = GameState.teams[teamName].templateProduction[templateId];
+    if (!templateProd) return false;
+    if (delivery !== null && delivery !== 'spread' &&
+        !this.isTeamAirbase(GameState.getCity(delivery), teamName)) return false;
+
+    templateProd.delivery = delivery;
+    templateProd.spreadIndex = 0;
+    return true;
+  },
+
+  /**
+   * Add aircraft to an airbase's build queue
+   * @param {string} cityId - Airbase city ID
+   * @param {string} teamName - Team name
+   * @param {string} templateId - One of the team's templates (with a cost above 0)
+   * @param {number} count - Aircraft to build (1 to BASE_QUEUE_MAX_COUNT)
+   * @returns {boolean} True if queued
+   */
+  queueAircraft(cityId, teamName, templateId, count) {
+    const city = GameState.getCity(cityId);
+    if (!this.isTeamAirbase(city, teamName)) return false;
+    const template = GameState.teams[teamName].templates.find(t => t.id === templateId);
+    if (!template || template.costM <= 0) return false;
+    if (!Number.isInteger(count) || count < 1 || count > CONSTANTS.BASE_QUEUE_MAX_COUNT) return false;
+
+    // More of the same as the last entry just extends it
+    const queue = city.queuedProduction;
+    const last = queue[queue.length - 1];
+    if (last && last.templateId === templateId) {
+      last.count = Math.min(CONSTANTS.BASE_QUEUE_MAX_COUNT, last.count + count);
+    } else {
+      queue.push({ templateId: templateId, count: count, progressM: 0 });
+    }
+    return true;
+  },
+
+  /**
+   * Remove an entry from an airbase's build queue (money paid toward it is refunded)
+   * @param {string} cityId - Airbase city ID
+   * @param {string} teamName - Team name
+   * @param {number} index - Queue position
+   * @returns {boolean} True if removed
+   */
+  removeQueuedAircraft(cityId, teamName, index) {
+    const city = GameState.getCity(cityId);
+    if (!this.isTeamAirbase(city, teamName)) return false;
+
+    const entry = city.queuedProduction[index];
+    if (!entry) return false;
+
+    const ledger = GameState.teams[teamName].ledger;
+    ledger.treasuryM += entry.progressM;
+    ledger.spentM.templates[entry.templateId] -= entry.progressM;
+    city.queuedProduction.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * Pay toward the aircraft at the head of every airbase's build queue (called
+   * each tick after construction and before allocations, so queued orders come
+   * first); each airbase finishes at most one aircraft per tick
+   */
+  processBaseQueues() {
+    for (const teamName in GameState.teams) {
+      const team = GameState.teams[teamName];
+
+      for (const city of team.cities) {
+        const entry = city.queuedProduction[0];
+        if (!entry || !this.isTeamAirbase(city, teamName)) continue;
+
+        const template = GameState.getTemplate(entry.templateId);
+        const payment = Math.min(template.costM - entry.progressM, team.ledger.treasuryM);
+        if (payment > 0 && this.spend(teamName, payment, 'templates', entry.templateId)) {
+          entry.progressM += payment;
+        }
+
+        if (entry.progressM >= template.costM) {
+          this.deliverAircraft(teamName, entry.templateId, city);
+          entry.progressM = 0;
+          entry.count--;
+          if (entry.count === 0) city.queuedProduction.shift();
+        }
+      }
+    }
+  },
+
   /**
    * Calculate points available for a custom aircraft design
    * @param {number} costM - Cost in Millions
+   * @param {string} teamName - Team designing it (its research adds points; omit for the base rules)
    * @returns {number} Points available
    */
-  calculateDesignPoints(costM) {
-    return Math.floor(CONSTANTS.DESIGN_BASE_POINTS * Math.log10(costM + 1));
+  calculateDesignPoints(costM, teamName = null) {
+    const bonus = teamName ? ResearchSystem.getEffects(teamName).designPoints : 0;
+    return Math.floor(CONSTANTS.DESIGN_BASE_POINTS * Math.log10(costM + 1) * (1 + bonus / 100));
   },
 
   /**
-   * Get design cost (1 minute of current production)
+   * Cheapest cost at which a design gets a number of points (the inverse of
+   * calculateDesignPoints)
+   * @param {number} points - Points wanted
+   * @param {string} teamName - Team designing it (its research adds points; omit for the base rules)
+   * @returns {number} Cost in M, rounded up to a tenth
+   */
+  getDesignCostForPoints(points, teamName = null) {
+    const bonus = teamName ? ResearchSystem.getEffects(teamName).designPoints : 0;
+    const exponent = points / (CONSTANTS.DESIGN_BASE_POINTS * (1 + bonus / 100));
+    let costM = Math.max(0, Math.ceil((Math.pow(10, exponent) - 1) * 10) / 10);
+
+    // Rounding can leave it a point short
+    while (this.calculateDesignPoints(costM, teamName) < points) {
+      costM = Math.round(costM * 10 + 1) / 10;
+    }
+    return costM;
+  },
+
+  /**
+   * Get design cost (1 minute of current production, and never less than
+   * DESIGN_MIN_COST_M, so a team without income can't design for free)
    * @param {string} teamName - Team name
    * @returns {number} Design cost in M
    */
   getDesignCost(teamName) {
     const team = GameState.teams[teamName];
-    return team.productionPerMinute * CONSTANTS.DESIGN_COST_MULTIPLIER;
+    return Math.max(CONSTANTS.DESIGN_MIN_COST_M, team.productionPerMinute * CONSTANTS.DESIGN_COST_MULTIPLIER);
   },
 
   /**
-   * Start designing a custom aircraft
+   * Check a design against the rules: a known type costing at least its base
+   * cost, whole-number stats between their minimums and the team's research
+   * caps, no more points than the cost buys, and a role the team has unlocked
    * @param {string} teamName - Team name
-   * @param {object} specs - {type, costM, rangePoints, offense, defense, name}
-   * @returns {boolean} True if design started
+   * @param {object} specs - {type, costM, rangePoints, offense, defense, speed, payload, name, role}
+   * @returns {string|null} What's wrong with the design, or null if it can be built
    */
-  startDesign(teamName, specs) {
-    const team = GameState.teams[teamName];
-    const designCost = this.getDesignCost(teamName);
+  getDesignProblem(teamName, specs) {
+    if (!specs || (specs.type !== 'fighter' && specs.type !== 'bomber')) {
+      return 'Designs must be a fighter or a bomber';
+    }
+
+    const minCost = specs.type === 'bomber' ? CONSTANTS.BOMBER_BASE_COST_M : CONSTANTS.FIGHTER_BASE_COST_M;
+    if (!Number.isFinite(specs.costM) || specs.costM < minCost) {
+      return `Minimum cost for ${specs.type} is ${minCost}M`;
+    }
+
+    const caps = ResearchSystem.getStatCaps(teamName);
+    const stats = [
+      ['range', specs.rangePoints, CONSTANTS.RANGE_MIN, caps.rangeMax],
+      ['offense', specs.offense, CONSTANTS.OFFENSE_MIN, caps.offenseMax],
+      ['defense', specs.defense, CONSTANTS.DEFENSE_MIN, caps.defenseMax],
+      ['speed', specs.speed, CONSTANTS.SPEED_MIN, caps.speedMax],
+      ['payload', specs.payload, CONSTANTS.PAYLOAD_MIN, caps.payloadMax]
+    ];
+    for (const [stat, value, min, max] of stats) {
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return `The ${stat} must be a whole number from ${min} to ${max}`;
+      }
+    }
+
+    const availablePoints = this.calculateDesignPoints(specs.costM, teamName);
+    const usedPoints = stats.reduce((sum, stat) => sum + stat[1], 0);
+    if (usedPoints > availablePoints) {
+      return `Too many points used (${usedPoints} > ${availablePoints})`;
+    }
 
-    if (team.productionAccumulated < designCost) return false;
+    if (specs.name !== undefined && specs.name !== null && typeof specs.name !== 'string') {
+      return 'The design name must be text';
+    }
+    if (!ResearchSystem.canUseRole(teamName, specs.type, specs.role || null)) {
+      return 'That role isn\'t available for this design';
+    }
+    return null;
+  },
 
-    // Deduct design cost
-    team.productionAccumulated -= designCost;
+  /**
+   * Start designing a custom aircraft (one at a time). The design cost is fixed
+   * now and paid from the treasury out of the design share of income; the
+   * template can be built once processDesign() finishes it
+   * @param {string} teamName - Team name
+   * @param {object} specs - {type, costM, rangePoints, offense, defense, speed, payload, name, role}
+   * @returns {boolean} True if design started (false if busy or the design breaks the rules, see getDesignProblem)
+   */
+  startDesign(teamName, specs) {
+    const team = GameState.teams[teamName];
+    if (team.design) return false;
+    if (this.getDesignProblem(teamName, specs)) return false;
 
-    // Create the template
-    GameState.createTemplate(teamName, specs);
+    team.design = { specs: { ...specs }, costM: this.getDesignCost(teamName), progressM: 0 };
 
     if (GameState.debugLogCombat) {
-      console.log(`${teamName} designed ${specs.name} for ${designCost}M`);
+      console.log(`${teamName} started designing ${specs.name} for ${team.design.costM.toFixed(1)}M`);
     }
 
     return true;
   },
 
   /**
-   * Build an airbase at a city
+   * Cancel the design under way, refunding what was paid toward it
+   * @param {string} teamName - Team name
+   * @returns {boolean} True if a design was cancelled
+   */
+  cancelDesign(teamName) {
+    const team = GameState.teams[teamName];
+    if (!team.design) return false;
+
+    team.ledger.treasuryM += team.design.progressM;
+    team.ledger.spentM.designs -= team.design.progressM;
+    team.design = null;
+    return true;
+  },
+
+  /**
+   * Share of income going to design work this tick
+   * @param {object} team - Team
+   * @returns {number} Fraction of income (0 when nothing is being designed)
+   */
+  getDesignIncomeShare(team) {
+    return team.design ? CONSTANTS.DESIGN_SHARE / 100 : 0;
+  },
+
+  /**
+   * Pay toward every team's design under way (called each tick after research),
+   * turning fully paid designs into buildable templates
+   * @param {number} deltaMs - Time since last update in milliseconds
+   */
+  processDesign(deltaMs) {
+    const deltaMinutes = deltaMs / 60000;
+
+    for (const teamName in GameState.teams) {
+      const team = GameState.teams[teamName];
+      const design = team.design;
+      if (!design) continue;
+
+      const budget = Math.min(
+        team.productionPerMinute * deltaMinutes * CONSTANTS.DESIGN_SHARE / 100,
+        team.ledger.treasuryM,
+        design.costM - design.progressM
+      );
+      if (budget > 0 && this.spend(teamName, budget, 'designs')) {
+        design.progressM += budget;
+      }
+
+      if (design.progressM >= design.costM) {
+        team.design = null;
+        const template = GameState.createTemplate(teamName, design.specs);
+        GameState.emit('designCompleted', { team: teamName, templateId: template.id });
+
+        if (GameState.debugLogCombat) {
+          console.log(`${teamName} finished designing ${template.name} for ${design.costM.toFixed(1)}M`);
+        }
+      }
+    }
+  },
+
+  /**
+   * Queue an airbase build at a city
    * @param {string} cityId - City ID
    * @param {string} teamName - Team name
-   * @returns {boolean} True if airbase build started
+   * @returns {boolean} True if the build was queued
    */
   buildAirbase(cityId, teamName) {
     const city = GameState.getCity(cityId);
@@ -245,8 +694,8 @@ const ProductionSystem = {
     // Check ownership
     if (city.owner !== teamName) return false;
 
-    // Check if already has airbase
-    if (city.hasAirbase) return false;
+    // Check if already has airbase (or one is queued)
+    if (city.hasAirbase || city.airbase) return false;
 
     // Placeholder cities must be captured first (hp >= 0)
     if (city.isPlaceholder && city.hp < 0) return false;
@@ -260,9 +709,10 @@ const ProductionSystem = {
       orders: null,
       escortAllocation: 0.5
     };
+    GameState.teams[teamName].construction.queue.push(cityId);
 
     if (GameState.debugLogCombat) {
-      console.log(`${teamName} started building airbase at ${city.name}`);
+      console.log(`${teamName} queued airbase at ${city.name}`);
     }
 
     return true;
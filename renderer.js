@@ -44,6 +44,7 @@ const Renderer = {
     this.renderCities();
     this.renderRaids();
     this.renderRaidAnimations();
+    this.renderEngagements();
   },
 
   /**
@@ -59,8 +60,8 @@ const Renderer = {
       defs = this.svg.insert('defs', ':first-child');
     }
 
-    // Create hash patterns for contested countries
-    const patterns = ['Red', 'Blue'];
+    // Create hash patterns for contested countries (one per team)
+    const patterns = Object.keys(GameState.teams);
     patterns.forEach(function(teamName) {
       const patternId = 'hash-' + teamName;
       if (defs.select('#' + patternId).empty()) {
@@ -120,15 +121,16 @@ const Renderer = {
         opacity = 0.3;
       } else if (contested) {
         // Contested - use hash pattern
-        // Find which team has more cities
+        // Find which team has the most cities
         const country = GameState.countries.get(countryName);
         if (country) {
-          let redCount = 0, blueCount = 0;
+          const counts = {};
           country.cities.forEach(function(c) {
-            if (c.owner === 'Red') redCount++;
-            else if (c.owner === 'Blue') blueCount++;
+            if (c.owner) counts[c.owner] = (counts[c.owner] || 0) + 1;
+          });
+          const dominantTeam = Object.keys(counts).reduce(function(best, teamName) {
+            return counts[teamName] > counts[best] ? teamName : best;
           });
-          const dominantTeam = redCount > blueCount ? 'Red' : 'Blue';
           fill = 'url(#hash-' + dominantTeam + ')';
           opacity = 1;
         }
@@ -189,6 +191,10 @@ const Renderer = {
       .attr('class', 'capture-ring')
       .style('display', 'none');
 
+    // Add flak pips (one per level, below the dot)
+    entering.append('g')
+      .attr('class', 'flak-pips');
+
     // Add HP bar background
     entering.append('rect')
       .attr('class', 'hp-bar-bg')
@@ -301,6 +307,22 @@ const Renderer = {
         square.style('display', 'none');
       }
 
+      // Update flak pips: one per level, fading as bombing wears the flak down
+      const level = city.flak.level;
+      const pips = group.select('.flak-pips').selectAll('.flak-pip').data(d3.range(level));
+      pips.enter().append('rect')
+        .attr('class', 'flak-pip')
+        .attr('width', 3)
+        .attr('height', 3)
+        .style('fill', '#ffcc00')
+        .style('stroke', '#333')
+        .style('stroke-width', 0.5);
+      pips.exit().remove();
+      pips
+        .attr('x', function(i) { return (i - level / 2) * 4 + 0.5; })
+        .attr('y', radius + 3)
+        .style('opacity', 0.3 + 0.7 * city.flak.condition);
+
       // Update HP bar
       const hpBarBg = group.select('.hp-bar-bg');
       const hpBarFill = group.select('.hp-bar-fill');
@@ -345,10 +367,9 @@ const Renderer = {
       }
     }
 
-    // Default: opposite of current owner
-    if (city.owner === 'Red') return 'Blue';
-    if (city.owner === 'Blue') return 'Red';
-    return 'Red'; // Default to Red for neutral
+    // Default: first enemy of the current owner
+    const enemies = GameState.getEnemyTeams(city.owner);
+    return enemies.length > 0 ? enemies[0] : null;
   },
 
   /**
@@ -525,6 +546,9 @@ const Renderer = {
     content += 'Owner: ' + (city.owner || 'Neutral') + '<br/>';
     content += 'HP: ' + city.hp.toFixed(1) + '<br/>';
     content += 'Production: ' + production.toFixed(2) + 'M/min<br/>';
+    if (city.flak.level > 0) {
+      content += 'Flak: level ' + city.flak.level + ' (' + Math.round(city.flak.condition * 100) + '%)<br/>';
+    }
     if (aircraft.length > 0) {
       content += 'Aircraft: ' + fighters + 'F / ' + bombers + 'B';
     }
@@ -679,31 +703,14 @@ const Renderer = {
         return;
       }
 
-      // Calculate position along path based on progress
+      // Calculate position along the great-circle path (where interceptions happen)
       const progress = raid.progress || 0;
       const returning = raid.returning || false;
       const actualProgress = returning ? 1 - progress : progress;
+      const point = MapUtils.intermediatePoint(fromCity.lat, fromCity.lon, toCity.lat, toCity.lon, actualProgress);
 
-      // Interpolate position
-      const lat = fromCity.lat + (toCity.lat - fromCity.lat) * actualProgress;
-      const lon = fromCity.lon + (toCity.lon - fromCity.lon) * actualProgress;
-
-      const projected = self.projection([lon, lat]);
-      if (!projected) {
-        tri.style('display', 'none');
-        return;
-      }
-
-      // Check visibility
-      const rotation = self.projection.rotate();
-      const centerLon = -rotation[0];
-      const centerLat = -rotation[1];
-      const toRad = Math.PI / 180;
-      const cosAngle = Math.sin(centerLat * toRad) * Math.sin(lat * toRad) +
-                       Math.cos(centerLat * toRad) * Math.cos(lat * toRad) *
-                       Math.cos((lon - centerLon) * toRad);
-
-      if (cosAngle < 0) {
+      const projected = self.projection([point.lon, point.lat]);
+      if (!projected || !self.isFacingViewer(point.lat, point.lon)) {
         tri.style('display', 'none');
         return;
       }
@@ -723,6 +730,63 @@ const Renderer = {
 
     // Exit
     triangles.exit().remove();
+  },
+
+  /**
+   * Mark where raids have recently been intercepted, in the defending team's
+   * color, fading out over ENGAGEMENT_MARKER_TTL_S
+   */
+  renderEngagements() {
+    const self = this;
+    if (!this.raidAnimationLayer) return;
+
+    // An airbase intercepts a raid at most once per leg
+    const markers = this.raidAnimationLayer.selectAll('.engagement-marker')
+      .data(GameState.engagements, function(d) { return `${d.raidId}-${d.leg}-${d.cityId}`; });
+
+    // Enter
+    markers.enter()
+      .append('path')
+      .attr('class', 'engagement-marker')
+      .attr('d', 'M-4,-4L4,4M-4,4L4,-4')
+      .style('stroke-width', 2);
+
+    // Update
+    this.raidAnimationLayer.selectAll('.engagement-marker').each(function(engagement) {
+      const marker = d3.select(this);
+      const projected = self.projection([engagement.lon, engagement.lat]);
+      if (!projected || !self.isFacingViewer(engagement.lat, engagement.lon)) {
+        marker.style('display', 'none');
+        return;
+      }
+
+      const team = GameState.teams[engagement.team];
+      const age = GameState.elapsedSeconds - engagement.time;
+      marker.style('display', null)
+        .attr('transform', 'translate(' + projected[0] + ',' + projected[1] + ')')
+        .style('stroke', team ? team.color : '#fff')
+        .style('opacity', Math.max(0, 1 - age / CONSTANTS.ENGAGEMENT_MARKER_TTL_S));
+    });
+
+    // Exit
+    markers.exit().remove();
+  },
+
+  /**
+   * Check whether a point is on the side of the globe facing the viewer
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {boolean} True if visible
+   */
+  isFacingViewer(lat, lon) {
+    const rotation = this.projection.rotate();
+    const centerLon = -rotation[0];
+    const centerLat = -rotation[1];
+    const toRad = Math.PI / 180;
+    const cosAngle = Math.sin(centerLat * toRad) * Math.sin(lat * toRad) +
+                     Math.cos(centerLat * toRad) * Math.cos(lat * toRad) *
+                     Math.cos((lon - centerLon) * toRad);
+    return cosAngle >= 0;
   }
 };
 
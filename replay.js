@@ -0,0 +1,233 @@
+// Replay - Play back a recording (setup + command log) with play, pause and seek
+//
+// The game is rebuilt from the recording's seed and setup, then stepped tick by
+// tick. Before each tick the player commands stamped with the ticks completed
+// so far are applied; bot commands are regenerated by the bots themselves.
+// Seeking backwards restarts from the beginning, since the simulation only
+// runs forwards.
+
+const Replay = {
+  SEEK_CHUNK_TICKS: 500, // Ticks simulated between yields while seeking
+
+  recording: null,
+  active: false,
+  cursor: 0,            // Index of the next recorded command to consider
+  checkedCount: 0,      // Logged commands already compared with the recording
+  divergedAtTick: null, // First tick where the replay stopped matching the recording
+
+  /**
+   * Build map data for a seed (the browser loader; the headless runner replaces it)
+   * @param {number} seed - Game seed
+   * @returns {Promise<object>} {countries, cities, geoData}
+   */
+  async loadGameData(seed) {
+    return DataLoader.loadGameData(new RNG(seed));
+  },
+
+  /**
+   * Parse and check a recording
+   * @param {string} text - Recording JSON
+   * @returns {object} Recording
+   */
+  parse(text) {
+    let recording;
+    try {
+      recording = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Replay is not valid JSON: ${error.message}`);
+    }
+
+    const errors = [];
+    if (!recording || recording.version !== Commands.RECORDING_VERSION) {
+      errors.push(`version must be ${Commands.RECORDING_VERSION}`);
+    } else {
+      if (!recording.setup || typeof recording.setup.seed !== 'number') {
+        errors.push('setup with a seed is required');
+      }
+      if (!Number.isInteger(recording.endTick) || recording.endTick < 0) {
+        errors.push('endTick must be a whole number');
+      }
+      if (!Array.isArray(recording.commands)) {
+        errors.push('commands must be a list');
+      } else {
+        recording.commands.forEach((command, index) => {
+          if (!Commands.HANDLERS[command.type]) {
+            errors.push(`commands[${index}]: unknown command ${command.type}`);
+          } else if (!Number.isInteger(command.tick) ||
+              (index > 0 && command.tick < recording.commands[index - 1].tick)) {
+            errors.push(`commands[${index}]: ticks must be whole numbers in order`);
+          }
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid replay:\n- ${errors.slice(0, 10).join('\n- ')}`);
+    }
+    return recording;
+  },
+
+  /**
+   * Start replaying a recording from its first tick
+   * @param {object} recording - Parsed recording
+   */
+  async start(recording) {
+    this.pause();
+    this.recording = recording;
+    await this.restart();
+  },
+
+  /**
+   * Rebuild the game at tick 0
+   */
+  async restart() {
+    const setup = this.recording.setup;
+    const gameData = await this.loadGameData(setup.seed);
+
+    GameState.initialize(setup.seed, gameData);
+    Commands.applySetup(setup);
+    Commands.replaying = true;
+
+    this.cursor = 0;
+    this.checkedCount = 0;
+    this.divergedAtTick = null;
+    this.active = true;
+  },
+
+  /**
+   * Stop replaying (the game is left where it is)
+   */
+  stop() {
+    this.pause();
+    this.active = false;
+    Commands.replaying = false;
+  },
+
+  /**
+   * Whether the replay has reached the end of the recording
+   * @returns {boolean} True at the end
+   */
+  isFinished() {
+    return GameState.tickCount >= this.recording.endTick || !!GameState.gameOver;
+  },
+
+  /**
+   * Advance one tick
+   * @param {boolean} skipRender - Don't redraw (seeking, or playback where the main loop draws)
+   * @returns {boolean} False if the recording has ended (or the game is paused)
+   */
+  step(skipRender = false) {
+    if (!this.active || GameState.isPaused || this.isFinished()) return false;
+
+    this.applyRecordedCommands();
+    MainLoop.tick();
+    this.checkDivergence();
+
+    if (!skipRender && typeof Renderer !== 'undefined') {
+      Renderer.render();
+    }
+    return true;
+  },
+
+  /**
+   * Apply the recorded player commands issued before the next tick
+   */
+  applyRecordedCommands() {
+    const commands = this.recording.commands;
+    while (this.cursor < commands.length && commands[this.cursor].tick <= GameState.tickCount) {
+      const command = commands[this.cursor++];
+      const team = GameState.teams[command.team];
+      if (team && !team.isBot) {
+        Commands.record({ ...command });
+      }
+    }
+  },
+
+  /**
+   * Compare commands logged since the last check with the recording
+   * (bot commands are regenerated, so a mismatch means the simulation drifted)
+   */
+  checkDivergence() {
+    const log = Commands.log;
+    for (; this.checkedCount < log.length; this.checkedCount++) {
+      const recorded = this.recording.commands[this.checkedCount];
+      if (this.divergedAtTick === null &&
+          JSON.stringify(recorded) !== JSON.stringify(log[this.checkedCount])) {
+        this.divergedAtTick = GameState.tickCount;
+        console.log(`Replay diverged from the recording at tick ${this.divergedAtTick}`);
+      }
+    }
+  },
+
+  /**
+   * Play at the game speed (on the main loop, which draws each frame itself)
+   */
+  play() {
+    if (!this.active || this.isPlaying()) return;
+
+    MainLoop.start(() => this.step(true));
+  },
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (this.isPlaying()) {
+      MainLoop.stop();
+    }
+  },
+
+  /**
+   * Whether playback is running (the main loop only runs for playback during a replay)
+   * @returns {boolean} True while playing
+   */
+  isPlaying() {
+    return this.active && MainLoop.isRunning();
+  },
+
+  /**
+   * Jump to a tick (restarting first if it lies in the past)
+   * @param {number} tick - Target tick
+   * @param {function} onProgress - Optional callback with the tick reached after each chunk
+   */
+  async seek(tick, onProgress) {
+    const wasPlaying = this.isPlaying();
+    this.pause();
+
+    const target = Math.max(0, Math.min(tick, this.recording.endTick));
+    if (target < GameState.tickCount) {
+      await this.restart();
+    }
+
+    let advancing = true;
+    while (advancing && GameState.tickCount < target) {
+      const chunkEnd = Math.min(target, GameState.tickCount + this.SEEK_CHUNK_TICKS);
+      while (GameState.tickCount < chunkEnd && (advancing = this.step(true))) {
+        // Simulate without drawing
+      }
+      if (onProgress) onProgress(GameState.tickCount);
+
+      // Let the page breathe between chunks
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    if (typeof Renderer !== 'undefined') {
+      Renderer.render();
+    }
+    if (wasPlaying) this.play();
+  },
+
+  /**
+   * Run the whole recording as fast as possible (headless verification)
+   */
+  runToEnd() {
+    while (this.step(true)) {
+      // Simulate without drawing
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Replay;
+}
@@ -0,0 +1,280 @@
+// Research System - Technologies teams pay for to improve their aircraft and cities
+//
+// A team researches one technology at a time, paid from the treasury out of
+// a share of its income (like airbase construction). Progress toward each
+// technology is kept if the team switches to another, and a technology can
+// be started once all the ones it requires are finished. Finished
+// technologies add up:
+//
+//   designPoints - percent more design points for every new design
+//   rangeMax, offenseMax, defenseMax, speedMax, payloadMax - raise the stat caps of new designs
+//   hpRecovery - percent faster HP recovery in the team's cities
+//   roles - fighter roles new designs may take (see ROLES)
+
+const ResearchSystem = {
+  // Research order: each entry's requirements come before it
+  TECHNOLOGIES: [
+    {
+      id: 'streamlining', name: 'Streamlined Airframes', costM: 1000, requires: [],
+      effects: { designPoints: 10 },
+      description: '+10% design points'
+    },
+    {
+      id: 'civilDefense', name: 'Civil Defense', costM: 1000, requires: [],
+      effects: { hpRecovery: 50 },
+      description: 'Cities recover HP 50% faster'
+    },
+    {
+      id: 'superchargers', name: 'Superchargers', costM: 2500, requires: ['streamlining'],
+      effects: { designPoints: 15 },
+      description: '+15% design points'
+    },
+    {
+      id: 'dropTanks', name: 'Drop Tanks', costM: 1500, requires: ['streamlining'],
+      effects: { rangeMax: 50 },
+      description: 'Range cap +50'
+    },
+    {
+      id: 'cannons', name: 'Cannon Armament', costM: 1500, requires: ['streamlining'],
+      effects: { offenseMax: 50 },
+      description: 'Offense cap +50'
+    },
+    {
+      id: 'armor', name: 'Armor Plating', costM: 1500, requires: ['streamlining'],
+      effects: { defenseMax: 50 },
+      description: 'Defense cap +50'
+    },
+    {
+      id: 'repairCrews', name: 'Repair Crews', costM: 2500, requires: ['civilDefense'],
+      effects: { hpRecovery: 50 },
+      description: 'Cities recover HP a further 50% faster'
+    },
+    {
+      id: 'radar', name: 'Radar Direction', costM: 2000, requires: ['civilDefense'],
+      effects: { roles: ['interceptor'] },
+      description: 'Unlocks the interceptor fighter role'
+    },
+    {
+      id: 'escortDoctrine', name: 'Escort Doctrine', costM: 2000, requires: ['dropTanks'],
+      effects: { roles: ['escort'] },
+      description: 'Unlocks the escort fighter role'
+    },
+    {
+      id: 'jetEngines', name: 'Jet Engines', costM: 6000, requires: ['superchargers'],
+      effects: { designPoints: 25, rangeMax: 25, offenseMax: 25, defenseMax: 25, speedMax: 25, payloadMax: 25 },
+      description: '+25% design points and every stat cap +25'
+    }
+  ],
+
+  // Fighter roles (a fighter without one splits between escort and defense by the airbase slider)
+  ROLES: {
+    interceptor: 'Always defends its airbase, never escorts',
+    escort: 'Always escorts raids from its airbase, never defends'
+  },
+
+  /**
+   * Create a team's research state (no research under way)
+   * @returns {object} {current, progress, completed, share}
+   */
+  createState() {
+    return {
+      current: null,   // Technology being researched
+      progress: {},    // Technology id -> M paid so far (unfinished only)
+      completed: [],   // Finished technology ids, in the order finished
+      share: CONSTANTS.RESEARCH_SHARE // Percent of income paid to research while researching
+    };
+  },
+
+  /**
+   * Look up a technology
+   * @param {string} techId - Technology id
+   * @returns {object|null} Technology
+   */
+  getTechnology(techId) {
+    return this.TECHNOLOGIES.find(t => t.id === techId) || null;
+  },
+
+  /**
+   * Cost of a technology under the current rules
+   * @param {object} tech - Technology
+   * @returns {number} Cost in M
+   */
+  getCost(tech) {
+    return tech.costM * CONSTANTS.RESEARCH_COST_MULTIPLIER;
+  },
+
+  /**
+   * Check whether a team may research a technology (not finished, requirements met)
+   * @param {string} teamName - Team name
+   * @param {string} techId - Technology id
+   * @returns {boolean} True if available
+   */
+  isAvailable(teamName, techId) {
+    const tech = this.getTechnology(techId);
+    const completed = GameState.teams[teamName].research.completed;
+    return !!tech && !completed.includes(techId) && tech.requires.every(id => completed.includes(id));
+  },
+
+  /**
+   * Add up the effects of a team's finished technologies
+   * @param {string} teamName - Team name
+   * @returns {object} {designPoints, rangeMax, offenseMax, defenseMax, speedMax, payloadMax, hpRecovery, roles}
+   */
+  getEffects(teamName) {
+    const effects = {
+      designPoints: 0, rangeMax: 0, offenseMax: 0, defenseMax: 0, speedMax: 0, payloadMax: 0,
+      hpRecovery: 0, roles: []
+    };
+    const team = GameState.teams[teamName];
+    if (!team) return effects;
+
+    for (const techId of team.research.completed) {
+      const tech = this.getTechnology(techId);
+      if (!tech) continue;
+      for (const key in tech.effects) {
+        if (key === 'roles') {
+          effects.roles.push(...tech.effects.roles);
+        } else {
+          effects[key] += tech.effects[key];
+        }
+      }
+    }
+    return effects;
+  },
+
+  /**
+   * Get the stat caps for a team's new designs
+   * @param {string} teamName - Team name
+   * @returns {object} {rangeMax, offenseMax, defenseMax, speedMax, payloadMax}
+   */
+  getStatCaps(teamName) {
+    const effects = this.getEffects(teamName);
+    return {
+      rangeMax: CONSTANTS.RANGE_MAX + effects.rangeMax,
+      offenseMax: CONSTANTS.OFFENSE_MAX + effects.offenseMax,
+      defenseMax: CONSTANTS.DEFENSE_MAX + effects.defenseMax,
+      speedMax: CONSTANTS.SPEED_MAX + effects.speedMax,
+      payloadMax: CONSTANTS.PAYLOAD_MAX + effects.payloadMax
+    };
+  },
+
+  /**
+   * Check whether a team may design aircraft with a role
+   * @param {string} teamName - Team name
+   * @param {string} type - 'fighter' or 'bomber'
+   * @param {string|null} role - Role (null for none)
+   * @returns {boolean} True if allowed
+   */
+  canUseRole(teamName, type, role) {
+    if (!role) return true;
+    return type === 'fighter' && !!this.ROLES[role] && this.getEffects(teamName).roles.includes(role);
+  },
+
+  /**
+   * Start (or switch to) researching a technology; progress on the previous one is kept
+   * @param {string} teamName - Team name
+   * @param {string} techId - Technology id
+   * @returns {boolean} True if started
+   */
+  startResearch(teamName, techId) {
+    if (!this.isAvailable(teamName, techId)) return false;
+
+    const research = GameState.teams[teamName].research;
+    research.current = techId;
+    if (research.progress[techId] === undefined) {
+      research.progress[techId] = 0;
+    }
+
+    if (GameState.debugLogCombat) {
+      console.log(`${teamName} started researching ${this.getTechnology(techId).name}`);
+    }
+    return true;
+  },
+
+  /**
+   * Stop researching (progress is kept for later)
+   * @param {string} teamName - Team name
+   * @returns {boolean} True if research was under way
+   */
+  stopResearch(teamName) {
+    const research = GameState.teams[teamName].research;
+    if (!research.current) return false;
+    research.current = null;
+    return true;
+  },
+
+  /**
+   * Set the share of income paid to research while researching
+   * @param {string} teamName - Team name
+   * @param {number} share - Percent of income (clamped to 0-100)
+   * @returns {boolean} True (always applied)
+   */
+  setResearchShare(teamName, share) {
+    GameState.teams[teamName].research.share = Math.max(0, Math.min(100, Math.round(share) || 0));
+    return true;
+  },
+
+  /**
+   * Share of income going to research this tick
+   * @param {object} team - Team
+   * @returns {number} Fraction of income (0 when nothing is being researched)
+   */
+  getIncomeShare(team) {
+    return team.research.current ? team.research.share / 100 : 0;
+  },
+
+  /**
+   * Pay toward every team's current research (called each tick after airbase
+   * construction), finishing technologies that are fully paid
+   * @param {number} deltaMs - Time since last update in milliseconds
+   */
+  processResearch(deltaMs) {
+    const deltaMinutes = deltaMs / 60000;
+
+    for (const teamName in GameState.teams) {
+      const team = GameState.teams[teamName];
+      const research = team.research;
+      if (!research.current) continue;
+
+      const tech = this.getTechnology(research.current);
+      const remaining = this.getCost(tech) - research.progress[tech.id];
+      const budget = Math.min(
+        team.productionPerMinute * deltaMinutes * research.share / 100,
+        team.ledger.treasuryM,
+        remaining
+      );
+      if (budget > 0 && ProductionSystem.spend(teamName, budget, 'research')) {
+        research.progress[tech.id] += budget;
+      }
+
+      if (research.progress[tech.id] >= this.getCost(tech)) {
+        this.completeResearch(teamName, tech);
+      }
+    }
+  },
+
+  /**
+   * Finish a technology
+   * @param {string} teamName - Team name
+   * @param {object} tech - Technology
+   */
+  completeResearch(teamName, tech) {
+    const research = GameState.teams[teamName].research;
+    research.completed.push(tech.id);
+    delete research.progress[tech.id];
+    if (research.current === tech.id) {
+      research.current = null;
+    }
+
+    GameState.emit('researchCompleted', { team: teamName, techId: tech.id });
+
+    if (GameState.debugLogCombat) {
+      console.log(`${teamName} finished researching ${tech.name}`);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResearchSystem;
+}
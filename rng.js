@@ -52,7 +52,7 @@ class RNG {
 
   // Get current state (for serialization)
   getState() {
-    return this.state;
+    return this.state >>> 0; // next() lets state grow past 32 bits; only the low 32 matter
   }
 
   // Set state (for deserialization)
@@ -0,0 +1,241 @@
+// Rulesets - Named sets of CONSTANTS overrides, validated and applied at runtime
+//
+// A ruleset is either a preset name ("Fast") or an object
+// {name, base, values}: `values` override the preset named by `base`
+// (Classic if omitted), which in turn override constants.js.
+
+const Rulesets = {
+  DEFAULT_NAME: 'Classic',
+
+  // Tunables a ruleset may change, with allowed ranges
+  SCHEMA: {
+    HP_RECOVERY_PER_MIN: { min: 0, max: 600 },
+    POP_SCALE: { min: 100, max: 1000000 },
+    AIRBASE_COST_M: { min: 1, max: 10000 },
+    AIRBASE_CANCEL_REFUND: { min: 0, max: 1 },
+    BOMBER_BASE_COST_M: { min: 0.1, max: 1000 },
+    FIGHTER_BASE_COST_M: { min: 0.1, max: 1000 },
+    DESIGN_BASE_POINTS: { min: 1, max: 100 },
+    DESIGN_COST_MULTIPLIER: { min: 0, max: 10 },
+    DESIGN_MIN_COST_M: { min: 0.1, max: 1000000 },
+    DESIGN_SHARE: { min: 1, max: 100 },
+    RESEARCH_COST_MULTIPLIER: { min: 0, max: 100 },
+    RANGE_MIN: { min: 1, max: 1000, integer: true },
+    RANGE_MAX: { min: 1, max: 1000, integer: true },
+    OFFENSE_MIN: { min: 1, max: 1000, integer: true },
+    OFFENSE_MAX: { min: 1, max: 1000, integer: true },
+    DEFENSE_MIN: { min: 1, max: 1000, integer: true },
+    DEFENSE_MAX: { min: 1, max: 1000, integer: true },
+    SPEED_MIN: { min: 1, max: 1000, integer: true },
+    SPEED_MAX: { min: 1, max: 1000, integer: true },
+    PAYLOAD_MIN: { min: 1, max: 1000, integer: true },
+    PAYLOAD_MAX: { min: 1, max: 1000, integer: true },
+    RANGE_KM_PER_POINT: { min: 1, max: 1000 },
+    CITY_BASE_DEFENSE: { min: 0, max: 1000 },
+    BOMBER_DAMAGE_BASE: { min: 0, max: 100 },
+    BOMBER_DAMAGE_SCALE: { min: 1, max: 1000 },
+    FIGHTER_SPEED_ADVANTAGE: { min: 0, max: 5 },
+    AIR_BATTLE_MAX_ROUNDS: { min: 1, max: 100, integer: true },
+    AIR_BATTLE_SHOOTERS_PER_TARGET: { min: 1, max: 100, integer: true },
+    AIR_BATTLE_BREAK_OFF: { min: 0.01, max: 1 },
+    RAID_ABORT_LOSSES: { min: 0.01, max: 1 },
+    AIRCRAFT_HIT_DAMAGE_MIN: { min: 1, max: 1000, integer: true },
+    AIRCRAFT_HIT_DAMAGE_MAX: { min: 1, max: 1000, integer: true },
+    DAMAGED_EFFECTIVENESS_MIN: { min: 0, max: 1 },
+    DAMAGED_CRASH_CHANCE: { min: 0, max: 1 },
+    AIRCRAFT_REPAIR_PER_MIN: { min: 1, max: 6000 },
+    VETERANCY_KILL_EXPERIENCE: { min: 0, max: 100 },
+    ACE_KILLS: { min: 1, max: 1000, integer: true },
+    ACE_BONUS: { min: 0, max: 10 },
+    FLAK_LEVEL_COST_M: { min: 0, max: 10000 },
+    FLAK_MAX_LEVEL: { min: 0, max: 100, integer: true },
+    FLAK_STRENGTH_PER_LEVEL: { min: 0, max: 1000 },
+    FLAK_RESISTANCE: { min: 1, max: 10000 },
+    FLAK_DAMAGE_PER_HP: { min: 0, max: 1 },
+    FLAK_REPAIR_PER_MIN: { min: 0, max: 60 },
+    BOT_ATTACK_BIAS: { min: 0, max: 10 },
+    BOT_AIRBASE_BUILD_THRESHOLD: { min: 0, max: 10 },
+    BOT_MIN_PRODUCTION_FOR_DESIGN: { min: 0, max: 1000000 },
+    BOT_DESIGN_CHANCE: { min: 0, max: 1 },
+    BOT_DESIGN_MIN_SPEED: { min: 1, max: 1000, integer: true },
+    BOT_DESIGN_POINT_STEP: { min: 1, max: 100, integer: true },
+    BOT_FLAK_SAVING_MIN: { min: 0, max: 60 },
+    VICTORY_PRODUCTION_SHARE: { min: 0.01, max: 1 },
+    VICTORY_PRODUCTION_HOLD_S: { min: 0, max: 3600 },
+    VICTORY_TIME_LIMIT_MIN: { min: 1, max: 600 },
+    RAID_SPEED_KM_PER_SEC: { min: 1, max: 10000 },
+    RAID_REST_TIME_S: { min: 0, max: 600 }
+  },
+
+  // Pairs that must satisfy min <= max
+  ORDERED_PAIRS: [
+    ['RANGE_MIN', 'RANGE_MAX'],
+    ['OFFENSE_MIN', 'OFFENSE_MAX'],
+    ['DEFENSE_MIN', 'DEFENSE_MAX'],
+    ['SPEED_MIN', 'SPEED_MAX'],
+    ['PAYLOAD_MIN', 'PAYLOAD_MAX'],
+    ['AIRCRAFT_HIT_DAMAGE_MIN', 'AIRCRAFT_HIT_DAMAGE_MAX']
+  ],
+
+  // Values computed from other constants (never set directly)
+  DERIVED: {
+    HP_RECOVERY_PER_TICK: (c) => c.HP_RECOVERY_PER_MIN * c.TICK_MS / 60000
+  },
+
+  PRESETS: {
+    Classic: {
+      description: 'The standard rules',
+      values: {}
+    },
+    Fast: {
+      description: 'Cheap airbases, fast raids and quick recovery',
+      values: {
+        HP_RECOVERY_PER_MIN: 90,
+        POP_SCALE: 5000,
+        AIRBASE_COST_M: 25,
+        RAID_SPEED_KM_PER_SEC: 200,
+        RAID_REST_TIME_S: 1,
+        VICTORY_TIME_LIMIT_MIN: 15
+      }
+    },
+    Attrition: {
+      description: 'Slow recovery, strong city defenses and costly airbases',
+      values: {
+        HP_RECOVERY_PER_MIN: 20,
+        POP_SCALE: 20000,
+        AIRBASE_COST_M: 100,
+        CITY_BASE_DEFENSE: 80,
+        BOMBER_DAMAGE_BASE: 2,
+        RAID_REST_TIME_S: 6,
+        VICTORY_TIME_LIMIT_MIN: 60
+      }
+    }
+  },
+
+  baseValues: null, // Schema values as shipped in constants.js
+  active: null,     // {name, values} of the ruleset in force
+
+  /**
+   * Remember the constants.js values so rulesets can be switched back and forth
+   */
+  captureBaseValues() {
+    if (this.baseValues) return;
+    this.baseValues = {};
+    for (const key in this.SCHEMA) {
+      this.baseValues[key] = CONSTANTS[key];
+    }
+  },
+
+  /**
+   * Turn a ruleset name or object into a full set of overrides
+   * @param {string|object} ruleset - Preset name or {name, base, values}
+   * @returns {object} {name, values}
+   */
+  resolve(ruleset) {
+    if (typeof ruleset === 'string') {
+      const preset = this.PRESETS[ruleset];
+      if (!preset) {
+        throw new Error(`Unknown ruleset: ${ruleset} (expected one of ${Object.keys(this.PRESETS).join(', ')})`);
+      }
+      return { name: ruleset, values: { ...preset.values } };
+    }
+
+    if (!ruleset || typeof ruleset !== 'object' || Array.isArray(ruleset)) {
+      throw new Error('Ruleset must be a preset name or an object');
+    }
+
+    const base = this.resolve(ruleset.base || this.DEFAULT_NAME);
+    return {
+      name: ruleset.name || 'Custom',
+      values: { ...base.values, ...(ruleset.values || {}) }
+    };
+  },
+
+  /**
+   * Check overrides against the schema
+   * @param {object} values - {CONSTANT_NAME: value}
+   */
+  validate(values) {
+    this.captureBaseValues();
+    const errors = [];
+
+    for (const key in values) {
+      const rule = this.SCHEMA[key];
+      const value = values[key];
+
+      if (!rule) {
+        errors.push(this.DERIVED[key] ?
+          `${key} is derived and cannot be set` :
+          `${key} is not a ruleset setting`);
+        continue;
+      }
+      if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${key} must be a number`);
+      } else if (value < rule.min || value > rule.max) {
+        errors.push(`${key} must be between ${rule.min} and ${rule.max}`);
+      } else if (rule.integer && !Number.isInteger(value)) {
+        errors.push(`${key} must be a whole number`);
+      }
+    }
+
+    for (const [minKey, maxKey] of this.ORDERED_PAIRS) {
+      const min = minKey in values ? values[minKey] : this.baseValues[minKey];
+      const max = maxKey in values ? values[maxKey] : this.baseValues[maxKey];
+      if (min > max) {
+        errors.push(`${minKey} must not exceed ${maxKey}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid ruleset:\n- ${errors.join('\n- ')}`);
+    }
+  },
+
+  /**
+   * Validate a ruleset and write it into CONSTANTS
+   * @param {string|object} ruleset - Preset name or {name, base, values}
+   * @returns {object} The applied {name, values}
+   */
+  apply(ruleset) {
+    const resolved = this.resolve(ruleset);
+    this.validate(resolved.values);
+
+    // Start from constants.js so earlier rulesets don't leak through
+    Object.assign(CONSTANTS, this.baseValues, resolved.values);
+    this.recomputeDerived();
+
+    this.active = resolved;
+    console.log(`Ruleset applied: ${resolved.name}`);
+    return resolved;
+  },
+
+  /**
+   * Recalculate derived constants from the values they depend on
+   */
+  recomputeDerived() {
+    for (const key in this.DERIVED) {
+      CONSTANTS[key] = this.DERIVED[key](CONSTANTS);
+    }
+  },
+
+  /**
+   * Get the ruleset in force for saving (every schema value, so a save keeps
+   * its rules even if constants.js or the presets change later)
+   * @returns {object} {name, values}
+   */
+  getSaveData() {
+    const values = {};
+    for (const key in this.SCHEMA) {
+      values[key] = CONSTANTS[key];
+    }
+    return {
+      name: this.active ? this.active.name : this.DEFAULT_NAME,
+      values: values
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Rulesets;
+}
@@ -1,197 +1,828 @@
 // Save/Load System - Game state persistence
+//
+// Saves live in named slots in localStorage: SLOT_INDEX_KEY holds a list of
+// slot summaries (shown by the save browser without parsing whole saves) and
+// each slot's data is stored under SLOT_KEY_PREFIX + slot id.
 
 const SaveLoad = {
-  STORAGE_KEY: 'airwar_save',
+  STORAGE_KEY: 'airwar_save',        // Single save written before slots existed
+  SLOT_INDEX_KEY: 'airwar_saves',
+  SLOT_KEY_PREFIX: 'airwar_save:',
+  CURRENT_VERSION: 2,
+  lastError: null, // Message of the last failed load, save or import, for the UI
+  autosaveIntervalMin: CONSTANTS.AUTOSAVE_INTERVAL_MIN,
+  lastAutosaveS: 0, // Game time of the last autosave, start or load
+
+  // Upgrade functions: MIGRATIONS[n] turns a version n save into version n + 1
+  MIGRATIONS: {
+    /**
+     * Version 1 kept no per-team templates, production state, ledger,
+     * construction queue, research, design, flak, aircraft history, raid
+     * timing or interception state, id counters, victory progress, scheduling
+     * state or command log. Aircraft had 1 HP, and destroyed ones were kept
+     * forever. The game plays on under the current rules, but can't be replayed
+     */
+    1(data) {
+      const templates = (data.customTemplates || []).map(t => ({
+        ...t,
+        speed: CONSTANTS.SPEED_REFERENCE,
+        payload: CONSTANTS.PAYLOAD_REFERENCE,
+        role: null
+      }));
+      const defaultFighter = templates.find(t => t.type === 'fighter');
+      const defaultBomber = templates.find(t => t.type === 'bomber');
+      const defaultTemplateIds = [defaultFighter, defaultBomber].filter(Boolean).map(t => t.id);
+      const nextId = (items) => items.reduce((max, item) => {
+        const n = parseInt(String(item.id).split('-').pop());
+        return isNaN(n) ? max : Math.max(max, n + 1);
+      }, 0);
+
+      // Intact aircraft start at full HP, as rookies
+      const allAircraft = (data.aircraft || []).map(a => ({
+        ...a,
+        hp: a.hp > 0 ? CONSTANTS.AIRCRAFT_MAX_HP : 0,
+        homeCityId: a.homeCityId || a.locationCityId,
+        sorties: 0,
+        kills: 0,
+        callSign: null
+      }));
+
+      // Raids fly at the reference speed, with no airbase engaged yet
+      const activeRaids = (data.activeRaids || []).map(r => {
+        const { hasEngagedDefenders, ...rest } = r;
+        const oneWayTimeS = r.distance / CONSTANTS.RAID_SPEED_KM_PER_SEC;
+        return {
+          ...rest,
+          oneWayTimeS: oneWayTimeS,
+          roundTripTimeS: oneWayTimeS * 2,
+          returning: r.status === 'returning',
+          restingUntil: 0,
+          engagedBaseIds: [],
+          missedBaseIds: [],
+          waves: []
+        };
+      });
+
+      // Destroyed aircraft are only kept while a raid still refers to them
+      const inRaids = new Set(activeRaids.flatMap(r => [...r.bomberIds, ...r.escortIds]));
+      const aircraft = allAircraft.filter(a => a.hp > 0 || inRaids.has(a.id));
+
+      const teams = {};
+      const capitals = {};
+      const startingTeams = [];
+      for (const teamName in data.teams) {
+        const old = data.teams[teamName];
+
+        // Custom templates had no owner: give each team the ones its aircraft use
+        const usedIds = new Set(allAircraft.filter(a => a.owner === teamName).map(a => a.templateId));
+        const templateIds = templates
+          .filter(t => defaultTemplateIds.includes(t.id) || usedIds.has(t.id))
+          .map(t => t.id);
+
+        const templateProduction = {};
+        for (const id of templateIds) {
+          templateProduction[id] = {
+            allocation: defaultTemplateIds.includes(id) ? 50 : 0,
+            progress: 0,
+            delivery: null,
+            spreadIndex: 0
+          };
+        }
+
+        const cityIds = data.cities.filter(c => c.owner === teamName).map(c => c.id);
+        if (old.deliveryPointCityId) capitals[teamName] = old.deliveryPointCityId;
+        if (cityIds.length > 0) startingTeams.push(teamName);
+
+        teams[teamName] = {
+          name: old.name || teamName,
+          color: old.color,
+          alliance: old.alliance || teamName,
+          productionPerMinute: 0,
+          isBot: !!old.isBot,
+          templateProduction: templateProduction,
+          fighterAllocation: 50,
+          bomberAllocation: 50,
+          fighterProgress: 0,
+          bomberProgress: 0,
+          selectedFighterTemplate: null,
+          selectedBomberTemplate: null,
+          cityIds: cityIds,
+          templateIds: templateIds,
+          deliveryPointCityId: old.deliveryPointCityId || null,
+          ledger: {
+            treasuryM: Math.max(0, old.productionAccumulated || 0),
+            incomeByCity: {},
+            earnedM: 0,
+            spentM: { airbases: 0, designs: 0, templates: {}, research: 0, flak: 0 }
+          },
+          // Unfinished airbases are queued in city order, one at a time
+          construction: {
+            queue: data.cities
+              .filter(c => c.owner === teamName && c.airbase && !c.airbase.complete)
+              .map(c => c.id),
+            parallelBuilds: 1,
+            share: 100
+          },
+          research: ResearchSystem.createState(),
+          design: null,
+          aircraftLost: allAircraft.filter(a => a.owner === teamName && a.hp <= 0).length
+        };
+      }
+
+      const migrated = {
+        ...data,
+        version: 2,
+        isPaused: false,
+        aircraftIdCounter: nextId(allAircraft),
+        templateIdCounter: nextId(templates),
+        raidIdCounter: nextId(activeRaids),
+        templates: templates,
+        defaultTemplateIds: defaultTemplateIds,
+        teams: teams,
+        cities: data.cities.map(c => ({ ...c, queuedProduction: [], flak: { level: 0, condition: 1 } })),
+        aircraft: aircraft,
+        activeRaids: activeRaids,
+        engagements: [],
+        victory: {
+          modes: CONSTANTS.VICTORY_DEFAULT_MODES.slice(),
+          productionShare: CONSTANTS.VICTORY_PRODUCTION_SHARE,
+          productionHoldS: CONSTANTS.VICTORY_PRODUCTION_HOLD_S,
+          timeLimitS: CONSTANTS.VICTORY_TIME_LIMIT_MIN * 60,
+          capitals: capitals,
+          startingTeams: startingTeams,
+          productionHeldSince: {}
+        },
+        gameOver: null,
+        aiLastDecisionTimes: {},
+        lastDispatchTimes: [],
+        commandLog: null
+      };
+      delete migrated.customTemplates;
+      return migrated;
+    }
+  },
 
   /**
-   * Save game state to localStorage
-   * @returns {boolean} True if saved successfully
+   * Save the game to a slot
+   * @param {string} name - Slot name
+   * @param {string} slotId - Slot to overwrite (a new slot if omitted)
+   * @param {boolean} autosave - Mark the slot as an autosave
+   * @returns {string|null} Slot id, or null if saving failed (see lastError)
    */
-  saveGame() {
+  saveGame(name, slotId = null, autosave = false) {
     try {
-      const saveData = {
-        version: 1,
-        timestamp: Date.now(),
-        seed: GameState.seed,
-        rngState: GameState.rng.getState(),
-        tickCount: GameState.tickCount,
-        elapsedSeconds: GameState.elapsedSeconds,
-        speedMultiplier: GameState.speedMultiplier,
-
-        // Teams
-        teams: {},
-
-        // Cities
-        cities: GameState.cities.map(city => ({
-          id: city.id,
-          owner: city.owner,
-          hp: city.hp,
-          hasAirbase: city.hasAirbase,
-          airbase: city.airbase,
-          queuedProduction: city.queuedProduction
-        })),
-
-        // Aircraft
-        aircraft: GameState.aircraft.map(a => ({
-          id: a.id,
-          type: a.type,
-          templateId: a.templateId,
-          locationCityId: a.locationCityId,
-          status: a.status,
-          hp: a.hp,
-          owner: a.owner
-        })),
-
-        // Templates (custom ones only)
-        customTemplates: GameState.templates.filter(t =>
-          !t.id.includes('default')
-        ),
-
-        // Active raids
-        activeRaids: GameState.activeRaids.map(r => ({
-          id: r.id,
-          fromCityId: r.fromCityId,
-          toCityId: r.toCityId,
-          team: r.team,
-          bomberIds: r.bombers.map(b => b.id),
-          escortIds: r.escorts.map(e => e.id),
-          distance: r.distance,
-          progress: r.progress,
-          startTime: r.startTime,
-          status: r.status,
-          hasEngagedDefenders: r.hasEngagedDefenders
-        }))
-      };
+      const data = this.buildSaveData();
+      const id = slotId || this.createSlotId();
+      this.writeSlot(id, name || this.defaultSlotName(), data, autosave);
+
+      this.lastError = null;
+      console.log(`Game saved to ${id}`);
+      return id;
+    } catch (error) {
+      this.lastError = this.describeStorageError(error);
+      console.log('Failed to save game:', this.lastError);
+      return null;
+    }
+  },
+
+  /**
+   * Store save data and its summary in a slot
+   * @param {string} id - Slot id
+   * @param {string} name - Slot name
+   * @param {object} data - Save data
+   * @param {boolean} autosave - Whether this is an autosave slot
+   */
+  writeSlot(id, name, data, autosave) {
+    const slots = this.listSlots();
+    const isNew = !slots.some(slot => slot.id === id);
+    localStorage.setItem(this.SLOT_KEY_PREFIX + id, JSON.stringify(data));
+
+    try {
+      const others = slots.filter(slot => slot.id !== id);
+      this.writeSlotIndex([...others, { id: id, name: name, autosave: autosave, ...this.summarize(data) }]);
+    } catch (error) {
+      // Don't leave a save no slot lists taking up space
+      if (isNew) localStorage.removeItem(this.SLOT_KEY_PREFIX + id);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all save slots, newest first
+   * @returns {Array} Slot summaries {id, name, autosave, timestamp, seed, elapsedSeconds, standings}
+   */
+  listSlots() {
+    this.adoptLegacySave();
+
+    let slots = [];
+    try {
+      slots = JSON.parse(localStorage.getItem(this.SLOT_INDEX_KEY)) || [];
+    } catch (error) {
+      console.log('Save slot list is damaged, starting a new one');
+    }
+    return slots.sort((a, b) => b.timestamp - a.timestamp);
+  },
+
+  /**
+   * Store the slot summary list
+   * @param {Array} slots - Slot summaries
+   */
+  writeSlotIndex(slots) {
+    localStorage.setItem(this.SLOT_INDEX_KEY, JSON.stringify(slots));
+  },
+
+  /**
+   * Move a save from the single-save era into a slot of its own
+   */
+  adoptLegacySave() {
+    const text = localStorage.getItem(this.STORAGE_KEY);
+    if (text === null) return;
+
+    let summary = { timestamp: Date.now(), seed: null, elapsedSeconds: 0, standings: [] };
+    try {
+      summary = this.summarize(JSON.parse(text));
+    } catch (error) {
+      // Keep it anyway: loading the slot will report what is wrong
+    }
+
+    const id = this.createSlotId();
+    localStorage.setItem(this.SLOT_KEY_PREFIX + id, text);
+    localStorage.removeItem(this.STORAGE_KEY);
+
+    let slots = [];
+    try {
+      slots = JSON.parse(localStorage.getItem(this.SLOT_INDEX_KEY)) || [];
+    } catch (error) {
+      // Replaced below
+    }
+    slots.push({ id: id, name: 'Earlier save', autosave: false, ...summary });
+    this.writeSlotIndex(slots);
+  },
+
+  /**
+   * Describe a save for the save browser
+   * @param {object} data - Save data (any version)
+   * @returns {object} {timestamp, seed, elapsedSeconds, standings}
+   */
+  summarize(data) {
+    const standings = Object.keys(data.teams || {}).map(teamName => ({
+      team: teamName,
+      name: data.teams[teamName].name || teamName,
+      color: data.teams[teamName].color,
+      cities: (data.cities || []).filter(c => c.owner === teamName).length,
+      aircraft: (data.aircraft || []).filter(a => a.owner === teamName && a.hp > 0).length
+    }));
+    standings.sort((a, b) => b.cities - a.cities || b.aircraft - a.aircraft);
+
+    return {
+      timestamp: data.timestamp,
+      seed: data.seed,
+      elapsedSeconds: data.elapsedSeconds,
+      standings: standings
+    };
+  },
+
+  /**
+   * Make an unused slot id
+   * @returns {string} Slot id
+   */
+  createSlotId() {
+    let id = `slot-${Date.now().toString(36)}`;
+    for (let n = 2; localStorage.getItem(this.SLOT_KEY_PREFIX + id) !== null; n++) {
+      id = `slot-${Date.now().toString(36)}-${n}`;
+    }
+    return id;
+  },
+
+  /**
+   * Default name for a new slot (seed and game time)
+   * @returns {string} Slot name
+   */
+  defaultSlotName() {
+    const minutes = Math.floor(GameState.elapsedSeconds / 60);
+    return `Seed ${GameState.seed} at ${minutes} min`;
+  },
+
+  /**
+   * Rename a slot
+   * @param {string} slotId - Slot id
+   * @param {string} name - New name
+   * @returns {boolean} True if the slot exists
+   */
+  renameSlot(slotId, name) {
+    const slots = this.listSlots();
+    const slot = slots.find(s => s.id === slotId);
+    if (!slot || !name) return false;
+
+    slot.name = name;
+    slot.autosave = false; // A renamed autosave is kept out of the rotation
+    this.writeSlotIndex(slots);
+    return true;
+  },
 
-      // Save team data
-      for (const teamName in GameState.teams) {
-        const team = GameState.teams[teamName];
-        saveData.teams[teamName] = {
-          color: team.color,
-          productionAccumulated: team.productionAccumulated,
-          deliveryPointCityId: team.deliveryPointCity ? team.deliveryPointCity.id : null,
-          isBot: team.isBot
+  /**
+   * Delete a slot and its data
+   * @param {string} slotId - Slot id
+   */
+  deleteSlot(slotId) {
+    localStorage.removeItem(this.SLOT_KEY_PREFIX + slotId);
+    this.writeSlotIndex(this.listSlots().filter(s => s.id !== slotId));
+    console.log(`Save ${slotId} deleted`);
+  },
+
+  /**
+   * Autosave when the interval has passed (called each tick)
+   */
+  checkAutosave() {
+    if (this.autosaveIntervalMin <= 0) return;
+    if (GameState.elapsedSeconds - this.lastAutosaveS < this.autosaveIntervalMin * 60) return;
+
+    this.lastAutosaveS = GameState.elapsedSeconds;
+    this.autosave();
+  },
+
+  /**
+   * Save to the next autosave slot (a new one until AUTOSAVE_SLOTS exist,
+   * then the oldest is overwritten); a failure is published as an
+   * autosaveFailed event, since no dialog is waiting on it
+   * @returns {string|null} Slot id, or null if saving failed
+   */
+  autosave() {
+    const autosaves = this.listSlots().filter(s => s.autosave);
+    const slotId = autosaves.length < CONSTANTS.AUTOSAVE_SLOTS ? null : autosaves[autosaves.length - 1].id;
+    const savedId = this.saveGame(`Autosave: ${this.defaultSlotName()}`, slotId, true);
+    if (!savedId) {
+      GameState.emit('autosaveFailed', { message: this.lastError });
+    }
+    return savedId;
+  },
+
+  /**
+   * Turn a storage exception into a message for the player
+   * @param {Error} error - Error from localStorage
+   * @returns {string} Message
+   */
+  describeStorageError(error) {
+    if (error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 || error.code === 1014)) {
+      return 'Browser storage is full. Delete or overwrite a save slot and try again.';
+    }
+    return error.message;
+  },
+
+  /**
+   * Capture the complete game state as plain, JSON-friendly data
+   * (object references are stored as ids)
+   * @returns {object} Save data
+   */
+  buildSaveData() {
+    const saveData = {
+      version: this.CURRENT_VERSION,
+      timestamp: Date.now(),
+      seed: GameState.seed,
+      rngState: GameState.rng.getState(),
+      tickCount: GameState.tickCount,
+      elapsedSeconds: GameState.elapsedSeconds,
+      isPaused: GameState.isPaused,
+      speedMultiplier: GameState.speedMultiplier,
+
+      // Rules in force (every ruleset value, not just the overrides)
+      ruleset: Rulesets.getSaveData(),
+
+      // Id counters so new aircraft, templates and raids never reuse an id
+      aircraftIdCounter: GameState.aircraftIdCounter,
+      templateIdCounter: GameState.templateIdCounter,
+      raidIdCounter: GameState.raidIdCounter,
+
+      // Every template, including the defaults
+      templates: GameState.templates.map(t => ({ ...t })),
+      defaultTemplateIds: GameState.defaultTemplates.map(t => t.id),
+
+      // Teams (in setup order)
+      teams: {},
+
+      // Cities
+      cities: GameState.cities.map(city => ({
+        id: city.id,
+        owner: city.owner,
+        hp: city.hp,
+        hasAirbase: city.hasAirbase,
+        airbase: city.airbase,
+        queuedProduction: city.queuedProduction,
+        flak: city.flak
+      })),
+
+      // Aircraft (every field, including homeCityId)
+      aircraft: GameState.aircraft.map(a => ({ ...a })),
+
+      // Active raids, with aircraft stored by id
+      activeRaids: GameState.activeRaids.map(raid => {
+        const { bombers, escorts, waves, ...rest } = raid;
+        return {
+          ...rest,
+          bomberIds: bombers.map(b => b.id),
+          escortIds: escorts.map(e => e.id),
+          waves: waves.map(({ fighters, ...wave }) => ({ ...wave, fighterIds: fighters.map(f => f.id) }))
         };
+      }),
+      engagements: GameState.engagements.map(e => ({ ...e })),
+
+      // Victory progress and result
+      victory: GameState.victory,
+      gameOver: GameState.gameOver,
+
+      // Scheduling state outside GameState
+      aiLastDecisionTimes: { ...AIBot.lastDecisionTimes },
+      lastDispatchTimes: Array.from(MainLoop.lastDispatchTimes.entries()),
+
+      // Game setup and commands so far, for replays
+      commandLog: Commands.getSaveData()
+    };
+
+    for (const teamName in GameState.teams) {
+      const { cities, aircraft, templates, deliveryPointCity, ...rest } = GameState.teams[teamName];
+      saveData.teams[teamName] = {
+        ...rest,
+        cityIds: cities.map(c => c.id),
+        templateIds: templates.map(t => t.id),
+        deliveryPointCityId: deliveryPointCity ? deliveryPointCity.id : null
+      };
+    }
+
+    return saveData;
+  },
+
+  /**
+   * Load a game from a slot
+   * @param {string} slotId - Slot id
+   * @returns {boolean} True if loaded successfully (see lastError otherwise)
+   */
+  loadGame(slotId) {
+    try {
+      const savedData = localStorage.getItem(this.SLOT_KEY_PREFIX + slotId);
+      if (!savedData) {
+        throw new Error('No saved game found in this slot');
       }
 
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saveData));
-      console.log('Game saved successfully');
+      this.applySaveData(this.parseSaveData(savedData));
+      MainLoop.clearSnapshots(); // Checkpoints belong to the game that was replaced
+
+      this.lastError = null;
+      console.log('Game loaded successfully');
       return true;
     } catch (error) {
-      console.error('Failed to save game:', error);
+      this.lastError = error.message;
+      console.log('Failed to load game:', error.message);
       return false;
     }
   },
 
   /**
-   * Load game state from localStorage
-   * @returns {boolean} True if loaded successfully
+   * Parse save text, upgrade it to the current version and validate it
+   * @param {string} text - Save JSON
+   * @returns {object} Save data ready for applySaveData()
    */
-  loadGame() {
+  parseSaveData(text) {
+    let data;
     try {
-      const savedData = localStorage.getItem(this.STORAGE_KEY);
-      if (!savedData) {
-        console.log('No saved game found');
-        return false;
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Save file is not valid JSON: ${error.message}`);
+    }
+
+    data = this.migrate(data);
+    this.validateSaveData(data);
+    return data;
+  },
+
+  /**
+   * Upgrade save data from its version to CURRENT_VERSION
+   * @param {object} data - Parsed save data
+   * @returns {object} Upgraded save data
+   */
+  migrate(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      throw new Error('Not an Air War save (missing version)');
+    }
+    if (data.version > this.CURRENT_VERSION) {
+      throw new Error(`Save version ${data.version} is newer than this game supports (${this.CURRENT_VERSION})`);
+    }
+
+    while (data.version < this.CURRENT_VERSION) {
+      const migration = this.MIGRATIONS[data.version];
+      if (!migration) {
+        throw new Error(`No upgrade path for save version ${data.version}`);
       }
+      const fromVersion = data.version;
+      data = migration(data);
+      console.log(`Save upgraded from version ${fromVersion} to ${data.version}`);
+    }
 
-      const data = JSON.parse(savedData);
+    return data;
+  },
 
-      // Restore RNG state
-      GameState.rng.setState(data.rngState);
-      GameState.tickCount = data.tickCount;
-      GameState.elapsedSeconds = data.elapsedSeconds;
-      GameState.speedMultiplier = data.speedMultiplier;
+  /**
+   * Check a current-version save for missing fields and broken references
+   * (against the map data already loaded into GameState)
+   * @param {object} data - Save data
+   */
+  validateSaveData(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
-      // Restore team data
-      for (const teamName in data.teams) {
-        const teamData = data.teams[teamName];
-        const team = GameState.teams[teamName];
-        if (team) {
-          team.color = teamData.color;
-          team.productionAccumulated = teamData.productionAccumulated;
-          team.isBot = teamData.isBot;
-        }
+    for (const field of ['seed', 'rngState', 'tickCount', 'elapsedSeconds', 'speedMultiplier',
+      'aircraftIdCounter', 'templateIdCounter', 'raidIdCounter']) {
+      if (typeof data[field] !== 'number') errors.push(`${field} must be a number`);
+    }
+    for (const field of ['templates', 'defaultTemplateIds', 'cities', 'aircraft', 'activeRaids', 'engagements', 'lastDispatchTimes']) {
+      if (!Array.isArray(data[field])) errors.push(`${field} must be a list`);
+    }
+    for (const field of ['teams', 'aiLastDecisionTimes']) {
+      if (!isObject(data[field])) errors.push(`${field} must be an object`);
+    }
+
+    const log = data.commandLog;
+    if (log !== null && !(isObject(log) && Array.isArray(log.log))) {
+      errors.push('commandLog must be null or an object with a log list');
+    }
+
+    // Stop before following references through malformed structures
+    if (errors.length > 0) {
+      throw new Error(`Invalid save:\n- ${errors.join('\n- ')}`);
+    }
+
+    if (data.ruleset) {
+      try {
+        Rulesets.validate(Rulesets.resolve(data.ruleset).values);
+      } catch (error) {
+        errors.push(`ruleset: ${error.message.replace(/\n- /g, '; ')}`);
       }
+    }
 
-      // Restore cities
-      for (const cityData of data.cities) {
-        const city = GameState.getCity(cityData.id);
-        if (city) {
-          city.owner = cityData.owner;
-          city.hp = cityData.hp;
-          city.hasAirbase = cityData.hasAirbase;
-          city.airbase = cityData.airbase;
-          city.queuedProduction = cityData.queuedProduction;
-        }
+    const templateIds = new Set(data.templates.map(t => t.id));
+    const cityIds = new Set(GameState.cities.map(c => c.id));
+    const aircraftIds = new Set(data.aircraft.map(a => a.id));
+    const teamIds = new Set(Object.keys(data.teams));
+
+    for (const id of data.defaultTemplateIds) {
+      if (!templateIds.has(id)) errors.push(`default template ${id} is missing`);
+    }
+    for (const template of data.templates) {
+      for (const stat of ['costM', 'rangePoints', 'offense', 'defense', 'speed', 'payload']) {
+        if (typeof template[stat] !== 'number') errors.push(`template ${template.id} ${stat} must be a number`);
       }
+    }
 
-      // Rebuild team city lists
-      for (const teamName in GameState.teams) {
-        GameState.teams[teamName].cities = GameState.getTeamCities(teamName);
+    for (const city of data.cities) {
+      if (!cityIds.has(city.id)) {
+        errors.push(`city ${city.id} is not on this map`);
+      }
+      if (city.owner !== null && !teamIds.has(city.owner)) {
+        errors.push(`city ${city.id} is owned by unknown team ${city.owner}`);
+      }
+      if (!Array.isArray(city.queuedProduction)) {
+        errors.push(`city ${city.id} build queue must be a list`);
+      } else {
+        for (const entry of city.queuedProduction) {
+          if (!isObject(entry) || !templateIds.has(entry.templateId) || !Number.isInteger(entry.count) ||
+              typeof entry.progressM !== 'number') {
+            errors.push(`city ${city.id} has a bad build queue entry`);
+          }
+        }
       }
+      if (!isObject(city.flak) || !Number.isInteger(city.flak.level) || city.flak.level < 0 ||
+          !(city.flak.condition >= 0 && city.flak.condition <= 1)) {
+        errors.push(`city ${city.id} has invalid flak`);
+      }
+      const orders = city.airbase && city.airbase.orders;
+      if (orders && orders.targetCityId && !cityIds.has(orders.targetCityId)) {
+        errors.push(`airbase at ${city.id} targets missing city ${orders.targetCityId}`);
+      }
+    }
 
-      // Restore delivery points
-      for (const teamName in data.teams) {
-        const teamData = data.teams[teamName];
-        if (teamData.deliveryPointCityId) {
-          GameState.teams[teamName].deliveryPointCity = GameState.getCity(teamData.deliveryPointCityId);
+    for (const teamName in data.teams) {
+      const team = data.teams[teamName];
+      if (!Array.isArray(team.cityIds) || !Array.isArray(team.templateIds) || !isObject(team.templateProduction)) {
+        errors.push(`team ${teamName} is missing cityIds, templateIds or templateProduction`);
+        continue;
+      }
+      for (const id of team.cityIds) {
+        if (!cityIds.has(id)) errors.push(`team ${teamName} holds missing city ${id}`);
+      }
+      for (const id of team.templateIds) {
+        if (!templateIds.has(id)) errors.push(`team ${teamName} uses missing template ${id}`);
+      }
+      for (const id in team.templateProduction) {
+        if (!templateIds.has(id)) errors.push(`team ${teamName} produces missing template ${id}`);
+        const delivery = team.templateProduction[id].delivery;
+        if (delivery && delivery !== 'spread' && !cityIds.has(delivery)) {
+          errors.push(`team ${teamName} delivers template ${id} to missing city ${delivery}`);
+        }
+      }
+      if (!Number.isInteger(team.aircraftLost) || team.aircraftLost < 0) {
+        errors.push(`team ${teamName} has an invalid aircraftLost count`);
+      }
+      const ledger = team.ledger;
+      if (!isObject(ledger) || typeof ledger.treasuryM !== 'number' || !isObject(ledger.spentM) ||
+          !isObject(ledger.spentM.templates)) {
+        errors.push(`team ${teamName} is missing its ledger`);
+      }
+      const research = team.research;
+      if (!isObject(research) || !isObject(research.progress) || !Array.isArray(research.completed) ||
+          typeof research.share !== 'number') {
+        errors.push(`team ${teamName} is missing its research`);
+      } else {
+        for (const id of [research.current, ...Object.keys(research.progress), ...research.completed]) {
+          if (id !== null && !ResearchSystem.getTechnology(id)) {
+            errors.push(`team ${teamName} researches unknown technology ${id}`);
+          }
         }
       }
+      const design = team.design;
+      if (design !== null && (!isObject(design) || !isObject(design.specs) ||
+          typeof design.costM !== 'number' || typeof design.progressM !== 'number')) {
+        errors.push(`team ${teamName} has an invalid design under way`);
+      }
+      const construction = team.construction;
+      if (!isObject(construction) || !Array.isArray(construction.queue) ||
+          !Number.isInteger(construction.parallelBuilds) || typeof construction.share !== 'number') {
+        errors.push(`team ${teamName} is missing its construction queue`);
+      } else {
+        for (const id of construction.queue) {
+          if (!cityIds.has(id)) errors.push(`team ${teamName} is building at missing city ${id}`);
+        }
+      }
+      if (team.deliveryPointCityId && !cityIds.has(team.deliveryPointCityId)) {
+        errors.push(`team ${teamName} delivers to missing city ${team.deliveryPointCityId}`);
+      }
+    }
 
-      // Restore custom templates
-      for (const templateData of data.customTemplates) {
-        if (!GameState.templates.find(t => t.id === templateData.id)) {
-          GameState.templates.push(templateData);
+    for (const aircraft of data.aircraft) {
+      if (!templateIds.has(aircraft.templateId)) {
+        errors.push(`aircraft ${aircraft.id} uses missing template ${aircraft.templateId}`);
+      }
+      if (!teamIds.has(aircraft.owner)) {
+        errors.push(`aircraft ${aircraft.id} belongs to unknown team ${aircraft.owner}`);
+      }
+      if (!(typeof aircraft.hp === 'number' && aircraft.hp >= 0 && aircraft.hp <= CONSTANTS.AIRCRAFT_MAX_HP)) {
+        errors.push(`aircraft ${aircraft.id} has invalid HP ${aircraft.hp}`);
+      }
+      for (const field of ['sorties', 'kills']) {
+        if (!(Number.isInteger(aircraft[field]) && aircraft[field] >= 0)) {
+          errors.push(`aircraft ${aircraft.id} has invalid ${field} ${aircraft[field]}`);
         }
       }
+      if (aircraft.callSign !== null && typeof aircraft.callSign !== 'string') {
+        errors.push(`aircraft ${aircraft.id} has an invalid call sign`);
+      }
+      for (const field of ['locationCityId', 'homeCityId']) {
+        if (aircraft[field] && !cityIds.has(aircraft[field])) {
+          errors.push(`aircraft ${aircraft.id} ${field} points at missing city ${aircraft[field]}`);
+        }
+      }
+    }
 
-      // Restore aircraft
-      GameState.aircraft = [];
-      for (const teamName in GameState.teams) {
-        GameState.teams[teamName].aircraft = [];
+    for (const raid of data.activeRaids) {
+      for (const field of ['fromCityId', 'toCityId']) {
+        if (!cityIds.has(raid[field])) {
+          errors.push(`raid ${raid.id} ${field} points at missing city ${raid[field]}`);
+        }
+      }
+      if (!teamIds.has(raid.team)) {
+        errors.push(`raid ${raid.id} belongs to unknown team ${raid.team}`);
+      }
+      if (!Array.isArray(raid.waves) || !raid.waves.every(w => isObject(w) && Array.isArray(w.fighterIds)) ||
+          !Array.isArray(raid.engagedBaseIds) || !Array.isArray(raid.missedBaseIds)) {
+        errors.push(`raid ${raid.id} is missing its interception state`);
+        continue;
+      }
+      const waveFighterIds = raid.waves.flatMap(w => w.fighterIds);
+      for (const id of [...(raid.bomberIds || []), ...(raid.escortIds || []), ...waveFighterIds]) {
+        if (!aircraftIds.has(id)) errors.push(`raid ${raid.id} references missing aircraft ${id}`);
       }
+    }
 
-      for (const aircraftData of data.aircraft) {
-        const aircraft = {
-          id: aircraftData.id,
-          type: aircraftData.type,
-          templateId: aircraftData.templateId,
-          locationCityId: aircraftData.locationCityId,
-          status: aircraftData.status,
-          hp: aircraftData.hp,
-          owner: aircraftData.owner
-        };
+    if (!data.engagements.every(e => isObject(e) && typeof e.lat === 'number' &&
+        typeof e.lon === 'number' && typeof e.time === 'number')) {
+      errors.push('interception marks need lat, lon and time');
+    }
 
-        GameState.aircraft.push(aircraft);
-        if (GameState.teams[aircraft.owner]) {
-          GameState.teams[aircraft.owner].aircraft.push(aircraft);
-        }
+    if (teamIds.size < CONSTANTS.MIN_TEAMS || teamIds.size > CONSTANTS.MAX_TEAMS) {
+      errors.push(`save has ${teamIds.size} teams (${CONSTANTS.MIN_TEAMS}-${CONSTANTS.MAX_TEAMS} allowed)`);
+    }
+
+    if (errors.length > 0) {
+      // Long lists are trimmed; the first problems are usually enough to see what went wrong
+      const shown = errors.slice(0, 10);
+      if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+      throw new Error(`Invalid save:\n- ${shown.join('\n- ')}`);
+    }
+  },
+
+  /**
+   * Restore the complete game state from save data
+   * (GameState must already hold the map data the save was made with)
+   * @param {object} data - Save data from buildSaveData()
+   */
+  applySaveData(data) {
+    // Work on a private copy so the caller's data is never aliased into the game
+    data = JSON.parse(JSON.stringify(data));
+
+    // Restore the rules first (saves from before rulesets used Classic)
+    Rulesets.apply(data.ruleset || Rulesets.DEFAULT_NAME);
+
+    // Timing and RNG
+    GameState.seed = data.seed;
+    GameState.rng = new RNG(data.seed);
+    GameState.rng.setState(data.rngState);
+    GameState.tickCount = data.tickCount;
+    GameState.elapsedSeconds = data.elapsedSeconds;
+    GameState.isPaused = !!data.isPaused;
+    GameState.speedMultiplier = data.speedMultiplier;
+
+    GameState.aircraftIdCounter = data.aircraftIdCounter;
+    GameState.templateIdCounter = data.templateIdCounter;
+    GameState.raidIdCounter = data.raidIdCounter;
+
+    // Templates
+    GameState.templates = data.templates;
+    GameState.defaultTemplates = data.defaultTemplateIds.map(id => GameState.getTemplate(id));
+
+    // Cities
+    for (const cityData of data.cities) {
+      const city = GameState.getCity(cityData.id);
+      if (city) {
+        city.owner = cityData.owner;
+        city.hp = cityData.hp;
+        city.hasAirbase = cityData.hasAirbase;
+        city.airbase = cityData.airbase;
+        city.queuedProduction = cityData.queuedProduction;
+        city.flak = cityData.flak;
       }
+    }
 
-      // Restore active raids (simplified - may need full reconstruction)
-      GameState.activeRaids = [];
-      // Note: Full raid restoration would require rebuilding aircraft references
+    // Airbases changed wholesale
+    GameState.rebuildSpatialIndexes();
 
-      console.log('Game loaded successfully');
-      return true;
-    } catch (error) {
-      console.error('Failed to load game:', error);
-      return false;
+    // Teams
+    GameState.setupTeams(Object.keys(data.teams).map(teamName => ({
+      id: teamName,
+      name: data.teams[teamName].name,
+      color: data.teams[teamName].color,
+      isBot: data.teams[teamName].isBot,
+      alliance: data.teams[teamName].alliance
+    })));
+
+    for (const teamName in data.teams) {
+      const { cityIds, templateIds, deliveryPointCityId, ...rest } = data.teams[teamName];
+      const team = GameState.teams[teamName];
+      Object.assign(team, rest);
+      team.cities = cityIds.map(id => GameState.getCity(id));
+      team.templates = templateIds.map(id => GameState.getTemplate(id));
+      team.deliveryPointCity = deliveryPointCityId ? GameState.getCity(deliveryPointCityId) : null;
+      team.aircraft = [];
     }
+
+    // Aircraft
+    GameState.aircraft = data.aircraft;
+    const aircraftById = new Map();
+    for (const aircraft of GameState.aircraft) {
+      aircraftById.set(aircraft.id, aircraft);
+      if (GameState.teams[aircraft.owner]) {
+        GameState.teams[aircraft.owner].aircraft.push(aircraft);
+      }
+    }
+
+    // Active raids, re-linked to the restored aircraft
+    GameState.activeRaids = data.activeRaids.map(raidData => {
+      const { bomberIds, escortIds, waves, ...rest } = raidData;
+      return {
+        ...rest,
+        bombers: bomberIds.map(id => aircraftById.get(id)),
+        escorts: escortIds.map(id => aircraftById.get(id)),
+        waves: waves.map(({ fighterIds, ...wave }) => ({ ...wave, fighters: fighterIds.map(id => aircraftById.get(id)) }))
+      };
+    });
+    GameState.engagements = data.engagements;
+
+    // Victory progress and result
+    GameState.victory = data.victory;
+    GameState.gameOver = data.gameOver;
+
+    // Scheduling state outside GameState
+    AIBot.lastDecisionTimes = data.aiLastDecisionTimes;
+    MainLoop.lastDispatchTimes = new Map(data.lastDispatchTimes);
+    Commands.restore(data.commandLog);
+
+    // Next autosave one interval after the loaded point
+    this.lastAutosaveS = GameState.elapsedSeconds;
   },
 
   /**
    * Export game state as JSON file
    */
   exportGame() {
-    this.saveGame(); // Save to localStorage first
-
-    const saveData = localStorage.getItem(this.STORAGE_KEY);
-    if (!saveData) {
-      alert('No save data to export');
-      return;
-    }
+    const saveData = JSON.stringify(this.buildSaveData());
 
     const blob = new Blob([saveData], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -205,36 +836,45 @@ const SaveLoad = {
   },
 
   /**
-   * Import game state from JSON file
+   * Import game state from JSON file (checked before anything is stored or
+   * applied), keeping it in a new slot named after the file
    * @param {File} file - File to import
+   * @param {function} onDone - Called with null on success or the error message
    */
-  importGame(file) {
+  importGame(file, onDone) {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const data = e.target.result;
-        localStorage.setItem(this.STORAGE_KEY, data);
-        this.loadGame();
-        console.log('Game imported');
+        const data = this.parseSaveData(e.target.result);
+        this.applySaveData(data);
+        MainLoop.clearSnapshots();
 
-        // Reload page to apply changes
-        if (confirm('Game imported. Reload page to apply?')) {
-          location.reload();
+        // The game is loaded even if there is no room to keep a copy
+        if (!this.saveGame(file.name.replace(/\.json$/i, ''))) {
+          console.log('Imported game was not stored:', this.lastError);
         }
+
+        this.lastError = null;
+        console.log('Game imported');
+        if (onDone) onDone(null);
       } catch (error) {
-        console.error('Failed to import game:', error);
-        alert('Failed to import game file');
+        this.lastError = error.message;
+        console.log('Failed to import game:', error.message);
+        if (onDone) onDone(error.message);
       }
     };
     reader.readAsText(file);
   },
 
   /**
-   * Clear saved game
+   * Delete every save slot
    */
   clearSave() {
-    localStorage.removeItem(this.STORAGE_KEY);
-    console.log('Save cleared');
+    for (const slot of this.listSlots()) {
+      localStorage.removeItem(this.SLOT_KEY_PREFIX + slot.id);
+    }
+    localStorage.removeItem(this.SLOT_INDEX_KEY);
+    console.log('Saves cleared');
   }
 };
 
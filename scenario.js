@@ -0,0 +1,340 @@
+// Scenario Loader - Build a game from a JSON scenario file
+//
+// A scenario declares the teams, their countries, starting airbases and
+// aircraft, preset templates, starting production and victory conditions:
+//
+// {
+//   "name": "Battle of Britain",
+//   "description": "...",
+//   "seed": 1940,
+//   "teams": [{
+//     "id": "Red", "name": "Luftwaffe", "color": "#cc0000", "isBot": true, "alliance": "Axis",
+//     "countries": ["Germany", "France"],
+//     "startingProductionM": 200,
+//     "templates": [{"name": "Stuka", "type": "bomber", "costM": 4, "rangePoints": 40,
+//                    "offense": 40, "defense": 20, "speed": 15, "payload": 25, "allocation": 30}],
+//     "airbases": [{"city": "Paris", "country": "France", "deliveryPoint": true,
+//                   "aircraft": [{"template": "Stuka", "count": 20}]}]
+//   }],
+//   "victory": {"modes": ["conquest", "capital"], "productionShare": 0.5, "timeLimitMinutes": 30},
+//   "ruleset": "Fast"
+// }
+//
+// "ruleset" is optional: a preset name or {name, base, values} (see rulesets.js).
+// Template "speed" and "payload" are optional (SPEED_REFERENCE and PAYLOAD_REFERENCE
+// if omitted).
+
+const ScenarioLoader = {
+  VICTORY_MODES: ['conquest', 'production', 'capital', 'score'],
+
+  /**
+   * Parse and validate scenario JSON text
+   * @param {string} text - Scenario file contents
+   * @returns {object} Validated scenario
+   */
+  parse(text) {
+    let scenario;
+    try {
+      scenario = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Scenario is not valid JSON: ${error.message}`);
+    }
+    this.validate(scenario);
+    return scenario;
+  },
+
+  /**
+   * Check a scenario's structure (map references are checked by checkReferences())
+   * @param {object} scenario - Parsed scenario
+   */
+  validate(scenario) {
+    const errors = [];
+
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+      throw new Error('Scenario must be a JSON object');
+    }
+    if (scenario.seed !== undefined && !Number.isInteger(scenario.seed)) {
+      errors.push('seed must be an integer');
+    }
+
+    const teams = scenario.teams;
+    if (!Array.isArray(teams) || teams.length < CONSTANTS.MIN_TEAMS || teams.length > CONSTANTS.MAX_TEAMS) {
+      errors.push(`teams must be a list of ${CONSTANTS.MIN_TEAMS}-${CONSTANTS.MAX_TEAMS} teams`);
+    } else {
+      const seenTeams = new Set();
+      const seenCountries = {};
+
+      teams.forEach((team, index) => {
+        const label = `teams[${index}]`;
+        if (!TEAM_SLOTS.some(s => s.id === team.id)) {
+          errors.push(`${label}.id must be one of ${TEAM_SLOTS.map(s => s.id).join(', ')}`);
+        } else if (seenTeams.has(team.id)) {
+          errors.push(`${label}.id ${team.id} is used twice`);
+        }
+        seenTeams.add(team.id);
+
+        if (!Array.isArray(team.countries)) {
+          errors.push(`${label}.countries must be a list of country names`);
+        } else {
+          for (const country of team.countries) {
+            if (seenCountries[country]) {
+              errors.push(`${label}: ${country} is already owned by ${seenCountries[country]}`);
+            }
+            seenCountries[country] = team.id;
+          }
+        }
+
+        if (team.startingProductionM !== undefined &&
+            !(typeof team.startingProductionM === 'number' && team.startingProductionM >= 0)) {
+          errors.push(`${label}.startingProductionM must be a number >= 0`);
+        }
+
+        (team.templates || []).forEach((template, t) => {
+          const tLabel = `${label}.templates[${t}]`;
+          if (!template.name) errors.push(`${tLabel}.name is required`);
+          if (template.type !== 'fighter' && template.type !== 'bomber') {
+            errors.push(`${tLabel}.type must be fighter or bomber`);
+          }
+          for (const stat of ['costM', 'rangePoints', 'offense', 'defense']) {
+            if (typeof template[stat] !== 'number') errors.push(`${tLabel}.${stat} must be a number`);
+          }
+          for (const stat of ['speed', 'payload']) {
+            if (template[stat] !== undefined && typeof template[stat] !== 'number') {
+              errors.push(`${tLabel}.${stat} must be a number`);
+            }
+          }
+          if (template.allocation !== undefined &&
+              !(template.allocation >= 0 && template.allocation <= 100)) {
+            errors.push(`${tLabel}.allocation must be 0-100`);
+          }
+        });
+
+        (team.airbases || []).forEach((airbase, a) => {
+          const aLabel = `${label}.airbases[${a}]`;
+          if (!airbase.city) errors.push(`${aLabel}.city is required`);
+          (airbase.aircraft || []).forEach((stack, s) => {
+            if (!stack.template) errors.push(`${aLabel}.aircraft[${s}].template is required`);
+            if (!(Number.isInteger(stack.count) && stack.count > 0)) {
+              errors.push(`${aLabel}.aircraft[${s}].count must be a positive integer`);
+            }
+          });
+        });
+      });
+    }
+
+    if (scenario.ruleset !== undefined) {
+      try {
+        Rulesets.validate(Rulesets.resolve(scenario.ruleset).values);
+      } catch (error) {
+        errors.push(`ruleset: ${error.message.replace(/\n- /g, '; ')}`);
+      }
+    }
+
+    const victory = scenario.victory;
+    if (victory) {
+      for (const mode of victory.modes || []) {
+        if (!this.VICTORY_MODES.includes(mode)) {
+          errors.push(`victory.modes: unknown mode ${mode}`);
+        }
+      }
+      if (victory.productionShare !== undefined &&
+          !(victory.productionShare > 0 && victory.productionShare <= 1)) {
+        errors.push('victory.productionShare must be between 0 and 1');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scenario:\n- ${errors.join('\n- ')}`);
+    }
+  },
+
+  /**
+   * Check that a scenario's countries, cities and templates exist in the loaded map
+   * (call before apply() so a bad scenario never leaves a half-built game)
+   * @param {object} scenario - Validated scenario
+   */
+  checkReferences(scenario) {
+    const errors = [];
+    const knownCountries = new Set(GameState.cities.map(c => c.country));
+
+    for (const team of scenario.teams) {
+      for (const country of team.countries) {
+        if (!knownCountries.has(country)) {
+          errors.push(`${team.id}: country not found: ${country}`);
+        }
+      }
+
+      const templateNames = [
+        'fighter', 'bomber',
+        ...GameState.defaultTemplates.map(t => t.name),
+        ...(team.templates || []).map(t => t.name)
+      ];
+
+      for (const airbase of team.airbases || []) {
+        const city = GameState.cities.find(c =>
+          c.name === airbase.city &&
+          (!airbase.country || c.country === airbase.country) &&
+          team.countries.includes(c.country)
+        );
+        if (!city) {
+          errors.push(`${team.id}: no city ${airbase.city} in its countries`);
+        }
+
+        for (const stack of airbase.aircraft || []) {
+          if (!templateNames.includes(stack.template)) {
+            errors.push(`${team.id}: template not found: ${stack.template}`);
+          }
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scenario:\n- ${errors.join('\n- ')}`);
+    }
+  },
+
+  /**
+   * Build the game from a scenario (GameState must already be initialized with map data)
+   * @param {object} scenario - Validated scenario
+   * @returns {object} Victory settings for VictorySystem.initialize
+   */
+  apply(scenario) {
+    this.checkReferences(scenario);
+
+    if (scenario.ruleset !== undefined) {
+      Rulesets.apply(scenario.ruleset);
+    }
+
+    GameState.setupTeams(scenario.teams.map(team => ({
+      id: team.id,
+      name: team.name,
+      color: team.color,
+      isBot: team.isBot,
+      alliance: team.alliance
+    })));
+
+    // Country ownership (names as in the cities' country field)
+    const allocation = {};
+    for (const team of scenario.teams) {
+      for (const country of team.countries) {
+        allocation[country] = team.id;
+      }
+    }
+    GameState.assignCountries(allocation);
+
+    for (const teamConfig of scenario.teams) {
+      const team = GameState.teams[teamConfig.id];
+
+      if (teamConfig.startingProductionM !== undefined) {
+        team.ledger.treasuryM = teamConfig.startingProductionM;
+      }
+
+      // Preset templates (skip the design cost)
+      for (const spec of teamConfig.templates || []) {
+        const template = GameState.createTemplate(teamConfig.id, {
+          speed: CONSTANTS.SPEED_REFERENCE,
+          payload: CONSTANTS.PAYLOAD_REFERENCE,
+          ...spec
+        });
+        team.templateProduction[template.id].allocation = spec.allocation || 0;
+      }
+
+      // Extra airbases and starting aircraft
+      for (const airbaseConfig of teamConfig.airbases || []) {
+        const city = this.findTeamCity(teamConfig.id, airbaseConfig.city, airbaseConfig.country);
+        this.placeAirbase(city, teamConfig.id, !!airbaseConfig.deliveryPoint);
+
+        for (const stack of airbaseConfig.aircraft || []) {
+          const template = this.findTemplate(teamConfig.id, stack.template);
+          for (let i = 0; i < stack.count; i++) {
+            GameState.createAircraft(template.id, city.id, teamConfig.id);
+          }
+        }
+      }
+    }
+
+    // Victory settings in VictorySystem.initialize form
+    const victory = scenario.victory || {};
+    return {
+      modes: victory.modes,
+      productionShare: victory.productionShare,
+      productionHoldS: victory.productionHoldSeconds,
+      timeLimitS: victory.timeLimitMinutes ? victory.timeLimitMinutes * 60 : undefined
+    };
+  },
+
+  /**
+   * Find a city owned by a team by name (largest match if the country is omitted)
+   * @param {string} teamName - Team id
+   * @param {string} cityName - City name
+   * @param {string} country - Optional country name
+   * @returns {object} City
+   */
+  findTeamCity(teamName, cityName, country) {
+    const matches = GameState.cities.filter(c =>
+      c.name === cityName && (!country || c.country === country)
+    );
+    const owned = matches.filter(c => c.owner === teamName);
+
+    if (owned.length === 0) {
+      throw new Error(matches.length === 0 ?
+        `Scenario city not found: ${cityName}${country ? ` (${country})` : ''}` :
+        `Scenario city ${cityName} is not owned by ${teamName}`);
+    }
+
+    return owned.reduce((max, city) => city.population > max.population ? city : max);
+  },
+
+  /**
+   * Find one of a team's templates by name, or its first template of a type
+   * @param {string} teamName - Team id
+   * @param {string} nameOrType - Template name, or 'fighter' / 'bomber'
+   * @returns {object} Template
+   */
+  findTemplate(teamName, nameOrType) {
+    const team = GameState.teams[teamName];
+    const template = team.templates.find(t => t.name === nameOrType) ||
+      team.templates.find(t => t.type === nameOrType);
+
+    if (!template) {
+      throw new Error(`Scenario template not found for ${teamName}: ${nameOrType}`);
+    }
+    return template;
+  },
+
+  /**
+   * Place a complete airbase at a city, optionally making it the delivery point
+   * @param {object} city - City owned by the team
+   * @param {string} teamName - Team id
+   * @param {boolean} deliveryPoint - Make this the team's delivery point
+   */
+  placeAirbase(city, teamName, deliveryPoint) {
+    const team = GameState.teams[teamName];
+
+    if (!city.airbase) {
+      city.hasAirbase = true;
+      city.airbase = {
+        owner: teamName,
+        buildProgressM: CONSTANTS.AIRBASE_COST_M,
+        complete: true,
+        deliveryPoint: false,
+        orders: null,
+        escortAllocation: 0.5
+      };
+      GameState.airbaseIndex.insert(city);
+    }
+
+    if (deliveryPoint) {
+      if (team.deliveryPointCity && team.deliveryPointCity.airbase) {
+        team.deliveryPointCity.airbase.deliveryPoint = false;
+      }
+      city.airbase.deliveryPoint = true;
+      team.deliveryPointCity = city;
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioLoader;
+}
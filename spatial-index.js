@@ -0,0 +1,177 @@
+// Spatial Index - Fast "within radius" and "k nearest" queries on the globe
+//
+// Points are bucketed into a latitude/longitude grid. A radius query only
+// visits the cells overlapping the query cap (handling the antimeridian and
+// the poles), then checks exact great-circle distance.
+
+class SpatialIndex {
+  /**
+   * @param {number} cellDeg - Grid cell size in degrees
+   */
+  constructor(cellDeg = 2) {
+    this.cellDeg = cellDeg;
+    this.latCells = Math.ceil(180 / cellDeg);
+    this.lonCells = Math.ceil(360 / cellDeg);
+    this.cells = new Map(); // cell key -> array of items
+    this.size = 0;
+  }
+
+  /**
+   * Build an index from a list of items with lat/lon
+   * @param {Array} items - Items with {lat, lon}
+   * @param {number} cellDeg - Grid cell size in degrees
+   * @returns {SpatialIndex} New index
+   */
+  static fromItems(items, cellDeg) {
+    const index = new SpatialIndex(cellDeg);
+    for (const item of items) {
+      index.insert(item);
+    }
+    return index;
+  }
+
+  // Grid row for a latitude
+  latCell(lat) {
+    return Math.min(this.latCells - 1, Math.max(0, Math.floor((lat + 90) / this.cellDeg)));
+  }
+
+  // Grid column for a longitude (wraps around the antimeridian)
+  lonCell(lon) {
+    const col = Math.floor((lon + 180) / this.cellDeg);
+    return ((col % this.lonCells) + this.lonCells) % this.lonCells;
+  }
+
+  cellKey(row, col) {
+    return row * this.lonCells + col;
+  }
+
+  /**
+   * Add an item (its lat/lon must not change while indexed)
+   * @param {object} item - Item with {lat, lon}
+   */
+  insert(item) {
+    const key = this.cellKey(this.latCell(item.lat), this.lonCell(item.lon));
+    let bucket = this.cells.get(key);
+    if (!bucket) {
+      bucket = [];
+      this.cells.set(key, bucket);
+    }
+    if (bucket.includes(item)) return;
+    bucket.push(item);
+    this.size++;
+  }
+
+  /**
+   * Remove an item
+   * @param {object} item - Previously inserted item
+   * @returns {boolean} True if the item was indexed
+   */
+  remove(item) {
+    const key = this.cellKey(this.latCell(item.lat), this.lonCell(item.lon));
+    const bucket = this.cells.get(key);
+    if (!bucket) return false;
+
+    const position = bucket.indexOf(item);
+    if (position === -1) return false;
+
+    bucket.splice(position, 1);
+    if (bucket.length === 0) this.cells.delete(key);
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.cells.clear();
+    this.size = 0;
+  }
+
+  /**
+   * Find all items within a great-circle distance of a point
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} radiusKm - Radius in kilometers (inclusive)
+   * @param {function} filter - Optional predicate on items
+   * @returns {Array} Matching items (unordered)
+   */
+  withinRadius(lat, lon, radiusKm, filter = null) {
+    const results = [];
+    if (this.size === 0 || radiusKm < 0) return results;
+
+    const angularDeg = (radiusKm / MapUtils.EARTH_RADIUS_KM) * 180 / Math.PI;
+    const minLat = lat - angularDeg;
+    const maxLat = lat + angularDeg;
+
+    // Longitude half-width of the cap; the whole circle if it reaches a pole
+    let lonHalfWidth = 180;
+    if (minLat > -90 && maxLat < 90 && angularDeg < 90) {
+      const ratio = Math.sin(angularDeg * Math.PI / 180) / Math.cos(lat * Math.PI / 180);
+      if (ratio < 1) {
+        lonHalfWidth = Math.asin(ratio) * 180 / Math.PI;
+      }
+    }
+
+    const firstRow = this.latCell(Math.max(-90, minLat));
+    const lastRow = this.latCell(Math.min(90, maxLat));
+
+    let firstCol = 0;
+    let colCount = this.lonCells;
+    if (lonHalfWidth < 180 - this.cellDeg) {
+      firstCol = this.lonCell(lon - lonHalfWidth);
+      const lastCol = this.lonCell(lon + lonHalfWidth);
+      colCount = Math.min(this.lonCells, ((lastCol - firstCol + this.lonCells) % this.lonCells) + 1);
+    }
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let i = 0; i < colCount; i++) {
+        const bucket = this.cells.get(this.cellKey(row, (firstCol + i) % this.lonCells));
+        if (!bucket) continue;
+
+        for (const item of bucket) {
+          if (filter && !filter(item)) continue;
+          if (MapUtils.greatCircleDistance(lat, lon, item.lat, item.lon) <= radiusKm) {
+            results.push(item);
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the k items nearest to a point
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @param {number} k - Number of items wanted
+   * @param {function} filter - Optional predicate on items
+   * @param {number} maxDistanceKm - Optional search limit
+   * @returns {Array} Up to k items, nearest first
+   */
+  nearest(lat, lon, k, filter = null, maxDistanceKm = Infinity) {
+    const halfCircumference = Math.PI * MapUtils.EARTH_RADIUS_KM;
+    const limit = Math.min(maxDistanceKm, halfCircumference);
+
+    // Grow the search radius until it holds k items (any item outside it
+    // is farther than all of those inside, so the k nearest are among them)
+    let radiusKm = Math.min(limit, this.cellDeg * 111);
+    let candidates = this.withinRadius(lat, lon, radiusKm, filter);
+    while (candidates.length < k && radiusKm < limit) {
+      radiusKm = Math.min(limit, radiusKm * 2);
+      candidates = this.withinRadius(lat, lon, radiusKm, filter);
+    }
+
+    return candidates
+      .map(item => ({ item: item, distance: MapUtils.greatCircleDistance(lat, lon, item.lat, item.lon) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, k)
+      .map(entry => entry.item);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpatialIndex;
+}
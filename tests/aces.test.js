@@ -0,0 +1,70 @@
+// Aces: defenders that keep shooting down raiders become named aces, and the
+// game announces it
+//
+// Usage: node tests/aces.test.js
+
+const assert = require('assert');
+const HeadlessRunner = require('../headless-runner.js');
+
+HeadlessRunner.loadModules();
+console.log = () => {};
+
+// Waves of weak, unescorted bombers fly past a few strong fighters
+const scenario = {
+  name: 'Aces test',
+  seed: 1,
+  teams: [
+    {
+      id: 'Red',
+      countries: ['France'],
+      templates: [
+        { name: 'Target Tug', type: 'bomber', costM: 1, rangePoints: 100, offense: 1, defense: 1, payload: 1 }
+      ],
+      airbases: [
+        { city: 'Paris', country: 'France', aircraft: [{ template: 'Target Tug', count: 60 }] }
+      ]
+    },
+    {
+      id: 'Blue',
+      countries: ['Germany'],
+      templates: [
+        { name: 'Hunter', type: 'fighter', costM: 2, rangePoints: 30, offense: 100, defense: 100 }
+      ],
+      airbases: [
+        { city: 'Heidelberg', country: 'Germany', aircraft: [{ template: 'Hunter', count: 3 }] }
+      ]
+    }
+  ],
+  victory: { modes: ['score'], timeLimitMinutes: 60 }
+};
+
+HeadlessRunner.run({ scenario: scenario, bots: [], maxTicks: 1 });
+
+const paris = GameState.cities.find(c => c.name === 'Paris');
+const heidelberg = GameState.cities.find(c => c.name === 'Heidelberg');
+const berlin = GameState.cities.find(c => c.name === 'Berlin');
+heidelberg.airbase.escortAllocation = 0;
+
+const aceEvents = [];
+GameState.on('aceCreated', event => aceEvents.push(event));
+assert.ok(Commands.issue('setBomberOrders', 'Red', { cityId: paris.id, targetCityId: berlin.id }));
+
+while (aceEvents.length === 0 && GameState.elapsedSeconds < 600) {
+  MainLoop.tick();
+}
+
+assert.ok(aceEvents.length > 0, 'a defender became an ace');
+const event = aceEvents[0];
+const ace = GameState.aircraft.find(a => a.id === event.aircraftId);
+assert.strictEqual(event.team, 'Blue');
+assert.strictEqual(ace.owner, 'Blue');
+assert.ok(event.kills >= CONSTANTS.ACE_KILLS);
+assert.ok(ace.kills >= CONSTANTS.ACE_KILLS);
+assert.ok(event.callSign, 'the ace has a call sign');
+assert.strictEqual(ace.callSign, event.callSign);
+
+// Aces fight better than an unproven aircraft in the same condition
+const rookie = { ...ace, kills: 0, sorties: 0, callSign: null };
+assert.ok(CombatSystem.getEffectiveness(ace) > CombatSystem.getEffectiveness(rookie));
+
+console.error('aces: ok');
@@ -0,0 +1,39 @@
+// Bot designs: a bot team designs a bomber of its own within the rules and
+// adds it to its templates
+//
+// Usage: node tests/bot-design.test.js
+
+const assert = require('assert');
+const HeadlessRunner = require('../headless-runner.js');
+
+HeadlessRunner.loadModules();
+console.log = () => {};
+
+HeadlessRunner.run(HeadlessRunner.parseArgs([
+  '--seed', '3', '--red', 'France,Spain', '--blue', 'Germany,Italy', '--ticks', '1'
+]));
+
+const designs = [];
+GameState.on('designCompleted', event => designs.push(event));
+
+while (designs.length === 0 && GameState.elapsedSeconds < 20 * 60) {
+  MainLoop.tick();
+}
+
+assert.ok(designs.length > 0, 'a bot finished a design');
+const event = designs[0];
+const team = GameState.teams[event.team];
+const template = GameState.getTemplate(event.templateId);
+assert.ok(team.isBot);
+assert.ok(team.templates.includes(template), 'the design is one of the team\'s templates');
+assert.ok(!GameState.defaultTemplates.includes(template));
+assert.strictEqual(template.type, 'bomber');
+assert.ok(team.ledger.spentM.designs > 0, 'the design was paid for');
+
+// It keeps to the same rules as a player's design, and keeps its speed up
+assert.strictEqual(ProductionSystem.getDesignProblem(event.team, template), null);
+assert.ok(template.speed >= CONSTANTS.BOT_DESIGN_MIN_SPEED);
+assert.ok(Commands.log.some(c => c.team === event.team && c.type === 'createDesign' && c.specs.name === template.name),
+  'the bot issued the design as a command');
+
+console.error('bot-design: ok');
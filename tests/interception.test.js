@@ -0,0 +1,74 @@
+// Interception: an airbase beside a raid's path catches it as it flies past,
+// though the raid only skims the edge of its fighters' range (they take off
+// before it arrives, and wait for it where they can meet it)
+//
+// Usage: node tests/interception.test.js
+
+const assert = require('assert');
+const HeadlessRunner = require('../headless-runner.js');
+
+HeadlessRunner.loadModules();
+console.log = () => {};
+
+const scenario = {
+  name: 'Interception test',
+  seed: 1,
+  teams: [
+    {
+      id: 'Red',
+      countries: ['France'],
+      templates: [
+        { name: 'Heavy', type: 'bomber', costM: 4, rangePoints: 100, offense: 20, defense: 40, payload: 20 }
+      ],
+      airbases: [
+        { city: 'Paris', country: 'France', aircraft: [{ template: 'Heavy', count: 10 }] }
+      ]
+    },
+    {
+      id: 'Blue',
+      countries: ['Germany'],
+      templates: [
+        { name: 'Point Defense', type: 'fighter', costM: 2, rangePoints: 19, offense: 50, defense: 40 }
+      ],
+      airbases: [
+        { city: 'Heidelberg', country: 'Germany', aircraft: [{ template: 'Point Defense', count: 10 }] }
+      ]
+    }
+  ],
+  victory: { modes: ['score'], timeLimitMinutes: 60 }
+};
+
+HeadlessRunner.run({ scenario: scenario, bots: [], maxTicks: 1 });
+
+const paris = GameState.cities.find(c => c.name === 'Paris');
+const heidelberg = GameState.cities.find(c => c.name === 'Heidelberg');
+const berlin = GameState.cities.find(c => c.name === 'Berlin');
+heidelberg.airbase.escortAllocation = 0;
+
+// The raid takes off beyond the Heidelberg fighters' range, and its path only just passes within it
+const rangeKm = 19 * CONSTANTS.RANGE_KM_PER_POINT;
+assert.ok(MapUtils.greatCircleDistance(paris.lat, paris.lon, heidelberg.lat, heidelberg.lon) > rangeKm);
+assert.ok(MapUtils.isPathWithinRange(paris.lat, paris.lon, berlin.lat, berlin.lon, heidelberg.lat, heidelberg.lon, rangeKm));
+
+const interceptions = [];
+GameState.on('interception', event => interceptions.push(event));
+assert.ok(Commands.issue('setBomberOrders', 'Red', { cityId: paris.id, targetCityId: berlin.id }));
+
+let raid = null;
+while (interceptions.length === 0 && GameState.elapsedSeconds < 60) {
+  MainLoop.tick();
+  raid = raid || GameState.activeRaids.find(r => r.fromCityId === paris.id);
+}
+
+assert.ok(raid, 'the raid set out');
+assert.strictEqual(interceptions.length, 1, 'the raid was intercepted');
+const event = interceptions[0];
+assert.strictEqual(event.airbaseCityId, heidelberg.id);
+assert.strictEqual(event.leg, 'outbound');
+assert.strictEqual(event.defenderIds.length, 10);
+
+// They met the raid within range of Heidelberg, after it came within range
+assert.ok(MapUtils.greatCircleDistance(heidelberg.lat, heidelberg.lon, event.lat, event.lon) <= rangeKm + 1e-6);
+assert.ok(event.progress > 0 && event.progress >= event.entry);
+
+console.error('interception: ok');
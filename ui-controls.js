@@ -5,9 +5,9 @@ const UIControls = {
   countryAllocation: {},
   selectedCity: null,
   playerTeam: 'Red',
-  aiTeam: 'Blue',
-  team1Name: 'Red',
-  team2Name: 'Blue',
+  humanTeams: ['Red'], // Human-controlled teams; the left panel commands playerTeam
+  teamSetup: [], // Launch screen rows: {id, color, name, isBot, alliance}
+  scenario: null, // Loaded scenario (replaces the manual team, country and victory setup)
   combatLogEntries: [],
   maxLogEntries: 50,
 
@@ -39,6 +39,123 @@ const UIControls = {
   initialize() {
     this.setupLaunchScreen();
     this.setupGameUI();
+    this.subscribeToGameEvents();
+  },
+
+  /**
+   * Turn simulation events into combat log entries
+   */
+  subscribeToGameEvents() {
+    GameState.on('interception', (event) => {
+      // Our side is friendly and the other the enemy; battles between other
+      // teams name both sides
+      const involved = event.attackerTeam === this.playerTeam || event.defenderTeam === this.playerTeam;
+      const sideName = team => {
+        if (team === this.playerTeam) return 'friendly';
+        return involved ? 'enemy' : GameState.teams[team].name;
+      };
+
+      const sides = [
+        { team: event.attackerTeam, losses: event.escortLosses.length },
+        { team: event.defenderTeam, losses: event.defenderLosses.length }
+      ];
+      for (const side of sides) {
+        if (side.losses === 0) continue;
+        const verb = side.team === this.playerTeam ? 'lost' : 'shot down';
+        this.addCombatLog(`${side.losses} ${sideName(side.team)} fighters ${verb}`, 'kill');
+      }
+      if (event.bomberLosses.length > 0) {
+        this.addCombatLog(`${event.bomberLosses.length} ${sideName(event.attackerTeam)} bombers shot down by ` +
+          `${sideName(event.defenderTeam)} interceptors`, 'kill');
+      }
+
+      // How the battle ended, if a side gave up
+      const raid = GameState.activeRaids.find(r => r.id === event.raidId);
+      const city = raid && GameState.getCity(raid.toCityId);
+      const over = city ? ` over the raid on ${city.name}` : '';
+      const endings = [];
+      if (event.escortsBrokeOff) endings.push(`escorts broke off in round ${event.escortsBrokeOff}`);
+      if (event.defendersBrokeOff) endings.push(`defenders broke off in round ${event.defendersBrokeOff}`);
+      if (event.bombersAborted) endings.push(`bombers turned back in round ${event.bombersAborted}`);
+      if (endings.length > 0) {
+        this.addCombatLog(`Air battle${over} (${event.rounds.length} rounds): ${endings.join(', ')}`, 'info');
+      }
+    });
+
+    GameState.on('cityDamaged', (event) => {
+      const city = GameState.getCity(event.cityId);
+      if (!city) return;
+      if (event.damage > 0) {
+        this.addCombatLog(`${city.name} hit for ${Math.round(event.damage * 10) / 10} damage`, 'damage');
+      }
+      if (event.flakLosses.length > 0) {
+        this.addCombatLog(`${event.flakLosses.length} bombers shot down by flak over ${city.name}`, 'kill');
+      }
+      if (event.bomberLosses.length > 0) {
+        this.addCombatLog(`${event.bomberLosses.length} bombers shot down over ${city.name}`, 'kill');
+      }
+    });
+
+    GameState.on('cityCaptured', (event) => {
+      const city = GameState.getCity(event.cityId);
+      if (!city) return;
+      this.addCombatLog(`${GameState.teams[event.newOwner].name} captured ${city.name}!`, 'capture');
+    });
+
+    GameState.on('raidReturned', (event) => {
+      if (event.team !== this.playerTeam || event.crashedIds.length === 0) return;
+      const city = GameState.getCity(event.fromCityId);
+      this.addCombatLog(`${event.crashedIds.length} damaged aircraft failed to make it back to ${city ? city.name : 'base'}`, 'kill');
+    });
+
+    GameState.on('aceCreated', (event) => {
+      const template = GameState.getTemplate(GameState.aircraft.find(a => a.id === event.aircraftId).templateId);
+      const side = event.team === this.playerTeam ? 'New ace' : `Enemy ace (${GameState.teams[event.team].name})`;
+      this.addCombatLog(`${side}: ${event.callSign}, ${template ? template.name : 'fighter'}, ${event.kills} kills`, 'info');
+    });
+
+    GameState.on('aceLost', (event) => {
+      if (event.team === this.playerTeam) {
+        this.addCombatLog(`Ace ${event.callSign} lost after ${event.kills} kills`, 'kill');
+      } else {
+        this.addCombatLog(`Enemy ace ${event.callSign} (${GameState.teams[event.team].name}) destroyed`, 'kill');
+      }
+    });
+
+    GameState.on('researchCompleted', (event) => {
+      if (event.team !== this.playerTeam) return;
+      this.addCombatLog(`Research complete: ${ResearchSystem.getTechnology(event.techId).name}`, 'info');
+    });
+
+    GameState.on('designCompleted', (event) => {
+      if (event.team !== this.playerTeam) return;
+      this.addCombatLog(`Design complete: ${GameState.getTemplate(event.templateId).name}`, 'info');
+    });
+
+    GameState.on('neutralJoined', (event) => {
+      this.addCombatLog(`${event.countryName} joins ${GameState.teams[event.team].name}!`, 'capture');
+    });
+
+    GameState.on('gameOver', (event) => {
+      this.addCombatLog(`Game over: ${event.reason}`, 'capture');
+      this.showGameOverScreen(event);
+    });
+
+    GameState.on('autosaveFailed', (event) => {
+      this.addCombatLog('Autosave failed', 'info');
+      this.showMessage('Autosave failed', `${event.message} Autosave can be turned off in the save browser.`);
+    });
+  },
+
+  /**
+   * Check whether a game event concerns the player's team
+   * @param {object} event - Game event
+   * @returns {boolean} True if the player's team takes part (game over always counts)
+   */
+  eventInvolvesPlayer(event) {
+    if (event.type === 'gameOver') return true;
+    return [event.team, event.attackerTeam, event.defenderTeam, event.newOwner, event.oldOwner]
+      .includes(this.playerTeam);
   },
 
   /**
@@ -82,12 +199,25 @@ const UIControls = {
       seedInput.value = Math.floor(Math.random() * 1000000);
     }
 
-    // Team color pickers
-    this.setupColorPickers();
+    // Ruleset picker
+    this.setupRulesetSelect();
+
+    // Team list (colors, controllers, alliances)
+    this.setupTeamList();
 
     // Country allocation
     this.setupCountryAllocation();
 
+    // Scenario file
+    this.setupScenarioLoader();
+
+    // Replay file
+    const replayInput = document.getElementById('replay-file-input');
+    replayInput?.addEventListener('change', () => {
+      const file = replayInput.files[0];
+      if (file) this.loadReplayFile(file);
+    });
+
     // Start game button
     const startButton = document.getElementById('start-game-btn');
     if (startButton) {
@@ -96,46 +226,168 @@ const UIControls = {
   },
 
   /**
-   * Setup color pickers with luminance validation and naming
+   * Fill the launch screen ruleset picker with the preset rulesets
+   */
+  setupRulesetSelect() {
+    const select = document.getElementById('ruleset-select');
+    if (!select) return;
+
+    select.innerHTML = '';
+    for (const name in Rulesets.PRESETS) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = Rulesets.DEFAULT_NAME;
+
+    // Show the preset's description and its victory defaults
+    const updateRuleset = () => {
+      this.updateElement('ruleset-description', Rulesets.PRESETS[select.value].description);
+
+      Rulesets.captureBaseValues();
+      const values = { ...Rulesets.baseValues, ...Rulesets.resolve(select.value).values };
+      const shareInput = document.getElementById('victory-production-share');
+      const timeLimitInput = document.getElementById('victory-time-limit');
+      if (shareInput) shareInput.value = Math.round(values.VICTORY_PRODUCTION_SHARE * 100);
+      if (timeLimitInput) timeLimitInput.value = values.VICTORY_TIME_LIMIT_MIN;
+    };
+    select.addEventListener('change', updateRuleset);
+    updateRuleset();
+  },
+
+  /**
+   * Setup the launch screen team list with the classic two teams
+   */
+  setupTeamList() {
+    this.teamSetup = [];
+    this.addTeamSetupRow(false);
+    this.addTeamSetupRow(true);
+
+    document.getElementById('add-team-btn')?.addEventListener('click', () => {
+      this.addTeamSetupRow(true);
+    });
+  },
+
+  /**
+   * Add a team to the launch screen using the next free team slot
+   * @param {boolean} isBot - Whether the new team is bot-controlled
+   */
+  addTeamSetupRow(isBot) {
+    if (this.teamSetup.length >= CONSTANTS.MAX_TEAMS) return;
+
+    const slot = TEAM_SLOTS.find(s => !this.teamSetup.some(t => t.id === s.id));
+    if (!slot) return;
+
+    this.teamSetup.push({
+      id: slot.id,
+      color: slot.color,
+      name: this.getColorName(slot.color),
+      isBot: isBot,
+      alliance: this.teamSetup.length + 1 // Everyone for themselves by default
+    });
+
+    this.renderTeamSetup();
+  },
+
+  /**
+   * Remove a team from the launch screen
+   * @param {string} teamId - Team slot id
    */
-  setupColorPickers() {
-    const team1ColorInput = document.getElementById('team1-color');
-    const team2ColorInput = document.getElementById('team2-color');
-    const team1NameSpan = document.getElementById('team1-name');
-    const team2NameSpan = document.getElementById('team2-name');
+  removeTeamSetupRow(teamId) {
+    if (this.teamSetup.length <= CONSTANTS.MIN_TEAMS) return;
+
+    this.teamSetup = this.teamSetup.filter(t => t.id !== teamId);
 
-    const updateTeamName = (input, nameSpan, defaultColor) => {
-      if (!this.validateColor(input.value)) {
-        console.log('Color too dark or too light. Please choose a different color.');
-        input.value = defaultColor;
+    // Countries of a removed team become neutral
+    for (const country in this.countryAllocation) {
+      if (this.countryAllocation[country] === teamId) {
+        this.countryAllocation[country] = null;
       }
-      const name = this.getColorName(input.value);
-      nameSpan.textContent = name;
-      nameSpan.style.color = input.value;
-      return name;
-    };
+    }
 
-    if (team1ColorInput && team1NameSpan) {
-      this.team1Name = this.getColorName(team1ColorInput.value);
-      team1NameSpan.textContent = this.team1Name;
-      team1NameSpan.style.color = team1ColorInput.value;
+    this.renderTeamSetup();
+  },
 
-      team1ColorInput.addEventListener('change', (e) => {
-        this.team1Name = updateTeamName(e.target, team1NameSpan, '#cc0000');
+  /**
+   * Rebuild the launch screen team rows
+   */
+  renderTeamSetup() {
+    const container = document.getElementById('team-setup-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    this.teamSetup.forEach(setup => {
+      const row = document.createElement('div');
+      row.className = 'team-setup-row';
+
+      // Color picker with luminance validation and naming
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = setup.color;
+
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'team-setup-name';
+      nameSpan.textContent = setup.name;
+      nameSpan.style.color = setup.color;
+
+      colorInput.addEventListener('change', (e) => {
+        if (!this.validateColor(e.target.value)) {
+          console.log('Color too dark or too light. Please choose a different color.');
+          e.target.value = setup.color;
+        }
+        setup.color = e.target.value;
+        setup.name = this.getColorName(setup.color);
+        nameSpan.textContent = setup.name;
+        nameSpan.style.color = setup.color;
         this.updateCountryAllocationLabels();
       });
-    }
 
-    if (team2ColorInput && team2NameSpan) {
-      this.team2Name = this.getColorName(team2ColorInput.value);
-      team2NameSpan.textContent = this.team2Name;
-      team2NameSpan.style.color = team2ColorInput.value;
+      // Controller
+      const controllerSelect = document.createElement('select');
+      controllerSelect.innerHTML = `
+        <option value="human">Human</option>
+        <option value="bot">Bot</option>
+      `;
+      controllerSelect.value = setup.isBot ? 'bot' : 'human';
+      controllerSelect.addEventListener('change', (e) => {
+        setup.isBot = e.target.value === 'bot';
+      });
 
-      team2ColorInput.addEventListener('change', (e) => {
-        this.team2Name = updateTeamName(e.target, team2NameSpan, '#0066cc');
-        this.updateCountryAllocationLabels();
+      // Alliance
+      const allianceSelect = document.createElement('select');
+      for (let i = 1; i <= CONSTANTS.MAX_TEAMS; i++) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `Alliance ${i}`;
+        allianceSelect.appendChild(option);
+      }
+      allianceSelect.value = setup.alliance;
+      allianceSelect.addEventListener('change', (e) => {
+        setup.alliance = parseInt(e.target.value);
       });
-    }
+
+      row.appendChild(colorInput);
+      row.appendChild(nameSpan);
+      row.appendChild(controllerSelect);
+      row.appendChild(allianceSelect);
+
+      // Remove button (keep at least MIN_TEAMS)
+      if (this.teamSetup.length > CONSTANTS.MIN_TEAMS) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => this.removeTeamSetupRow(setup.id));
+        row.appendChild(removeBtn);
+      }
+
+      container.appendChild(row);
+    });
+
+    const addBtn = document.getElementById('add-team-btn');
+    if (addBtn) addBtn.disabled = this.teamSetup.length >= CONSTANTS.MAX_TEAMS;
+
+    this.updateCountryAllocationLabels();
   },
 
   /**
@@ -173,11 +425,8 @@ const UIControls = {
 
       const select = document.createElement('select');
       select.className = 'country-select';
-      select.innerHTML = `
-        <option value="">Neutral</option>
-        <option value="team1">${this.team1Name}</option>
-        <option value="team2">${this.team2Name}</option>
-      `;
+      select.dataset.country = countryName;
+      select.innerHTML = this.getCountryAllocationOptions();
       select.addEventListener('change', (e) => {
         this.countryAllocation[countryName] = e.target.value || null;
       });
@@ -193,14 +442,101 @@ const UIControls = {
   },
 
   /**
-   * Update country allocation dropdown labels when team names change
+   * Setup the launch screen scenario file picker
+   */
+  setupScenarioLoader() {
+    const fileInput = document.getElementById('scenario-file-input');
+    if (fileInput) {
+      fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) this.loadScenarioFile(file);
+      });
+    }
+
+    document.getElementById('scenario-clear-btn')?.addEventListener('click', () => {
+      this.scenario = null;
+      if (fileInput) fileInput.value = '';
+      this.updateScenarioInfo();
+    });
+  },
+
+  /**
+   * Read, validate and select a scenario file
+   * @param {File} file - Scenario JSON file
+   */
+  loadScenarioFile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        this.scenario = ScenarioLoader.parse(e.target.result);
+        ScenarioLoader.checkReferences(this.scenario);
+
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput && this.scenario.seed !== undefined) {
+          seedInput.value = this.scenario.seed;
+        }
+
+        console.log(`Scenario loaded: ${this.scenario.name || file.name}`);
+      } catch (error) {
+        console.error('Failed to load scenario:', error);
+        alert(error.message);
+        this.scenario = null;
+        document.getElementById('scenario-file-input').value = '';
+      }
+      this.updateScenarioInfo();
+    };
+    reader.readAsText(file);
+  },
+
+  /**
+   * Show the loaded scenario and hide the manual setup sections it replaces
+   */
+  updateScenarioInfo() {
+    const info = document.getElementById('scenario-info');
+    const manualDisplay = this.scenario ? 'none' : '';
+
+    for (const id of ['team-setup-section', 'victory-setup-section', 'country-allocation-section']) {
+      const section = document.getElementById(id);
+      if (section) section.style.display = manualDisplay;
+    }
+
+    if (!info) return;
+    if (!this.scenario) {
+      info.style.display = 'none';
+      return;
+    }
+
+    const teams = this.scenario.teams.map(t => t.name || t.id).join(' vs ');
+    const rulesetName = this.scenario.ruleset ?
+      (typeof this.scenario.ruleset === 'string' ? this.scenario.ruleset : this.scenario.ruleset.name || 'Custom') :
+      null;
+    this.updateElement('scenario-name', (this.scenario.name || 'Unnamed scenario') +
+      (rulesetName ? ` (${rulesetName} rules)` : ''));
+    this.updateElement('scenario-description', this.scenario.description || teams);
+    info.style.display = 'block';
+  },
+
+  /**
+   * Build the option list for a country allocation dropdown
+   * @returns {string} Option HTML (Neutral plus one option per team)
+   */
+  getCountryAllocationOptions() {
+    let options = '<option value="">Neutral</option>';
+    for (const setup of this.teamSetup) {
+      options += `<option value="${setup.id}">${setup.name}</option>`;
+    }
+    return options;
+  },
+
+  /**
+   * Update country allocation dropdowns when teams are added, removed or renamed
    */
   updateCountryAllocationLabels() {
+    const options = this.getCountryAllocationOptions();
     const selects = document.querySelectorAll('.country-select');
     selects.forEach(select => {
-      const options = select.querySelectorAll('option');
-      if (options[1]) options[1].textContent = this.team1Name;
-      if (options[2]) options[2].textContent = this.team2Name;
+      select.innerHTML = options;
+      select.value = this.countryAllocation[select.dataset.country] || '';
     });
   },
 
@@ -211,38 +547,45 @@ const UIControls = {
     const seedInput = document.getElementById('seed-input');
     const seed = seedInput ? parseInt(seedInput.value) || Date.now() : Date.now();
 
-    const team1Color = document.getElementById('team1-color');
-    const team2Color = document.getElementById('team2-color');
-    const playerTeamSelect = document.getElementById('player-team-select');
-
-    // Set team colors and names
-    GameState.teams.Red.color = team1Color ? team1Color.value : '#cc0000';
-    GameState.teams.Red.name = this.team1Name;
-    GameState.teams.Blue.color = team2Color ? team2Color.value : '#0066cc';
-    GameState.teams.Blue.name = this.team2Name;
-
-    // Determine which team is player vs AI
-    const playerIsTeam1 = playerTeamSelect ? playerTeamSelect.value === 'team1' : true;
-    this.playerTeam = playerIsTeam1 ? 'Red' : 'Blue';
-    this.aiTeam = playerIsTeam1 ? 'Blue' : 'Red';
-
-    GameState.teams.Red.isBot = !playerIsTeam1;
-    GameState.teams.Blue.isBot = playerIsTeam1;
-
-    // Convert country allocation from team1/team2 to Red/Blue
-    const finalAllocation = {};
-    for (const [country, team] of Object.entries(this.countryAllocation)) {
-      if (team === 'team1') {
-        finalAllocation[country] = 'Red';
-      } else if (team === 'team2') {
-        finalAllocation[country] = 'Blue';
-      } else {
-        finalAllocation[country] = null;
-      }
+    // At least one team needs a human commander for the UI
+    const setups = this.scenario ? this.scenario.teams : this.teamSetup;
+    const humanSetups = setups.filter(t => !t.isBot);
+    if (humanSetups.length === 0) {
+      alert('At least one team must be human-controlled');
+      return;
     }
 
-    // Assign countries
-    GameState.assignCountries(finalAllocation);
+    // The setup is recorded with the command log so the game can be replayed
+    const rulesetSelect = document.getElementById('ruleset-select');
+    const setup = {
+      ruleset: rulesetSelect ? rulesetSelect.value : Rulesets.DEFAULT_NAME
+    };
+    if (this.scenario) {
+      // Teams, countries, airbases, aircraft and victory conditions from the scenario
+      setup.scenario = this.scenario;
+    } else {
+      // Alliances are stored as 'alliance-N'; allocation values are team ids
+      setup.teams = this.teamSetup.map(teamSetup => ({
+        id: teamSetup.id,
+        name: teamSetup.name,
+        color: teamSetup.color,
+        isBot: teamSetup.isBot,
+        alliance: `alliance-${teamSetup.alliance}`
+      }));
+      setup.allocation = this.countryAllocation;
+      setup.victory = this.readVictorySettings();
+    }
+
+    try {
+      Commands.applySetup(setup);
+    } catch (error) {
+      console.error('Failed to start game:', error);
+      alert(error.message);
+      return;
+    }
+
+    this.humanTeams = humanSetups.map(t => t.id);
+    this.playerTeam = this.humanTeams[0];
 
     // Hide launch screen
     const launchScreen = document.getElementById('launch-screen');
@@ -252,20 +595,9 @@ const UIControls = {
     const gameUI = document.getElementById('game-ui');
     if (gameUI) gameUI.style.display = 'flex';
 
-    // Update team headers with actual names
-    const playerHeader = document.getElementById('player-team-header');
-    const aiHeader = document.getElementById('ai-team-header');
-    if (playerHeader) {
-      playerHeader.textContent = `${GameState.teams[this.playerTeam].name} (You)`;
-      playerHeader.style.color = GameState.teams[this.playerTeam].color;
-    }
-    if (aiHeader) {
-      aiHeader.textContent = `${GameState.teams[this.aiTeam].name} (AI)`;
-      aiHeader.style.color = GameState.teams[this.aiTeam].color;
-    }
-
-    // Initialize AI bot
-    AIBot.initialize(this.aiTeam);
+    // Team headers and command switch
+    this.setupCommandSwitch();
+    this.updatePlayerHeader();
 
     // Start game loop
     MainLoop.start();
@@ -277,7 +609,393 @@ const UIControls = {
     this.updateGameUI();
 
     console.log('Game started with seed:', seed);
-    console.log(`Player: ${this.playerTeam} (${GameState.teams[this.playerTeam].name}), AI: ${this.aiTeam} (${GameState.teams[this.aiTeam].name})`);
+    console.log(`Teams: ${Object.keys(GameState.teams).map(t =>
+      `${GameState.teams[t].name} (${GameState.teams[t].isBot ? 'AI' : 'Human'}, ${GameState.teams[t].alliance})`
+    ).join(', ')}`);
+  },
+
+  /**
+   * Read a recording and open it in the replay viewer
+   * @param {File} file - Recording JSON file
+   */
+  loadReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        await this.startReplay(Replay.parse(e.target.result));
+      } catch (error) {
+        console.error('Failed to start replay:', error);
+        alert(error.message);
+        document.getElementById('replay-file-input').value = '';
+      }
+    };
+    reader.readAsText(file);
+  },
+
+  /**
+   * Open the replay viewer: rebuild the recorded game and show it paused at tick 0
+   * @param {object} recording - Parsed recording
+   */
+  async startReplay(recording) {
+    await Replay.start(recording);
+
+    this.humanTeams = Object.keys(GameState.teams).filter(t => !GameState.teams[t].isBot);
+    this.playerTeam = this.humanTeams[0] || Object.keys(GameState.teams)[0];
+
+    document.getElementById('launch-screen').style.display = 'none';
+    document.getElementById('game-ui').style.display = 'flex';
+    document.getElementById('replay-bar').style.display = 'flex';
+    document.getElementById('game-controls-section').style.display = 'none';
+
+    const slider = document.getElementById('replay-seek');
+    slider.max = recording.endTick;
+    slider.value = 0;
+
+    this.setupCommandSwitch();
+    this.updatePlayerHeader();
+    Renderer.render();
+
+    this.currentScreen = 'game';
+    this.updateGameUI();
+    console.log(`Replay loaded: seed ${recording.setup.seed}, ${recording.endTick} ticks, ${recording.commands.length} commands`);
+  },
+
+  /**
+   * Wire up the replay viewer's play/pause, seek and exit controls
+   */
+  setupReplayBar() {
+    const playBtn = document.getElementById('replay-play-btn');
+    playBtn?.addEventListener('click', () => {
+      if (Replay.isPlaying()) {
+        Replay.pause();
+      } else {
+        Replay.play();
+      }
+      this.updateReplayBar();
+    });
+
+    const slider = document.getElementById('replay-seek');
+    slider?.addEventListener('change', async () => {
+      slider.disabled = true;
+      await Replay.seek(parseInt(slider.value), (tick) => {
+        this.updateElement('replay-time', `Seeking... ${this.formatTicks(tick)}`);
+      });
+      slider.disabled = false;
+      this.lastTemplateCount = 0; // Templates are rebuilt when seeking backwards
+      this.updateReplayBar();
+      this.updateGameUI();
+    });
+
+    document.getElementById('replay-exit-btn')?.addEventListener('click', () => location.reload());
+  },
+
+  /**
+   * Show the replay position and play state
+   */
+  updateReplayBar() {
+    if (!Replay.active) return;
+
+    const slider = document.getElementById('replay-seek');
+    if (!slider.disabled) {
+      slider.value = GameState.tickCount;
+      this.updateElement('replay-time',
+        `${this.formatTicks(GameState.tickCount)} / ${this.formatTicks(Replay.recording.endTick)}`);
+    }
+    this.updateElement('replay-play-btn', Replay.isPlaying() ? 'Pause' : 'Play');
+
+    const status = Replay.divergedAtTick !== null ?
+      `Out of sync since ${this.formatTicks(Replay.divergedAtTick)}` :
+      (Replay.isFinished() ? 'End of recording' : '');
+    this.updateElement('replay-status', status);
+  },
+
+  /**
+   * Format a tick count as game time (m:ss)
+   * @param {number} ticks - Tick count
+   * @returns {string} Formatted time
+   */
+  formatTicks(ticks) {
+    const totalSeconds = Math.floor(ticks * CONSTANTS.TICK_MS / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+  },
+
+  /**
+   * Download the current game's recording (setup and command log)
+   */
+  exportReplay() {
+    const recording = Commands.getRecording();
+    if (!recording) {
+      this.showMessage('No replay available', 'This game was loaded from a save made before commands were recorded, so it cannot be replayed.');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `airwar_replay_${recording.setup.seed}_${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Setup the command switch used when several teams are human-controlled
+   */
+  setupCommandSwitch() {
+    const control = document.getElementById('command-team-control');
+    const select = document.getElementById('command-team-select');
+    if (!control || !select) return;
+
+    if (this.humanTeams.length < 2) {
+      control.style.display = 'none';
+      return;
+    }
+
+    select.innerHTML = '';
+    for (const teamName of this.humanTeams) {
+      const option = document.createElement('option');
+      option.value = teamName;
+      option.textContent = GameState.teams[teamName].name;
+      select.appendChild(option);
+    }
+    select.value = this.playerTeam;
+    select.onchange = (e) => {
+      this.playerTeam = e.target.value;
+      this.lastTemplateCount = 0; // Force allocation UI rebuild
+      this.hideCityPopup();
+      this.clearTargetSelection();
+      this.updatePlayerHeader();
+      this.updateGameUI();
+    };
+
+    control.style.display = 'flex';
+  },
+
+  /**
+   * Refresh the UI after a save has replaced the game state
+   */
+  onGameLoaded() {
+    this.humanTeams = Object.keys(GameState.teams).filter(t => !GameState.teams[t].isBot);
+    if (!this.humanTeams.includes(this.playerTeam)) {
+      this.playerTeam = this.humanTeams[0] || Object.keys(GameState.teams)[0];
+    }
+
+    this.lastTemplateCount = 0; // Force allocation UI rebuild
+    this.hideCityPopup();
+    this.clearTargetSelection();
+    this.setupCommandSwitch();
+    this.updatePlayerHeader();
+    this.updateElement('pause-btn', GameState.isPaused ? 'Resume' : 'Pause');
+
+    // Restart the loop in its saved state (a finished game stays stopped)
+    if (GameState.gameOver) {
+      MainLoop.stop();
+    } else {
+      MainLoop.start();
+      const gameOverScreen = document.getElementById('game-over-screen');
+      if (gameOverScreen) gameOverScreen.style.display = 'none';
+    }
+
+    Renderer.render();
+    this.updateGameUI();
+  },
+
+  /**
+   * Wire up the save browser's fixed controls
+   */
+  setupSaveBrowser() {
+    const nameInput = document.getElementById('save-name-input');
+    document.getElementById('save-new-btn')?.addEventListener('click', () => {
+      if (SaveLoad.saveGame(nameInput.value.trim())) {
+        nameInput.value = '';
+        this.renderSaveSlots();
+      } else {
+        this.showMessage('Could not save game', SaveLoad.lastError);
+      }
+    });
+
+    const intervalInput = document.getElementById('autosave-interval-input');
+    intervalInput?.addEventListener('change', () => {
+      const minutes = parseFloat(intervalInput.value);
+      SaveLoad.autosaveIntervalMin = minutes > 0 ? minutes : 0;
+      intervalInput.value = SaveLoad.autosaveIntervalMin;
+    });
+
+    document.getElementById('save-browser-close-btn')?.addEventListener('click', () => {
+      document.getElementById('save-browser').style.display = 'none';
+    });
+  },
+
+  /**
+   * Open the save browser
+   * @param {boolean} focusName - Focus the new save name (from the Save button)
+   */
+  showSaveBrowser(focusName) {
+    document.getElementById('autosave-interval-input').value = SaveLoad.autosaveIntervalMin;
+    this.renderSaveSlots();
+    document.getElementById('save-browser').style.display = 'block';
+    if (focusName) document.getElementById('save-name-input').focus();
+  },
+
+  /**
+   * List the save slots with their details and Load/Overwrite/Rename/Delete buttons
+   */
+  renderSaveSlots() {
+    const list = document.getElementById('save-slot-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const slots = SaveLoad.listSlots();
+    if (slots.length === 0) {
+      list.innerHTML = '<div id="save-slot-empty">No saved games</div>';
+      return;
+    }
+
+    for (const slot of slots) {
+      const row = document.createElement('div');
+      row.className = 'save-slot';
+
+      const name = document.createElement('div');
+      name.className = 'save-slot-name';
+      name.textContent = slot.autosave ? `${slot.name} (auto)` : slot.name;
+      row.appendChild(name);
+
+      const minutes = Math.floor((slot.elapsedSeconds || 0) / 60);
+      const seconds = Math.floor((slot.elapsedSeconds || 0) % 60);
+      const details = document.createElement('div');
+      details.className = 'save-slot-details';
+      details.textContent = `${new Date(slot.timestamp).toLocaleString()} | Seed ${slot.seed} | ` +
+        `Game time ${minutes}:${seconds.toString().padStart(2, '0')}`;
+      row.appendChild(details);
+
+      // Standings: teams by cities held, then aircraft
+      const standings = document.createElement('div');
+      standings.className = 'save-slot-standings';
+      for (const entry of slot.standings) {
+        const span = document.createElement('span');
+        span.style.color = entry.color;
+        span.style.marginRight = '8px';
+        span.textContent = `${entry.name} ${entry.cities}C/${entry.aircraft}A`;
+        standings.appendChild(span);
+      }
+      row.appendChild(standings);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'button-group';
+      const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+      };
+
+      addButton('Load', () => {
+        if (SaveLoad.loadGame(slot.id)) {
+          document.getElementById('save-browser').style.display = 'none';
+          this.onGameLoaded();
+        } else {
+          this.showMessage('Could not load game', SaveLoad.lastError);
+        }
+      });
+      addButton('Overwrite', () => {
+        if (!confirm(`Overwrite "${slot.name}" with the current game?`)) return;
+        if (!SaveLoad.saveGame(slot.name, slot.id)) {
+          this.showMessage('Could not save game', SaveLoad.lastError);
+        }
+        this.renderSaveSlots();
+      });
+      addButton('Rename', () => {
+        const newName = prompt('Save name:', slot.name);
+        if (newName && newName.trim()) {
+          SaveLoad.renameSlot(slot.id, newName.trim());
+          this.renderSaveSlots();
+        }
+      });
+      addButton('Delete', () => {
+        if (!confirm(`Delete "${slot.name}"?`)) return;
+        SaveLoad.deleteSlot(slot.id);
+        this.renderSaveSlots();
+      });
+
+      row.appendChild(buttons);
+      list.appendChild(row);
+    }
+  },
+
+  /**
+   * Show a message dialog (used for errors the player needs to read)
+   * @param {string} title - Dialog title
+   * @param {string} text - Message (newlines are kept)
+   */
+  showMessage(title, text) {
+    const dialog = document.getElementById('message-dialog');
+    if (!dialog) return;
+
+    document.getElementById('message-title').textContent = title;
+    document.getElementById('message-text').textContent = text || '';
+    dialog.style.display = 'block';
+  },
+
+  /**
+   * Update the player team header with the commanded team's name and color
+   */
+  updatePlayerHeader() {
+    const playerHeader = document.getElementById('player-team-header');
+    if (playerHeader) {
+      playerHeader.textContent = `${GameState.teams[this.playerTeam].name} (You)`;
+      playerHeader.style.color = GameState.teams[this.playerTeam].color;
+    }
+  },
+
+  /**
+   * Read victory condition settings from the launch screen
+   * @returns {object} {modes, productionShare, timeLimitS}
+   */
+  readVictorySettings() {
+    const modes = Array.from(document.querySelectorAll('.victory-mode'))
+      .filter(input => input.checked)
+      .map(input => input.value);
+
+    const shareInput = document.getElementById('victory-production-share');
+    const timeLimitInput = document.getElementById('victory-time-limit');
+
+    return {
+      modes: modes,
+      productionShare: shareInput ? (parseFloat(shareInput.value) || 50) / 100 : undefined,
+      timeLimitS: timeLimitInput ? (parseFloat(timeLimitInput.value) || CONSTANTS.VICTORY_TIME_LIMIT_MIN) * 60 : undefined
+    };
+  },
+
+  /**
+   * Show the end-of-game screen
+   * @param {object} event - gameOver event
+   */
+  showGameOverScreen(event) {
+    const screen = document.getElementById('game-over-screen');
+    if (!screen) return;
+
+    const title = document.getElementById('game-over-title');
+    if (event.winner) {
+      const winner = GameState.teams[event.winner];
+      title.textContent = event.winners.includes(this.playerTeam) ? 'Victory!' : `${winner.name} Wins`;
+      title.style.color = winner.color;
+    } else {
+      title.textContent = 'Draw';
+      title.style.color = '#c0c0c0';
+    }
+
+    this.updateElement('game-over-reason', event.reason);
+
+    const scoresEl = document.getElementById('game-over-scores');
+    scoresEl.innerHTML = '';
+    for (const [teamName, score] of Object.entries(event.scores)) {
+      const row = document.createElement('div');
+      row.className = 'stat-row';
+      row.innerHTML = `<span class="stat-label">${GameState.teams[teamName].name}</span><span class="stat-value">${score}</span>`;
+      scoresEl.appendChild(row);
+    }
+
+    screen.style.display = 'block';
   },
 
   /**
@@ -294,20 +1012,89 @@ const UIControls = {
     }
 
     // Speed buttons
-    document.getElementById('speed-1x')?.addEventListener('click', () => MainLoop.setSpeed(1));
-    document.getElementById('speed-2x')?.addEventListener('click', () => MainLoop.setSpeed(2));
-    document.getElementById('speed-4x')?.addEventListener('click', () => MainLoop.setSpeed(4));
+    for (const multiplier of CONSTANTS.SPEED_MULTIPLIERS) {
+      document.getElementById(`speed-${multiplier}x`)?.addEventListener('click', () => MainLoop.setSpeed(multiplier));
+    }
+
+    // Fast-forward until something happens to the player's team (click again to cancel)
+    document.getElementById('fast-forward-btn')?.addEventListener('click', () => {
+      if (MainLoop.isFastForwarding()) {
+        MainLoop.endFastForward();
+      } else {
+        if (GameState.isPaused) {
+          MainLoop.togglePause();
+          this.updateElement('pause-btn', 'Pause');
+        }
+        MainLoop.startFastForward(event => this.eventInvolvesPlayer(event));
+      }
+      this.updateSpeedDisplay();
+    });
+
+    // Rewind to a checkpoint
+    document.getElementById('rewind-btn')?.addEventListener('click', () => {
+      const select = document.getElementById('rewind-select');
+      const index = parseInt(select.value);
+      const snapshot = MainLoop.snapshots[index];
+      if (!snapshot) return;
+
+      if (MainLoop.rewind(index)) {
+        this.onGameLoaded();
+        this.addCombatLog(`Rewound to ${this.formatTicks(snapshot.tick)}`, 'info');
+      }
+    });
+
+    // Save/Load buttons (both open the save browser)
+    document.getElementById('save-btn')?.addEventListener('click', () => this.showSaveBrowser(true));
+    document.getElementById('load-btn')?.addEventListener('click', () => this.showSaveBrowser(false));
+    this.setupSaveBrowser();
+
+    // Export/Import save files
+    const importInput = document.getElementById('import-file-input');
+    document.getElementById('export-btn')?.addEventListener('click', () => SaveLoad.exportGame());
+    document.getElementById('import-btn')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = ''; // Allow importing the same file again
+      if (!file) return;
+
+      SaveLoad.importGame(file, (error) => {
+        if (error) {
+          this.showMessage('Could not import game', error);
+        } else {
+          this.onGameLoaded();
+        }
+      });
+    });
 
-    // Save/Load buttons
-    document.getElementById('save-btn')?.addEventListener('click', () => SaveLoad.saveGame());
-    document.getElementById('load-btn')?.addEventListener('click', () => SaveLoad.loadGame());
+    // Replays
+    document.getElementById('export-replay-btn')?.addEventListener('click', () => this.exportReplay());
+    this.setupReplayBar();
+
+    document.getElementById('message-ok-btn')?.addEventListener('click', () => {
+      document.getElementById('message-dialog').style.display = 'none';
+    });
 
     // Close city popup
     document.getElementById('close-popup-btn')?.addEventListener('click', () => this.hideCityPopup());
 
+    // Game over screen
+    document.getElementById('game-over-new-btn')?.addEventListener('click', () => location.reload());
+    document.getElementById('game-over-close-btn')?.addEventListener('click', () => {
+      document.getElementById('game-over-screen').style.display = 'none';
+    });
+
     // Production allocation sliders
     this.setupProductionSliders();
 
+    // Airbase construction queue
+    this.setupConstructionUI();
+
+    // Research
+    this.setupResearchUI();
+
+    // Airbase build queues (in the city popup)
+    this.setupBaseQueueUI();
+
     // Design UI
     this.setupDesignUI();
 
@@ -335,11 +1122,13 @@ const UIControls = {
     // Clear existing UI
     container.innerHTML = '';
 
+    const airbases = team.cities.filter(c => ProductionSystem.isTeamAirbase(c, this.playerTeam));
+
     // Create UI for each template
     team.templates.forEach(template => {
       // Ensure templateProduction exists for this template
       if (!team.templateProduction[template.id]) {
-        team.templateProduction[template.id] = { allocation: 0, progress: 0 };
+        team.templateProduction[template.id] = { allocation: 0, progress: 0, delivery: null, spreadIndex: 0 };
       }
 
       const templateProd = team.templateProduction[template.id];
@@ -355,7 +1144,8 @@ const UIControls = {
       header.style.cssText = 'display: flex; justify-content: space-between; font-size: 10px;';
 
       const nameSpan = document.createElement('span');
-      nameSpan.textContent = `${template.name} (${template.type === 'fighter' ? 'F' : 'B'} $${template.costM}M)`;
+      const role = template.role ? ` ${template.role}` : '';
+      nameSpan.textContent = `${template.name} (${template.type === 'fighter' ? 'F' : 'B'}${role} $${template.costM}M)`;
       nameSpan.style.color = template.type === 'fighter' ? '#5af' : '#fa5';
 
       const pctSpan = document.createElement('span');
@@ -375,7 +1165,26 @@ const UIControls = {
       slider.className = 'allocation-slider';
 
       slider.addEventListener('input', (e) => {
-        templateProd.allocation = parseInt(e.target.value) || 0;
+        Commands.issue('setAllocation', this.playerTeam, {
+          templateId: template.id,
+          allocation: parseInt(e.target.value) || 0
+        });
+      });
+
+      // Where this template's aircraft go
+      const deliverySelect = document.createElement('select');
+      deliverySelect.className = 'allocation-delivery';
+      deliverySelect.style.cssText = 'width: 100%; font-size: 10px;';
+      deliverySelect.innerHTML = '<option value="">Deliver to delivery point</option>' +
+        '<option value="spread">Spread across airbases</option>' +
+        airbases.map(city => `<option value="${city.id}">Deliver to ${city.name}</option>`).join('');
+      deliverySelect.value = templateProd.delivery || '';
+
+      deliverySelect.addEventListener('change', (e) => {
+        Commands.issue('setTemplateDelivery', this.playerTeam, {
+          templateId: template.id,
+          delivery: e.target.value || null
+        });
       });
 
       // Progress bar
@@ -390,6 +1199,7 @@ const UIControls = {
 
       item.appendChild(header);
       item.appendChild(slider);
+      item.appendChild(deliverySelect);
       item.appendChild(progressBg);
 
       container.appendChild(item);
@@ -401,6 +1211,11 @@ const UIControls = {
    */
   lastTemplateCount: 0,
 
+  /**
+   * Track the player's airbases (delivery choices) to detect changes
+   */
+  lastAirbaseKey: '',
+
   /**
    * Setup aircraft design UI
    */
@@ -409,14 +1224,82 @@ const UIControls = {
     const pointsDisplay = document.getElementById('design-points');
 
     if (costInput && pointsDisplay) {
-      costInput.addEventListener('input', () => {
-        const cost = parseInt(costInput.value) || 1;
-        const points = ProductionSystem.calculateDesignPoints(cost);
-        pointsDisplay.textContent = `Points available: ${points}`;
-      });
+      costInput.addEventListener('input', () => this.updateDesignLimits());
     }
+    document.getElementById('design-type')?.addEventListener('change', () => this.updateDesignLimits());
 
     document.getElementById('create-design-btn')?.addEventListener('click', () => this.createDesign());
+    document.getElementById('cancel-design-btn')?.addEventListener('click', () => {
+      Commands.issue('cancelDesign', this.playerTeam, {});
+      this.updateDesignProgress();
+    });
+  },
+
+  /**
+   * Show the design under way: its progress toward the design cost and the
+   * time left at the design share of current income
+   */
+  updateDesignProgress() {
+    const container = document.getElementById('design-progress');
+    const team = GameState.teams[this.playerTeam];
+    if (!container || !team) return;
+
+    const design = team.design;
+    const createButton = document.getElementById('create-design-btn');
+    if (createButton) createButton.disabled = !!design;
+    container.style.display = design ? 'block' : 'none';
+    if (!design) return;
+
+    const percent = design.costM > 0 ? Math.min(100, design.progressM / design.costM * 100) : 100;
+    const ratePerMin = team.productionPerMinute * CONSTANTS.DESIGN_SHARE / 100;
+    const minutesLeft = ratePerMin > 0 ? (design.costM - design.progressM) / ratePerMin : Infinity;
+    const timeLeft = isFinite(minutesLeft) ? `${Math.ceil(minutesLeft * 60)}s left` : 'stalled';
+
+    this.updateElement('design-progress-label',
+      `Designing ${design.specs.name} (${design.specs.type}): ${percent.toFixed(0)}% of ${design.costM.toFixed(0)}M, ${timeLeft}`);
+    const bar = document.getElementById('design-progress-bar');
+    if (bar) bar.style.width = `${percent}%`;
+  },
+
+  /**
+   * Show the points and stat caps the player's research allows for a design,
+   * and the roles it has unlocked
+   */
+  updateDesignLimits() {
+    const team = GameState.teams[this.playerTeam];
+    const costInput = document.getElementById('design-cost');
+    if (!team || !costInput) return;
+
+    const cost = parseInt(costInput.value) || 1;
+    this.updateElement('design-points', `Points available: ${ProductionSystem.calculateDesignPoints(cost, this.playerTeam)}`);
+
+    const caps = ResearchSystem.getStatCaps(this.playerTeam);
+    const maxima = {
+      'design-range': caps.rangeMax,
+      'design-offense': caps.offenseMax,
+      'design-defense': caps.defenseMax,
+      'design-speed': caps.speedMax,
+      'design-payload': caps.payloadMax
+    };
+    for (const id in maxima) {
+      const input = document.getElementById(id);
+      if (input) input.max = maxima[id];
+    }
+
+    // Roles are for fighters only
+    const roleSelect = document.getElementById('design-role');
+    if (!roleSelect) return;
+    const type = document.getElementById('design-type').value;
+    const roles = type === 'fighter' ? ResearchSystem.getEffects(this.playerTeam).roles : [];
+    const roleKey = roles.join(',');
+    if (roleSelect.dataset.key !== roleKey) {
+      const selected = roleSelect.value;
+      roleSelect.innerHTML = '<option value="">None</option>' + roles
+        .map(role => `<option value="${role}" title="${ResearchSystem.ROLES[role]}">${role[0].toUpperCase()}${role.slice(1)}</option>`)
+        .join('');
+      roleSelect.dataset.key = roleKey;
+      roleSelect.value = roles.includes(selected) ? selected : '';
+    }
   },
 
   /**
@@ -432,12 +1315,12 @@ const UIControls = {
       return;
     }
 
-    if (team.productionAccumulated < template.costM) {
-      console.log(`Not enough production (need ${template.costM}M, have ${team.productionAccumulated.toFixed(2)}M)`);
+    if (!ProductionSystem.canAfford(this.playerTeam, template.costM)) {
+      console.log(`Not enough in the treasury (need ${template.costM}M, have ${team.ledger.treasuryM.toFixed(2)}M)`);
       return;
     }
 
-    if (ProductionSystem.tryProduceAircraft(this.playerTeam, template.id)) {
+    if (Commands.issue('produceAircraft', this.playerTeam, { templateId: template.id })) {
       console.log(`Built ${type}`);
     }
   },
@@ -451,47 +1334,64 @@ const UIControls = {
     const range = parseInt(document.getElementById('design-range').value) || 30;
     const offense = parseInt(document.getElementById('design-offense').value) || 30;
     const defense = parseInt(document.getElementById('design-defense').value) || 20;
+    const speed = parseInt(document.getElementById('design-speed').value) || CONSTANTS.SPEED_MIN;
+    const payload = parseInt(document.getElementById('design-payload').value) || CONSTANTS.PAYLOAD_MIN;
 
-    // Auto-generate random animal name if not provided
+    // A random animal name is generated when the command runs if none is given
     const nameInput = document.getElementById('design-name');
-    let name = nameInput ? nameInput.value.trim() : '';
-    if (!name) {
-      name = ProductionSystem.generateAnimalName(GameState.rng);
-    }
-
-    const minCost = type === 'bomber' ? CONSTANTS.BOMBER_BASE_COST_M : CONSTANTS.FIGHTER_BASE_COST_M;
-    if (cost < minCost) {
-      console.log(`Minimum cost for ${type} is ${minCost}M`);
-      return;
-    }
+    const name = nameInput ? nameInput.value.trim() : '';
 
-    const availablePoints = ProductionSystem.calculateDesignPoints(cost);
-    const usedPoints = range + offense + defense;
+    const roleSelect = document.getElementById('design-role');
+    const role = roleSelect && roleSelect.value ? roleSelect.value : null;
 
-    if (usedPoints > availablePoints) {
-      console.log(`Too many points used (${usedPoints} > ${availablePoints})`);
+    // One design at a time, paid from the design share of income as the work goes on
+    if (GameState.teams[this.playerTeam].design) {
+      this.showMessage('Design office busy',
+        'Wait for the design under way to finish, or cancel it, before starting another.');
       return;
     }
 
-    // Design without cost check - just start it
-    const team = GameState.teams[this.playerTeam];
-
     const specs = {
       type: type,
       costM: cost,
       rangePoints: range,
       offense: offense,
       defense: defense,
-      name: name
+      speed: speed,
+      payload: payload,
+      name: name,
+      role: role
     };
 
-    // Start design (production will be diverted to it automatically)
-    GameState.createTemplate(this.playerTeam, specs);
-    console.log(`Created design: ${name}`);
+    const problem = ProductionSystem.getDesignProblem(this.playerTeam, specs);
+    if (problem) {
+      this.showMessage('Design not possible', problem);
+      return;
+    }
+
+    if (Commands.issue('createDesign', this.playerTeam, { specs: specs })) {
+      console.log(`Started design: ${GameState.teams[this.playerTeam].design.specs.name}`);
+      this.updateDesignProgress();
+    }
     // Clear the name input for next design
     if (nameInput) nameInput.value = '';
   },
 
+  /**
+   * Show the game speed, and the speed actually reached if the loop can't keep up
+   */
+  updateSpeedDisplay() {
+    let text = `${GameState.speedMultiplier}x`;
+    if (MainLoop.isFastForwarding()) {
+      text = MainLoop.effectiveSpeed > 0 ? `Next event (${MainLoop.effectiveSpeed.toFixed(0)}x)` : 'Next event';
+    } else if (MainLoop.effectiveSpeed > 0 &&
+               MainLoop.effectiveSpeed < GameState.speedMultiplier * 0.9) {
+      text += ` (${MainLoop.effectiveSpeed.toFixed(0)}x)`;
+    }
+    this.updateElement('speed-display', text);
+    this.updateElement('fast-forward-btn', MainLoop.isFastForwarding() ? 'Stop' : 'Next Event');
+  },
+
   /**
    * Update game UI displays
    */
@@ -501,20 +1401,15 @@ const UIControls = {
     // Update player team stats
     const playerTeamData = GameState.teams[this.playerTeam];
     this.updateElement('player-production', `${playerTeamData.productionPerMinute.toFixed(2)}M/min`);
+    this.updateElement('player-treasury', `${playerTeamData.ledger.treasuryM.toFixed(1)}M`);
     this.updateElement('player-cities', playerTeamData.cities.length);
 
     const playerFighters = playerTeamData.aircraft.filter(a => a.type === 'fighter' && a.hp > 0).length;
     const playerBombers = playerTeamData.aircraft.filter(a => a.type === 'bomber' && a.hp > 0).length;
     this.updateElement('player-aircraft', `${playerFighters}F / ${playerBombers}B`);
 
-    // Update AI team stats
-    const aiTeamData = GameState.teams[this.aiTeam];
-    this.updateElement('ai-production', `${aiTeamData.productionPerMinute.toFixed(2)}M/min`);
-    this.updateElement('ai-cities', aiTeamData.cities.length);
-
-    const aiFighters = aiTeamData.aircraft.filter(a => a.type === 'fighter' && a.hp > 0).length;
-    const aiBombers = aiTeamData.aircraft.filter(a => a.type === 'bomber' && a.hp > 0).length;
-    this.updateElement('ai-aircraft', `${aiFighters}F / ${aiBombers}B`);
+    // Update other teams' stats
+    this.updateOtherTeams();
 
     // Update game time
     const minutes = Math.floor(GameState.elapsedSeconds / 60);
@@ -524,14 +1419,95 @@ const UIControls = {
     // Update seed display
     this.updateElement('seed-display', GameState.seed);
 
+    // Update speed display
+    this.updateSpeedDisplay();
+
     // Update production allocation UI
     this.updateProductionUI();
 
+    // Update airbase construction queue
+    this.updateConstructionUI();
+
+    // Update research
+    this.updateResearchUI();
+    this.updateDesignLimits();
+    this.updateDesignProgress();
+
+    // Update income and spending breakdown
+    this.updateLedgerUI();
+
     // Update bases panel
     this.updateBasesPanel();
 
     // Update popup live stats
     this.updatePopupLive();
+
+    // Update replay position
+    this.updateReplayBar();
+
+    // Update rewind checkpoints
+    this.updateRewindControl();
+  },
+
+  /**
+   * List the rewind checkpoints, newest first (rebuilt only when they change)
+   */
+  updateRewindControl() {
+    const select = document.getElementById('rewind-select');
+    if (!select) return;
+
+    const snapshots = MainLoop.snapshots;
+    const key = snapshots.map(s => s.tick).join(',');
+    if (select.dataset.key === key) return;
+    select.dataset.key = key;
+
+    select.innerHTML = '';
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = this.formatTicks(snapshots[i].tick);
+      select.appendChild(option);
+    }
+    document.getElementById('rewind-btn').disabled = snapshots.length === 0;
+  },
+
+  /**
+   * Update the stats sections for every team other than the player's
+   */
+  updateOtherTeams() {
+    const container = document.getElementById('other-teams-list');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    for (const teamName in GameState.teams) {
+      if (teamName === this.playerTeam) continue;
+
+      const team = GameState.teams[teamName];
+      const relation = GameState.areEnemies(this.playerTeam, teamName) ? 'Enemy' : 'Ally';
+      const controller = team.isBot ? 'AI' : 'Human';
+      const fighters = team.aircraft.filter(a => a.type === 'fighter' && a.hp > 0).length;
+      const bombers = team.aircraft.filter(a => a.type === 'bomber' && a.hp > 0).length;
+
+      const section = document.createElement('div');
+      section.className = 'team-section';
+      section.innerHTML = `
+        <h3 style="color: ${team.color};">${team.name} (${relation}, ${controller})</h3>
+        <div class="stat-row">
+          <span class="stat-label">Production:</span>
+          <span class="stat-value">${team.productionPerMinute.toFixed(2)}M/min</span>
+        </div>
+        <div class="stat-row">
+          <span class="stat-label">Cities:</span>
+          <span class="stat-value">${team.cities.length}</span>
+        </div>
+        <div class="stat-row">
+          <span class="stat-label">Aircraft:</span>
+          <span class="stat-value">${fighters}F / ${bombers}B</span>
+        </div>
+      `;
+      container.appendChild(section);
+    }
   },
 
   /**
@@ -541,9 +1517,14 @@ const UIControls = {
     const team = GameState.teams[this.playerTeam];
     if (!team) return;
 
-    // Check if templates changed - rebuild UI if needed
-    if (team.templates.length !== this.lastTemplateCount) {
+    // Check if templates or airbases changed - rebuild UI if needed
+    const airbaseKey = team.cities
+      .filter(c => ProductionSystem.isTeamAirbase(c, this.playerTeam))
+      .map(c => c.id)
+      .join(',');
+    if (team.templates.length !== this.lastTemplateCount || airbaseKey !== this.lastAirbaseKey) {
       this.lastTemplateCount = team.templates.length;
+      this.lastAirbaseKey = airbaseKey;
       this.rebuildAllocationUI();
     }
 
@@ -563,19 +1544,243 @@ const UIControls = {
       const templateProd = team.templateProduction[templateId];
       if (!templateProd) return;
 
-      // Update percentage display
+      // Update percentage display (share of income; over 100% in total is scaled down)
       const pctSpan = item.querySelector('.allocation-pct');
       if (pctSpan) {
-        const pct = totalAlloc > 0 ? Math.round((templateProd.allocation / totalAlloc) * 100) : 0;
+        const pct = Math.round((templateProd.allocation / Math.max(100, totalAlloc)) * 100);
         pctSpan.textContent = pct + '%';
       }
 
+      // Follow the delivery choice (a load, a lost airbase) unless being edited
+      const deliverySelect = item.querySelector('.allocation-delivery');
+      if (deliverySelect && document.activeElement !== deliverySelect) {
+        deliverySelect.value = templateProd.delivery || '';
+        if (deliverySelect.selectedIndex < 0) deliverySelect.value = '';
+      }
+
       // Update progress bar
       const progressFill = item.querySelector('.allocation-progress');
       if (progressFill) {
         progressFill.style.width = Math.min(templateProd.progress, 100) + '%';
       }
     });
+
+    this.updateElement('allocation-reserve', `${Math.max(0, 100 - totalAlloc)}%`);
+  },
+
+  /**
+   * Wire up the construction plan controls and the queue's buttons
+   */
+  setupConstructionUI() {
+    const parallelSelect = document.getElementById('construction-parallel');
+    const shareSlider = document.getElementById('construction-share');
+    if (!parallelSelect || !shareSlider) return;
+
+    for (let n = 1; n <= CONSTANTS.AIRBASE_MAX_PARALLEL_BUILDS; n++) {
+      const option = document.createElement('option');
+      option.value = n;
+      option.textContent = n;
+      parallelSelect.appendChild(option);
+    }
+
+    const issuePlan = () => {
+      Commands.issue('setConstructionPlan', this.playerTeam, {
+        parallelBuilds: parseInt(parallelSelect.value),
+        share: parseInt(shareSlider.value) || 0
+      });
+      this.updateConstructionUI();
+    };
+    parallelSelect.addEventListener('change', issuePlan);
+    shareSlider.addEventListener('input', issuePlan);
+
+    // The queue is redrawn as it changes, so its buttons are handled here
+    document.getElementById('construction-queue')?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+
+      const cityId = button.dataset.cityId;
+      if (button.dataset.action === 'cancel') {
+        Commands.issue('cancelAirbaseBuild', this.playerTeam, { cityId: cityId });
+      } else {
+        const queue = GameState.teams[this.playerTeam].construction.queue;
+        const index = queue.indexOf(cityId) + (button.dataset.action === 'up' ? -1 : 1);
+        Commands.issue('moveAirbaseBuild', this.playerTeam, { cityId: cityId, index: index });
+      }
+      this.updateConstructionUI();
+    });
+  },
+
+  /**
+   * Update the construction plan controls and the queue (progress, order, cancel)
+   */
+  updateConstructionUI() {
+    const container = document.getElementById('construction-queue');
+    const team = GameState.teams[this.playerTeam];
+    if (!container || !team) return;
+
+    const construction = team.construction;
+
+    // Follow the team's plan (another commander, a load) unless being edited
+    const parallelSelect = document.getElementById('construction-parallel');
+    const shareSlider = document.getElementById('construction-share');
+    if (parallelSelect && document.activeElement !== parallelSelect) {
+      parallelSelect.value = construction.parallelBuilds;
+    }
+    if (shareSlider && document.activeElement !== shareSlider) {
+      shareSlider.value = construction.share;
+    }
+    this.updateElement('construction-share-value', `${construction.share}%`);
+
+    if (construction.queue.length === 0) {
+      container.innerHTML = '<div class="stat-row"><span class="stat-label">Nothing queued</span></div>';
+      return;
+    }
+
+    const buttonStyle = 'padding: 0 4px; font-size: 10px;';
+    let html = '';
+    construction.queue.forEach((cityId, index) => {
+      const city = GameState.getCity(cityId);
+      if (!city || !city.airbase) return;
+
+      const progressM = city.airbase.buildProgressM;
+      const state = index < construction.parallelBuilds ? 'building' : 'queued';
+      const refund = (progressM * CONSTANTS.AIRBASE_CANCEL_REFUND).toFixed(1);
+      html += `
+        <div class="construction-item" style="margin: 4px 0;">
+          <div style="display: flex; justify-content: space-between; align-items: center; font-size: 10px;">
+            <span>${index + 1}. ${city.name} (${state})</span>
+            <span>
+              <button data-action="up" data-city-id="${cityId}" style="${buttonStyle}" title="Build sooner" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+              <button data-action="down" data-city-id="${cityId}" style="${buttonStyle}" title="Build later" ${index === construction.queue.length - 1 ? 'disabled' : ''}>&#9660;</button>
+              <button data-action="cancel" data-city-id="${cityId}" style="${buttonStyle}" title="Cancel (refunds ${refund}M)">&#10005;</button>
+            </span>
+          </div>
+          <div style="background: #333; border-radius: 3px; height: 6px; margin-top: 3px;">
+            <div style="background: #3498db; height: 100%; border-radius: 3px; width: ${Math.min(100, progressM / CONSTANTS.AIRBASE_COST_M * 100)}%;"></div>
+          </div>
+        </div>
+      `;
+    });
+    container.innerHTML = html;
+  },
+
+  /**
+   * Wire up the research share slider and the technology list's buttons
+   */
+  setupResearchUI() {
+    document.getElementById('research-share')?.addEventListener('input', (e) => {
+      Commands.issue('setResearchShare', this.playerTeam, { share: parseInt(e.target.value) || 0 });
+      this.updateResearchUI();
+    });
+
+    // The list is redrawn as it changes, so its buttons are handled here
+    document.getElementById('research-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-tech-id]');
+      if (!button) return;
+
+      const research = GameState.teams[this.playerTeam].research;
+      if (research.current === button.dataset.techId) {
+        Commands.issue('stopResearch', this.playerTeam, {});
+      } else {
+        Commands.issue('startResearch', this.playerTeam, { techId: button.dataset.techId });
+      }
+      this.updateResearchUI();
+    });
+  },
+
+  /**
+   * Update the research list: finished, under way (with progress) and available
+   * technologies; locked ones name what they require
+   */
+  updateResearchUI() {
+    const container = document.getElementById('research-list');
+    const team = GameState.teams[this.playerTeam];
+    if (!container || !team) return;
+
+    const research = team.research;
+    const shareSlider = document.getElementById('research-share');
+    if (shareSlider && document.activeElement !== shareSlider) {
+      shareSlider.value = research.share;
+    }
+    this.updateElement('research-share-value', `${research.share}%`);
+
+    const buttonStyle = 'padding: 0 4px; font-size: 10px;';
+    let html = '';
+    for (const tech of ResearchSystem.TECHNOLOGIES) {
+      const done = research.completed.includes(tech.id);
+      const current = research.current === tech.id;
+      const available = ResearchSystem.isAvailable(this.playerTeam, tech.id);
+      const cost = ResearchSystem.getCost(tech);
+      const progressM = research.progress[tech.id] || 0;
+
+      let action = '';
+      if (current) {
+        action = `<button data-tech-id="${tech.id}" style="${buttonStyle}" title="Stop (progress is kept)">Stop</button>`;
+      } else if (available) {
+        action = `<button data-tech-id="${tech.id}" style="${buttonStyle}">Research</button>`;
+      }
+
+      let status = `${cost.toFixed(0)}M`;
+      if (done) {
+        status = 'done';
+      } else if (!available) {
+        status = `needs ${tech.requires.map(id => ResearchSystem.getTechnology(id).name).join(', ')}`;
+      }
+
+      html += `
+        <div style="margin: 4px 0; opacity: ${done || available ? 1 : 0.5};" title="${tech.description}">
+          <div style="display: flex; justify-content: space-between; align-items: center; font-size: 10px;">
+            <span>${tech.name} (${status})</span>
+            ${action}
+          </div>
+          <div style="font-size: 9px; color: #888;">${tech.description}</div>
+          ${current || progressM > 0 ? `
+          <div style="background: #333; border-radius: 3px; height: 6px; margin-top: 3px;">
+            <div style="background: #9b59b6; height: 100%; border-radius: 3px; width: ${Math.min(100, progressM / cost * 100)}%;"></div>
+          </div>` : ''}
+        </div>
+      `;
+    }
+    container.innerHTML = html;
+  },
+
+  /**
+   * Update the ledger: income by city (largest first) and spending by category
+   */
+  updateLedgerUI() {
+    const container = document.getElementById('ledger-container');
+    const team = GameState.teams[this.playerTeam];
+    if (!container || !team) return;
+
+    const ledger = team.ledger;
+    const row = (label, value) =>
+      `<div class="stat-row"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>`;
+    let html = '';
+
+    // Income: the biggest cities, then the rest together
+    const incomes = Object.entries(ledger.incomeByCity).sort((a, b) => b[1] - a[1]);
+    const shown = incomes.slice(0, 5);
+    for (const [cityId, income] of shown) {
+      const city = GameState.getCity(cityId);
+      html += row(city ? city.name : cityId, `${income.toFixed(2)}M/min`);
+    }
+    if (incomes.length > shown.length) {
+      const rest = incomes.slice(shown.length).reduce((sum, entry) => sum + entry[1], 0);
+      html += row(`${incomes.length - shown.length} other cities`, `${rest.toFixed(2)}M/min`);
+    }
+
+    // Spending so far
+    html += row('Earned', `${ledger.earnedM.toFixed(0)}M`);
+    html += row('Spent on airbases', `${ledger.spentM.airbases.toFixed(0)}M`);
+    html += row('Spent on research', `${ledger.spentM.research.toFixed(0)}M`);
+    html += row('Spent on designs', `${ledger.spentM.designs.toFixed(0)}M`);
+    html += row('Spent on flak', `${ledger.spentM.flak.toFixed(0)}M`);
+    for (const templateId in ledger.spentM.templates) {
+      const template = GameState.getTemplate(templateId);
+      html += row(`Spent on ${template ? template.name : templateId}`, `${ledger.spentM.templates[templateId].toFixed(0)}M`);
+    }
+
+    container.innerHTML = html;
   },
 
   /**
@@ -617,21 +1822,37 @@ const UIControls = {
       const buildAirbaseBtn = document.getElementById('build-airbase-btn');
       if (city.hasAirbase) {
         buildAirbaseBtn.style.display = 'none';
+      } else if (city.airbase) {
+        // Queued or under construction
+        const refund = city.airbase.buildProgressM * CONSTANTS.AIRBASE_CANCEL_REFUND;
+        buildAirbaseBtn.style.display = 'block';
+        buildAirbaseBtn.textContent = `Cancel Airbase (refund ${refund.toFixed(1)}M)`;
+        buildAirbaseBtn.onclick = () => {
+          if (Commands.issue('cancelAirbaseBuild', this.playerTeam, { cityId: city.id })) {
+            console.log(`Cancelled airbase at ${city.name}`);
+            this.showCityPopup(city);
+            this.updateConstructionUI();
+          }
+        };
       } else {
         buildAirbaseBtn.style.display = 'block';
+        buildAirbaseBtn.textContent = `Build Airbase (${CONSTANTS.AIRBASE_COST_M}M)`;
         buildAirbaseBtn.onclick = () => {
-          if (ProductionSystem.buildAirbase(city.id, this.playerTeam)) {
-            console.log(`Started building airbase at ${city.name}`);
+          if (Commands.issue('buildAirbase', this.playerTeam, { cityId: city.id })) {
+            console.log(`Queued airbase at ${city.name}`);
             this.showCityPopup(city);
+            this.updateConstructionUI();
           }
         };
       }
 
+      this.updateFlakControl(city);
+
       const setDeliveryBtn = document.getElementById('set-delivery-btn');
       if (city.hasAirbase && city.airbase && city.airbase.complete) {
         setDeliveryBtn.style.display = 'block';
         setDeliveryBtn.onclick = () => {
-          if (ProductionSystem.setDeliveryPoint(city.id, this.playerTeam)) {
+          if (Commands.issue('setDeliveryPoint', this.playerTeam, { cityId: city.id })) {
             console.log(`Set ${city.name} as delivery point`);
             this.showCityPopup(city);
           }
@@ -701,8 +1922,10 @@ const UIControls = {
           escortPct.textContent = pct + '%';
 
           escortSlider.oninput = (e) => {
-            const val = parseInt(e.target.value) / 100;
-            city.airbase.escortAllocation = val;
+            Commands.issue('setEscortAllocation', this.playerTeam, {
+              cityId: city.id,
+              escortAllocation: parseInt(e.target.value) / 100
+            });
             escortPct.textContent = e.target.value + '%';
           };
         } else {
@@ -720,11 +1943,92 @@ const UIControls = {
       } else if (targetEl) {
         targetEl.textContent = '-';
       }
+
+      this.updateBaseQueueControl(city);
     } else {
       airbaseControls.style.display = 'none';
     }
   },
 
+  /**
+   * Wire up the popup's build queue controls (they act on the selected city)
+   */
+  setupBaseQueueUI() {
+    document.getElementById('base-queue-add-btn')?.addEventListener('click', () => {
+      const city = this.selectedCity;
+      if (!city) return;
+
+      const templateId = document.getElementById('base-queue-template').value;
+      const count = parseInt(document.getElementById('base-queue-count').value) || 0;
+      if (Commands.issue('queueAircraft', this.playerTeam, { cityId: city.id, templateId: templateId, count: count })) {
+        this.updateBaseQueueControl(city);
+      } else {
+        this.showMessage('Could not queue aircraft', `Order 1-${CONSTANTS.BASE_QUEUE_MAX_COUNT} aircraft of one of your templates.`);
+      }
+    });
+
+    // The list is redrawn as it changes, so its buttons are handled here
+    document.getElementById('base-queue-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-index]');
+      if (!button || !this.selectedCity) return;
+
+      Commands.issue('removeQueuedAircraft', this.playerTeam, {
+        cityId: this.selectedCity.id,
+        index: parseInt(button.dataset.index)
+      });
+      this.updateBaseQueueControl(this.selectedCity);
+    });
+  },
+
+  /**
+   * Update the popup's build queue: template choices and the queued orders with progress
+   * @param {object} city - City shown in the popup
+   */
+  updateBaseQueueControl(city) {
+    const control = document.getElementById('base-queue-control');
+    if (!control) return;
+
+    if (!ProductionSystem.isTeamAirbase(city, this.playerTeam)) {
+      control.style.display = 'none';
+      return;
+    }
+    control.style.display = 'block';
+
+    // Template choices (rebuilt only when the templates change)
+    const team = GameState.teams[this.playerTeam];
+    const templateSelect = document.getElementById('base-queue-template');
+    const templateKey = team.templates.map(t => t.id).join(',');
+    if (templateSelect.dataset.key !== templateKey) {
+      const selected = templateSelect.value;
+      templateSelect.innerHTML = team.templates
+        .map(t => `<option value="${t.id}">${t.name} (${t.type === 'fighter' ? 'F' : 'B'} $${t.costM}M)</option>`)
+        .join('');
+      templateSelect.dataset.key = templateKey;
+      if (selected) templateSelect.value = selected;
+      if (templateSelect.selectedIndex < 0) templateSelect.selectedIndex = 0;
+    }
+
+    const buttonStyle = 'padding: 0 4px; font-size: 10px;';
+    let html = '';
+    city.queuedProduction.forEach((entry, index) => {
+      const template = GameState.getTemplate(entry.templateId);
+      if (!template) return;
+
+      html += `
+        <div style="margin: 4px 0;">
+          <div style="display: flex; justify-content: space-between; align-items: center; font-size: 10px;">
+            <span>${entry.count} x ${template.name}</span>
+            <button data-index="${index}" style="${buttonStyle}" title="Remove (refunds ${entry.progressM.toFixed(1)}M)">&#10005;</button>
+          </div>
+          <div style="background: #333; border-radius: 3px; height: 6px; margin-top: 3px;">
+            <div style="background: #f39c12; height: 100%; border-radius: 3px; width: ${Math.min(100, entry.progressM / template.costM * 100)}%;"></div>
+          </div>
+        </div>
+      `;
+    });
+    document.getElementById('base-queue-list').innerHTML = html;
+  },
+
   /**
    * Show re-base selector (2x range, friendly cities only)
    */
@@ -736,10 +2040,10 @@ const UIControls = {
     }
 
     // Get max range (2x for re-basing)
-    const maxRange = Math.max(...aircraft.map(a => {
+    const maxRange = aircraft.reduce((max, a) => {
       const template = GameState.getTemplate(a.templateId);
-      return template ? template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT * 2 : 0;
-    }));
+      return template ? Math.max(max, template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT * 2) : max;
+    }, 0);
 
     // Find friendly cities with airbases in range
     const targets = GameState.cities.filter(c => {
@@ -834,7 +2138,7 @@ const UIControls = {
 
       group.on('click', function() {
         d3.event.stopPropagation();
-        GameState.rebaseAllAircraft(airbaseCity.id, target.id);
+        Commands.issue('rebaseAircraft', self.playerTeam, { fromCityId: airbaseCity.id, toCityId: target.id });
         self.clearTargetSelection();
         self.showCityPopup(target);
         console.log('Re-based aircraft to ' + target.name);
@@ -889,19 +2193,13 @@ const UIControls = {
       return;
     }
 
-    const maxRange = Math.max(...bombers.map(b => {
+    const maxRange = bombers.reduce((max, b) => {
       const template = GameState.getTemplate(b.templateId);
-      return template ? template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT : 0;
-    }));
+      return template ? Math.max(max, template.rangePoints * CONSTANTS.RANGE_KM_PER_POINT) : max;
+    }, 0);
 
-    const targets = GameState.cities.filter(c => {
-      if (c.owner === airbaseCity.owner) return false;
-      const distance = MapUtils.greatCircleDistance(
-        airbaseCity.lat, airbaseCity.lon,
-        c.lat, c.lon
-      );
-      return distance <= maxRange;
-    });
+    const targets = GameState.cityIndex.withinRadius(airbaseCity.lat, airbaseCity.lon, maxRange,
+      c => !c.owner || GameState.areEnemies(airbaseCity.owner, c.owner));
 
     if (targets.length === 0) {
       console.log('No targets in range');
@@ -1000,7 +2298,7 @@ const UIControls = {
       // Click handler
       group.on('click', function() {
         d3.event.stopPropagation();
-        ProductionSystem.setBomberOrders(airbaseCity.id, target.id);
+        Commands.issue('setBomberOrders', self.playerTeam, { cityId: airbaseCity.id, targetCityId: target.id });
         self.clearTargetSelection();
         self.showCityPopup(airbaseCity);
         console.log('Set bomber target to ' + target.name);
@@ -1207,7 +2505,7 @@ const UIControls = {
             icon.textContent = `${counts.fighter}×F`;
           }
 
-          icon.title = `${counts.fighter} ${name} (Fighter)\nRange: ${counts.template.rangePoints}, Off: ${counts.template.offense}, Def: ${counts.template.defense}`;
+          icon.title = `${counts.fighter} ${name} (Fighter)\nRange: ${counts.template.rangePoints}, Off: ${counts.template.offense}, Def: ${counts.template.defense}, Speed: ${counts.template.speed}`;
           iconsDiv.appendChild(icon);
         }
         if (counts.bomber > 0) {
@@ -1231,16 +2529,81 @@ const UIControls = {
             icon.textContent = `${counts.bomber}×B`;
           }
 
-          icon.title = `${counts.bomber} ${name} (Bomber)\nRange: ${counts.template.rangePoints}, Off: ${counts.template.offense}, Def: ${counts.template.defense}`;
+          icon.title = `${counts.bomber} ${name} (Bomber)\nRange: ${counts.template.rangePoints}, Off: ${counts.template.offense}, Def: ${counts.template.defense}, Speed: ${counts.template.speed}, Payload: ${counts.template.payload}`;
           iconsDiv.appendChild(icon);
         }
       }
 
       baseDiv.appendChild(iconsDiv);
+
+      // Experienced aircraft: veterans and better by rank, aces by call sign
+      const veteranRank = CombatSystem.VETERANCY_RANKS.find(r => r.name === 'Veteran');
+      const veterans = aircraft.filter(a => CombatSystem.getExperience(a) >= veteranRank.experience && !a.callSign).length;
+      const aces = aircraft.filter(a => a.callSign);
+      if (veterans > 0 || aces.length > 0) {
+        const vetDiv = document.createElement('div');
+        vetDiv.style.cssText = 'color: #ffcc00; font-size: 8px; margin-top: 2px;';
+        const parts = [];
+        if (veterans > 0) parts.push(`${veterans} veteran${veterans === 1 ? '' : 's'}`);
+        if (aces.length > 0) parts.push(`Aces: ${aces.map(a => `${a.callSign} (${a.kills})`).join(', ')}`);
+        vetDiv.textContent = parts.join(' · ');
+        baseDiv.appendChild(vetDiv);
+      }
+
+      // Damaged aircraft being repaired here (not available to fly)
+      const inRepair = GameState.getAircraftInRepairAt(base.id);
+      if (inRepair.length > 0) {
+        const repairDiv = document.createElement('div');
+        repairDiv.style.cssText = 'color: #ff6666; font-size: 8px; margin-top: 2px;';
+        const lowestHp = inRepair.reduce((min, a) => Math.min(min, a.hp), Infinity);
+        repairDiv.textContent = `In repair: ${inRepair.length} (lowest ${Math.floor(lowestHp)}/${CONSTANTS.AIRCRAFT_MAX_HP} HP)`;
+        baseDiv.appendChild(repairDiv);
+      }
+
       container.appendChild(baseDiv);
     }
   },
 
+  /**
+   * Show a city's flak in the popup and set up its buy / upgrade button
+   * (the button only shows for the player's own cities)
+   * @param {object} city - City shown in the popup
+   */
+  updateFlakControl(city) {
+    const flakEl = document.getElementById('popup-city-flak');
+    if (flakEl) {
+      flakEl.textContent = city.flak.level > 0 ?
+        `Level ${city.flak.level} (${Math.round(city.flak.condition * 100)}%)` :
+        'None';
+    }
+
+    const buyFlakBtn = document.getElementById('buy-flak-btn');
+    if (!buyFlakBtn) return;
+    if (city.owner !== this.playerTeam) {
+      buyFlakBtn.style.display = 'none';
+      return;
+    }
+
+    buyFlakBtn.style.display = 'block';
+    if (city.flak.level >= CONSTANTS.FLAK_MAX_LEVEL) {
+      buyFlakBtn.textContent = 'Flak at Max Level';
+      buyFlakBtn.disabled = true;
+      return;
+    }
+
+    const cost = ProductionSystem.getFlakCost(city);
+    buyFlakBtn.textContent = city.flak.level === 0 ?
+      `Buy Flak (${cost}M)` :
+      `Upgrade Flak to Level ${city.flak.level + 1} (${cost}M)`;
+    buyFlakBtn.disabled = !ProductionSystem.canAfford(this.playerTeam, cost);
+    buyFlakBtn.onclick = () => {
+      if (Commands.issue('buyFlak', this.playerTeam, { cityId: city.id })) {
+        console.log(`Flak at ${city.name} raised to level ${city.flak.level}`);
+        this.updateFlakControl(city);
+      }
+    };
+  },
+
   /**
    * Update popup stats live
    */
@@ -1263,6 +2626,9 @@ const UIControls = {
     const bombers = assigned.filter(a => a.type === 'bomber').length;
     document.getElementById('popup-aircraft-count').textContent = `${fighters}F / ${bombers}B`;
 
+    // Flak level and condition, and the buy button
+    this.updateFlakControl(city);
+
     // Target info
     const targetEl = document.getElementById('popup-target');
     if (targetEl && city.hasAirbase && city.airbase && city.airbase.orders) {
@@ -1283,6 +2649,9 @@ const UIControls = {
         warningIndicator.style.display = 'none';
       }
     }
+
+    // Build queue (hidden once the city is lost)
+    this.updateBaseQueueControl(city);
   }
 };
 
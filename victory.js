@@ -0,0 +1,208 @@
+// Victory System - Configurable win conditions and game-over detection
+
+const VictorySystem = {
+  /**
+   * Configure victory conditions for a new game (call after countries are assigned)
+   * @param {object} settings - {modes, productionShare, productionHoldS, timeLimitS}
+   */
+  initialize(settings = {}) {
+    // Starting delivery point of each team is its capital for 'capital' mode
+    const capitals = {};
+    const startingTeams = [];
+    for (const teamName in GameState.teams) {
+      const team = GameState.teams[teamName];
+      if (team.deliveryPointCity) {
+        capitals[teamName] = team.deliveryPointCity.id;
+      }
+      if (team.cities.length > 0) {
+        startingTeams.push(teamName);
+      }
+    }
+
+    GameState.victory = {
+      modes: settings.modes || CONSTANTS.VICTORY_DEFAULT_MODES.slice(),
+      productionShare: settings.productionShare || CONSTANTS.VICTORY_PRODUCTION_SHARE,
+      productionHoldS: settings.productionHoldS !== undefined ?
+        settings.productionHoldS : CONSTANTS.VICTORY_PRODUCTION_HOLD_S,
+      timeLimitS: settings.timeLimitS || CONSTANTS.VICTORY_TIME_LIMIT_MIN * 60,
+      capitals: capitals,
+      startingTeams: startingTeams,
+      productionHeldSince: {}
+    };
+    GameState.gameOver = null;
+  },
+
+  /**
+   * Check all enabled victory modes (called each tick)
+   * @returns {object|null} {winner, mode, reason} or null if the game goes on
+   */
+  checkVictory() {
+    const victory = GameState.victory;
+    if (!victory || GameState.gameOver) return null;
+
+    for (const mode of victory.modes) {
+      let result = null;
+      if (mode === 'conquest') result = this.checkConquest();
+      else if (mode === 'production') result = this.checkProductionShare();
+      else if (mode === 'capital') result = this.checkCapitals();
+      else if (mode === 'score') result = this.checkTimeLimit();
+
+      if (result) {
+        return { ...result, mode: mode };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Conquest: the last alliance still holding cities wins
+   * (the winner is its member with the most cities)
+   * @returns {object|null} Result or null
+   */
+  checkConquest() {
+    const survivors = GameState.victory.startingTeams.filter(teamName =>
+      GameState.teams[teamName].cities.length > 0
+    );
+
+    if (survivors.length === 0) {
+      return { winner: null, reason: 'No team holds any cities' };
+    }
+
+    const alliances = new Set(survivors.map(teamName => GameState.teams[teamName].alliance));
+    if (alliances.size > 1) return null;
+
+    const winner = survivors.reduce((best, teamName) =>
+      GameState.teams[teamName].cities.length > GameState.teams[best].cities.length ? teamName : best
+    );
+    const reason = survivors.length === 1 ?
+      `${GameState.teams[winner].name} holds the last remaining cities` :
+      `${survivors.map(t => GameState.teams[t].name).join(' and ')} hold the last remaining cities`;
+
+    return { winner: winner, reason: reason };
+  },
+
+  /**
+   * Production: hold a share of world production capacity for a while
+   * @returns {object|null} Result or null
+   */
+  checkProductionShare() {
+    const victory = GameState.victory;
+    const worldProduction = this.getWorldProductionCapacity();
+    if (worldProduction <= 0) return null;
+
+    for (const teamName in GameState.teams) {
+      const share = GameState.teams[teamName].productionPerMinute / worldProduction;
+
+      if (share < victory.productionShare) {
+        delete victory.productionHeldSince[teamName];
+        continue;
+      }
+
+      if (victory.productionHeldSince[teamName] === undefined) {
+        victory.productionHeldSince[teamName] = GameState.elapsedSeconds;
+      }
+
+      if (GameState.elapsedSeconds - victory.productionHeldSince[teamName] >= victory.productionHoldS) {
+        return {
+          winner: teamName,
+          reason: `${GameState.teams[teamName].name} controls ${Math.round(share * 100)}% of world production`
+        };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Capital: capture an enemy's starting delivery-point city
+   * @returns {object|null} Result or null
+   */
+  checkCapitals() {
+    const capitals = GameState.victory.capitals;
+
+    for (const teamName in capitals) {
+      const capital = GameState.getCity(capitals[teamName]);
+      if (!capital || !GameState.areEnemies(capital.owner, teamName)) continue;
+
+      return {
+        winner: capital.owner,
+        reason: `${GameState.teams[capital.owner].name} captured ${GameState.teams[teamName].name}'s capital ${capital.name}`
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Score: the leading team wins when the time limit is reached
+   * @returns {object|null} Result or null
+   */
+  checkTimeLimit() {
+    if (GameState.elapsedSeconds < GameState.victory.timeLimitS) return null;
+
+    const scores = this.getScores();
+    const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+
+    if (ranked.length > 1 && scores[ranked[0]] === scores[ranked[1]]) {
+      return { winner: null, reason: 'Time limit reached with scores tied' };
+    }
+
+    return {
+      winner: ranked[0],
+      reason: `${GameState.teams[ranked[0]].name} leads on score at the time limit`
+    };
+  },
+
+  /**
+   * Total production capacity of every city in the world (all at full HP)
+   * @returns {number} Production in M per minute
+   */
+  getWorldProductionCapacity() {
+    let total = 0;
+    for (const city of GameState.cities) {
+      total += city.population / CONSTANTS.POP_SCALE;
+    }
+    return total;
+  },
+
+  /**
+   * Calculate a team's score: production capacity of owned cities plus
+   * the cost of its surviving aircraft
+   * @param {string} teamName - Team name
+   * @returns {number} Score
+   */
+  calculateScore(teamName) {
+    const team = GameState.teams[teamName];
+    let score = 0;
+
+    for (const city of team.cities) {
+      score += city.population / CONSTANTS.POP_SCALE;
+    }
+
+    for (const aircraft of team.aircraft) {
+      if (aircraft.hp <= 0) continue;
+      const template = GameState.getTemplate(aircraft.templateId);
+      if (template) score += template.costM;
+    }
+
+    return Math.round(score);
+  },
+
+  /**
+   * Get scores for all teams
+   * @returns {object} {teamName: score}
+   */
+  getScores() {
+    const scores = {};
+    for (const teamName in GameState.teams) {
+      scores[teamName] = this.calculateScore(teamName);
+    }
+    return scores;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VictorySystem;
+}